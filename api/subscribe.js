@@ -0,0 +1,66 @@
+/**
+ * Vercel Function - Email Subscription Handler
+ * Adapts Vercel's Node.js request/response to the shared signup service (lib/signup-service.js)
+ *
+ * vercel.json rewrites /api/subscribe/<route> to /api/subscribe?route=<route>
+ */
+
+const { loadConfig } = require('../lib/config');
+const { createSignupService } = require('../lib/signup-service');
+const { CORS_HEADERS, getClientIP, serializeResult } = require('../lib/serverless');
+const { resolveRequestId, runWithRequestId } = require('../lib/logger');
+
+// Vercel functions can only write to /tmp, so stored data does not survive cold starts
+const config = loadConfig({
+    dataDir: process.env.DATA_DIR || '/tmp',
+    baseUrl: process.env.BASE_URL || (process.env.VERCEL_URL ? `https://${process.env.VERCEL_URL}` : ''),
+    routeBase: '/api/subscribe',
+    awaitDelivery: true
+});
+
+// Rate limits use RATE_LIMIT_STORE; only redis is shared across instances and cold starts
+const service = createSignupService(config);
+
+/**
+ * Main handler function
+ */
+module.exports = async (req, res) => {
+    // Handle preflight requests
+    if (req.method === 'OPTIONS') {
+        res.writeHead(200, CORS_HEADERS);
+        return res.end();
+    }
+
+    const { route = '', ...query } = req.query || {};
+
+    // A client's X-Request-Id, else Vercel's own, so logs match the platform's
+    const requestId = resolveRequestId(req.headers['x-request-id'] || req.headers['x-vercel-id']);
+
+    const result = await runWithRequestId(requestId, () => service.handle({
+        method: req.method,
+        route: String(route).replace(/^\/+|\/+$/g, ''),
+        query,
+        body: parseRequestBody(req),
+        ip: getClientIP(req.headers, { ipHeader: 'x-real-ip', trustProxy: config.trustProxy }),
+        acceptLanguage: req.headers['accept-language'],
+        idempotencyKey: req.headers['idempotency-key'],
+        wantsJson: (req.headers['content-type'] || '').includes('application/json') ||
+            (req.headers.accept || '').includes('application/json')
+    }));
+
+    const { statusCode, headers, body } = serializeResult(result, { requestId });
+    res.writeHead(statusCode, headers);
+    res.end(body);
+};
+
+/**
+ * Read the body Vercel parsed from JSON or form data, null if it was malformed
+ */
+function parseRequestBody(req) {
+    try {
+        return req.body;
+    } catch (error) {
+        // Vercel's body getter throws on invalid JSON
+        return null;
+    }
+}
@@ -0,0 +1,240 @@
+// REVANX — client analytics with pluggable providers (non-visual)
+// Exposes window.RevanxAnalytics; main.js and [data-analytics] elements report through it.
+(function () {
+
+const q = (s) => document.querySelector(s);
+const meta = (name) => q(`meta[name="${name}"]`)?.getAttribute('content') || null;
+
+// Which providers to use: <meta name="revanx:analytics" content="console beacon plausible ga">
+const DEFAULT_PROVIDERS = 'console';
+const BEACON_ENDPOINT = meta('revanx:analytics-endpoint') || '/events';
+const CONSENT_KEY = 'revanx:analytics-consent';
+const UTM_KEY = 'revanx:utm';
+const ATTRIBUTION_KEY = 'revanx:attribution';
+const ATTRIBUTION_MAX_AGE = 90 * 24 * 60 * 60 * 1000;
+const UTM_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+const MAX_BUFFERED = 50;
+const BEACON_BATCH_DELAY = 2000;
+const BEACON_BATCH_SIZE = 20;
+
+// Provider factories. A provider is { requiresConsent, send(event) }; console only logs
+// locally so it never waits for consent.
+const PROVIDERS = {
+  console: () => ({
+    requiresConsent: false,
+    send(event) { console.log(event.event, event.props); }
+  }),
+
+  // First-party collector (POST /events). Events are batched briefly and flushed when the
+  // page is hidden; sendBeacon survives page unloads.
+  beacon: () => {
+    let batch = [];
+    let timer = null;
+
+    function flush() {
+      clearTimeout(timer);
+      timer = null;
+      if (!batch.length) return;
+      const body = JSON.stringify({ events: batch });
+      batch = [];
+      if (navigator.sendBeacon?.(BEACON_ENDPOINT, new Blob([body], { type: 'application/json' }))) return;
+      fetch(BEACON_ENDPOINT, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body,
+        keepalive: true
+      }).catch(() => {});
+    }
+
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') flush();
+    });
+    window.addEventListener('pagehide', flush);
+
+    return {
+      requiresConsent: true,
+      send(event) {
+        batch.push(event);
+        if (batch.length >= BEACON_BATCH_SIZE) flush();
+        else if (!timer) timer = setTimeout(flush, BEACON_BATCH_DELAY);
+      }
+    };
+  },
+
+  // Plausible's script defines window.plausible(name, { props })
+  plausible: () => ({
+    requiresConsent: true,
+    send(event) { window.plausible?.(event.event, { props: { ...event.props, ...event.context.utm } }); }
+  }),
+
+  // gtag.js when present, otherwise a GTM-style dataLayer push
+  ga: () => ({
+    requiresConsent: true,
+    send(event) {
+      const params = { ...event.props, ...event.context.utm, page_path: event.context.page };
+      if (typeof window.gtag === 'function') {
+        window.gtag('event', event.event, params);
+      } else {
+        (window.dataLayer = window.dataLayer || []).push({ event: event.event, ...params });
+      }
+    }
+  })
+};
+
+const providers = (meta('revanx:analytics') || DEFAULT_PROVIDERS)
+  .split(/[\s,]+/)
+  .filter(Boolean)
+  .map((name) => {
+    if (!PROVIDERS[name]) { console.warn('rev-analytics:unknown-provider', name); return null; }
+    return { name, ...PROVIDERS[name]() };
+  })
+  .filter(Boolean);
+
+// Consent: true, false, or null while undecided. A consent banner calls setConsent();
+// <meta name="revanx:analytics-consent" content="granted"> skips the wait for sites without one.
+function readConsent() {
+  if (meta('revanx:analytics-consent') === 'granted') return true;
+  if (navigator.doNotTrack === '1') return false;
+  try {
+    const stored = localStorage.getItem(CONSENT_KEY);
+    return stored === null ? null : stored === 'granted';
+  } catch {
+    return null;
+  }
+}
+
+let consent = readConsent();
+let buffer = []; // events waiting for a consent decision
+
+// UTM parameters from the landing URL, kept for the rest of the session
+function readUtm() {
+  const params = new URLSearchParams(location.search);
+  const fromUrl = {};
+  UTM_PARAMS.forEach((key) => {
+    const value = params.get(key);
+    if (value) fromUrl[key] = value.slice(0, 100);
+  });
+
+  try {
+    if (Object.keys(fromUrl).length) {
+      sessionStorage.setItem(UTM_KEY, JSON.stringify(fromUrl));
+      return fromUrl;
+    }
+    return JSON.parse(sessionStorage.getItem(UTM_KEY) || '{}');
+  } catch {
+    return fromUrl;
+  }
+}
+
+// Only the referring host - full referrer URLs can carry personal data
+function referrerHost() {
+  try {
+    const host = document.referrer ? new URL(document.referrer).host : null;
+    return host && host !== location.host ? host : null;
+  } catch {
+    return null;
+  }
+}
+
+const context = {
+  page: location.pathname,
+  referrer: referrerHost(),
+  utm: readUtm()
+};
+
+// First- and last-touch attribution, sent with the signup. The first visit is the first
+// touch; later visits only replace the last touch when they arrive from a campaign or
+// another site, so direct returns don't erase the source.
+function recordTouch() {
+  const params = new URLSearchParams(location.search);
+  const touch = {
+    source: params.get('utm_source'),
+    medium: params.get('utm_medium'),
+    campaign: params.get('utm_campaign'),
+    term: params.get('utm_term'),
+    content: params.get('utm_content'),
+    landingPage: location.pathname,
+    referrer: context.referrer,
+    at: new Date().toISOString()
+  };
+  const isCampaign = !!(touch.source || touch.medium || touch.campaign || touch.referrer);
+
+  let stored = null;
+  try {
+    stored = JSON.parse(localStorage.getItem(ATTRIBUTION_KEY) || 'null');
+  } catch {}
+  if (stored && Date.now() - Date.parse(stored.firstTouch?.at) > ATTRIBUTION_MAX_AGE) stored = null;
+
+  if (!stored) stored = { firstTouch: touch, lastTouch: touch };
+  else if (isCampaign) stored.lastTouch = touch;
+  return stored;
+}
+
+// Attribution is kept across visits only with analytics consent; until then it stays in
+// memory for this page's signup. Declining forgets what an earlier visit kept.
+function saveAttribution() {
+  try {
+    if (consent === true) localStorage.setItem(ATTRIBUTION_KEY, JSON.stringify(attribution));
+    else if (consent === false) localStorage.removeItem(ATTRIBUTION_KEY);
+  } catch {}
+}
+
+const attribution = recordTouch();
+saveAttribution();
+
+function deliver(provider, event) {
+  try {
+    provider.send(event);
+  } catch (err) {
+    console.warn('rev-analytics:provider-failed', provider.name, String(err));
+  }
+}
+
+function track(name, props = {}) {
+  const event = { event: name, props, context, timestamp: new Date().toISOString() };
+
+  providers.forEach((provider) => {
+    if (!provider.requiresConsent || consent === true) deliver(provider, event);
+  });
+
+  if (consent === null && providers.some(provider => provider.requiresConsent)) {
+    buffer.push(event);
+    if (buffer.length > MAX_BUFFERED) buffer.shift();
+  }
+}
+
+// Record the visitor's choice; granting flushes what was buffered, denying discards it
+function setConsent(granted) {
+  consent = !!granted;
+  try { localStorage.setItem(CONSENT_KEY, consent ? 'granted' : 'denied'); } catch {}
+  saveAttribution();
+
+  const pending = buffer;
+  buffer = [];
+  if (!consent) return;
+
+  pending.forEach((event) => {
+    providers.filter(provider => provider.requiresConsent).forEach(provider => deliver(provider, event));
+  });
+}
+
+// Elements opt in with data-analytics="<event>" and describe themselves with data-link-type
+document.addEventListener('click', (e) => {
+  const el = e.target.closest('[data-analytics]');
+  if (!el) return;
+  track(el.dataset.analytics, {
+    type: el.dataset.linkType || null,
+    href: el.getAttribute('href'),
+    text: (el.textContent || '').trim().slice(0, 100)
+  });
+});
+
+// Add a custom provider at runtime ({ send(event), requiresConsent? })
+function addProvider(name, provider) {
+  providers.push({ name, requiresConsent: true, ...provider });
+}
+
+window.RevanxAnalytics = { track, setConsent, addProvider, getAttribution: () => attribution };
+
+track('page_loaded', { page: 'coming_soon' });
+})();
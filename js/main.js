@@ -0,0 +1,444 @@
+// REVANX — minimal signup handler (non-visual)
+(function () {
+console.log('rev-signup:init');
+
+const q = (s) => document.querySelector(s);
+const form = q('[data-test="signup-form"]');
+
+if (!form) {
+console.warn('Signup form not found - selector [data-test="signup-form"] missing');
+return;
+}
+
+const emailInput = q('[data-test="email-input"]');
+const nameInput = q('[data-test="name-input"]');
+const consentEl = q('[data-test="consent"]');
+const btn = q('[data-test="submit"]');
+const honeypotInput = q('[data-test="honeypot"]');
+
+// Events go through js/analytics.js; fall back to the console if it isn't loaded
+const track = window.RevanxAnalytics?.track || ((name, props) => console.log(name, props));
+
+// Where to post signups: <form data-endpoint="...">, then <meta name="revanx:signup-endpoint" content="...">,
+// then our own server. Netlify and Vercel deployments point this at their function.
+const DEFAULT_ENDPOINT = '/subscribe';
+const SIGNUP_ENDPOINT = form.dataset.endpoint ||
+  q('meta[name="revanx:signup-endpoint"]')?.getAttribute('content') ||
+  DEFAULT_ENDPOINT;
+
+// Invite code from a friend's ?ref= link, remembered until this visitor signs up
+const REF_KEY = 'revanx:ref';
+
+function readReferralCode() {
+  const fromUrl = new URLSearchParams(location.search).get('ref');
+  try {
+    if (fromUrl) localStorage.setItem(REF_KEY, fromUrl.slice(0, 32));
+    return localStorage.getItem(REF_KEY);
+  } catch {
+    return fromUrl;
+  }
+}
+
+// The invite is used up once this visitor has signed up; a later signup from this
+// browser (someone else, or a re-subscribe) mustn't be credited to the same friend
+function forgetReferralCode() {
+  try { localStorage.removeItem(REF_KEY); } catch {}
+}
+
+const referralCode = readReferralCode();
+
+// Form token for the server's fill-time check, fetched as the page loads (see lib/spam)
+const TOKEN_ENDPOINT = `${SIGNUP_ENDPOINT.replace(/\/+$/, '')}/token`;
+const CHALLENGE_SCRIPTS = {
+  turnstile: { src: 'https://challenges.cloudflare.com/turnstile/v0/api.js', className: 'cf-turnstile' },
+  hcaptcha: { src: 'https://js.hcaptcha.com/1/api.js', className: 'h-captcha' }
+};
+
+let formToken = null;
+
+async function fetchFormToken() {
+  try {
+    const res = await fetch(TOKEN_ENDPOINT, { headers: { 'Accept': 'application/json' } });
+    const data = await res.json();
+    return res.ok ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+// Render the server's challenge widget (Turnstile / hCaptcha) unless the page already has one
+function renderChallenge(challenge) {
+  const script = CHALLENGE_SCRIPTS[challenge?.provider];
+  if (!script || !challenge.siteKey || form.querySelector(`.${script.className}`)) return;
+
+  const widget = document.createElement('div');
+  widget.className = `${script.className} form-challenge`;
+  widget.dataset.sitekey = challenge.siteKey;
+  form.insertBefore(widget, btn);
+
+  const tag = document.createElement('script');
+  tag.src = script.src;
+  tag.async = true;
+  tag.defer = true;
+  document.head.appendChild(tag);
+}
+
+function challengeResponse() {
+  return form.querySelector('[name="cf-turnstile-response"], [name="h-captcha-response"]')?.value || null;
+}
+
+function resetChallenge() {
+  window.turnstile?.reset();
+  window.hcaptcha?.reset();
+}
+
+fetchFormToken().then((issued) => {
+  formToken = issued;
+  if (issued) renderChallenge(issued.challenge);
+});
+
+const FIELD_ERRORS = {
+  email: q('#email-error'),
+  consent: q('#consent-error')
+};
+
+const FIELD_INPUTS = {
+  email: emailInput,
+  consent: consentEl
+};
+
+function setStatus(msg, type) {
+  const el = q('[data-test="status"]');
+  if (!el) { console.warn('rev-signup:no-status-el'); return; }
+  el.textContent = msg;
+  el.classList.remove('success', 'error');
+  if (type) el.classList.add(type);
+  el.classList.add('show');
+  el.removeAttribute('hidden');
+  el.setAttribute('role', type === 'error' ? 'alert' : 'status');
+  el.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+function clearStatus() {
+  const el = q('[data-test="status"]');
+  if (!el) return;
+  el.textContent = '';
+  el.classList.remove('show', 'success', 'error');
+}
+
+function setFieldError(field, msg) {
+  const el = FIELD_ERRORS[field];
+  const input = FIELD_INPUTS[field];
+  if (!el) { setStatus(msg, 'error'); return; }
+  el.textContent = msg;
+  el.classList.add('show');
+  input?.setAttribute('aria-invalid', 'true');
+  input?.focus();
+}
+
+function clearFieldErrors() {
+  Object.keys(FIELD_ERRORS).forEach((field) => {
+    FIELD_ERRORS[field]?.classList.remove('show');
+    if (FIELD_ERRORS[field]) FIELD_ERRORS[field].textContent = '';
+    FIELD_INPUTS[field]?.removeAttribute('aria-invalid');
+  });
+}
+
+function setBusy(busy) {
+  btn?.classList.toggle('loading', busy);
+  if (busy) {
+    btn?.setAttribute('aria-busy', 'true');
+    btn?.setAttribute('disabled', 'true');
+  } else {
+    btn?.removeAttribute('aria-busy');
+    btn?.removeAttribute('disabled');
+  }
+}
+
+function lockForm() {
+  form.setAttribute('aria-disabled', 'true');
+  form.setAttribute('data-state', 'submitted');
+  form.querySelectorAll('input, button, select, textarea').forEach(el => {
+    el.disabled = true; el.setAttribute('aria-disabled', 'true');
+  });
+}
+
+// Seconds to wait from a Retry-After header (seconds or HTTP date), null if absent
+function retryAfterSeconds(res) {
+  const header = res.headers.get('Retry-After');
+  if (!header) return null;
+  return /^\d+$/.test(header) ? Number(header) : (Date.parse(header) - Date.now()) / 1000;
+}
+
+// Human-readable wait from a Retry-After header
+function retryAfterText(res) {
+  const seconds = retryAfterSeconds(res);
+  if (seconds === null) return 'a few minutes';
+  if (!(seconds > 0)) return 'a moment';
+  const minutes = Math.ceil(seconds / 60);
+  return minutes <= 1 ? 'a minute' : `${minutes} minutes`;
+}
+
+// Map a server response onto the form. Only a genuine signup locks the form.
+function handleResponse(res, data) {
+  const message = data?.message;
+
+  if (res.ok) {
+    track('signup_success', { status: res.status, code: data?.code });
+    forgetReferralCode();
+    setStatus(message || 'Almost there! Check your email to confirm your subscription.', 'success');
+    lockForm();
+    return;
+  }
+
+  track('signup_error', { status: res.status, code: data?.code });
+
+  if (res.status === 400) {
+    if (data?.field) {
+      setFieldError(data.field, message || 'Please check this field.');
+    } else {
+      setStatus(message || 'Please check your details and try again.', 'error');
+    }
+    return;
+  }
+
+  if (res.status === 409) {
+    // Already confirmed - nothing more to do, but the form stays usable for another address
+    setStatus(message || 'You\'re already on the list!', 'success');
+    return;
+  }
+
+  if (res.status === 429) {
+    setStatus(`Too many attempts. Please try again in ${retryAfterText(res)}.`, 'error');
+    return;
+  }
+
+  if (res.status >= 500) {
+    setStatus('Something went wrong on our side. Please try again in a moment.', 'error');
+    return;
+  }
+
+  setStatus(message || 'We couldn\'t sign you up. Please try again.', 'error');
+}
+
+// Signups that didn't reach the server wait in localStorage and are retried with backoff
+// on the next page load or when the browser comes back online. Each keeps its
+// Idempotency-Key, so retrying a request the server did receive never signs up twice.
+const QUEUE_KEY = 'revanx:pending-signups';
+const QUEUE_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // give up after a week
+const RETRY_BASE_DELAY = 5 * 1000;
+const RETRY_MAX_DELAY = 5 * 60 * 1000;
+const PENDING_MESSAGE = 'You seem to be offline. Your signup is saved on this device and will be sent automatically once you\'re back online.';
+
+let retryTimer = null;
+let flushing = false;
+
+function readQueue() {
+  try {
+    const entries = JSON.parse(localStorage.getItem(QUEUE_KEY) || '[]');
+    const cutoff = Date.now() - QUEUE_MAX_AGE;
+    return Array.isArray(entries) ? entries.filter(entry => entry.createdAt > cutoff) : [];
+  } catch {
+    return []; // storage disabled or corrupt
+  }
+}
+
+function writeQueue(entries) {
+  try {
+    if (entries.length) localStorage.setItem(QUEUE_KEY, JSON.stringify(entries));
+    else localStorage.removeItem(QUEUE_KEY);
+  } catch {}
+}
+
+function newIdempotencyKey() {
+  if (window.crypto?.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+}
+
+// Exponential backoff: 5s, 10s, 20s ... capped at 5 minutes
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_DELAY * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_DELAY);
+}
+
+// Queue (or re-queue) a signup after a failed attempt; one pending entry per address
+function enqueue(entry) {
+  const attempts = entry.attempts + 1;
+  const entries = readQueue().filter(e => e.payload.email !== entry.payload.email);
+  entries.push({ ...entry, attempts, nextAttemptAt: Date.now() + retryDelay(attempts) });
+  writeQueue(entries);
+}
+
+function dequeue(entry) {
+  writeQueue(readQueue().filter(e => e.idempotencyKey !== entry.idempotencyKey));
+}
+
+function scheduleFlush() {
+  clearTimeout(retryTimer);
+  const entries = readQueue();
+  if (!entries.length) return;
+  const next = Math.min(...entries.map(entry => entry.nextAttemptAt));
+  retryTimer = setTimeout(flushQueue, Math.max(next - Date.now(), 0));
+}
+
+async function postSignup(entry) {
+  // No token yet (offline at page load, or it expired) - get one and give the fill-time check its wait
+  if (!entry.payload.formToken) {
+    const issued = await fetchFormToken();
+    if (!issued) throw new Error('Could not get a form token');
+    await new Promise(resolve => setTimeout(resolve, issued.minFillMs || 0));
+    entry.payload.formToken = issued.token;
+  }
+
+  const res = await fetch(SIGNUP_ENDPOINT, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+      'Idempotency-Key': entry.idempotencyKey
+    },
+    body: JSON.stringify(entry.payload)
+  });
+
+  let data = null;
+  try { data = await res.json(); } catch {}
+
+  if (data?.code === 'form_expired') entry.payload.formToken = formToken = null;
+  if (data?.code === 'challenge_failed') resetChallenge();
+  return { res, data };
+}
+
+// Server errors, a retry racing the still-running original and an expired form token
+// are worth trying again
+function isRetryable(res, data) {
+  return res.status >= 500 ||
+    (res.status === 409 && data?.code === 'request_in_progress') ||
+    data?.code === 'form_expired';
+}
+
+// Send every queued signup that is due (or all of them when the browser just came online)
+async function flushQueue({ force = false } = {}) {
+  if (flushing || navigator.onLine === false) return;
+  flushing = true;
+
+  try {
+    for (const entry of readQueue()) {
+      if (!force && entry.nextAttemptAt > Date.now()) continue;
+
+      let response;
+      try {
+        response = await postSignup(entry);
+      } catch (err) {
+        track('signup_retry_failed', { attempts: entry.attempts + 1, error: String(err) });
+        enqueue(entry);
+        continue;
+      }
+
+      if (isRetryable(response.res, response.data)) {
+        track('signup_retry_failed', { attempts: entry.attempts + 1, status: response.res.status });
+        enqueue(entry);
+        continue;
+      }
+
+      dequeue(entry);
+      track('signup_retry_sent', { status: response.res.status, attempts: entry.attempts + 1 });
+      handleResponse(response.res, response.data);
+    }
+  } finally {
+    flushing = false;
+    scheduleFlush();
+  }
+}
+
+[emailInput, consentEl].forEach((input) => {
+  input?.addEventListener(input.type === 'checkbox' ? 'change' : 'input', () => {
+    const field = input === consentEl ? 'consent' : 'email';
+    FIELD_ERRORS[field]?.classList.remove('show');
+    input.removeAttribute('aria-invalid');
+  });
+});
+
+form.addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  const email = (emailInput?.value || '').trim();
+  const name = (nameInput?.value || '').trim();
+  const consentOk = consentEl ? !!consentEl.checked : true;
+
+  clearFieldErrors();
+  clearStatus();
+
+  track('signup_submitted', { emailPresent: !!email });
+  const emailOk = /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+
+  if (!emailOk || !consentOk) {
+    const field = emailOk ? 'consent' : 'email';
+    track('signup_error', { status: null, code: 'invalid_input', field, client: true });
+    if (!emailOk) setFieldError('email', 'Please enter a valid email address (e.g., name@domain.com).');
+    else setFieldError('consent', 'Please agree to receive updates.');
+    return;
+  }
+
+  setBusy(true);
+
+  // Resubmitting an address that is still queued reuses its key, so both can't land
+  const queued = readQueue().find(entry => entry.payload.email === email);
+  const entry = {
+    idempotencyKey: queued?.idempotencyKey || newIdempotencyKey(),
+    payload: {
+      email,
+      name,
+      consent: true,
+      timestamp: new Date().toISOString(),
+      userAgent: navigator.userAgent,
+      referrer: document.referrer || null,
+      locale: navigator.language || null,
+      attribution: window.RevanxAnalytics?.getAttribution() || null,
+      ref: referralCode || null,
+      website: honeypotInput?.value || '',
+      formToken: formToken?.token || null,
+      challengeToken: challengeResponse()
+    },
+    attempts: queued?.attempts || 0,
+    createdAt: queued?.createdAt || Date.now()
+  };
+
+  try {
+    const { res, data } = await postSignup(entry);
+    setBusy(false);
+
+    if (isRetryable(res, data)) {
+      track('signup_queued', { status: res.status, code: data?.code });
+      enqueue(entry);
+      scheduleFlush();
+      setStatus(data?.code === 'form_expired'
+        ? 'Refreshing the form - your signup will be sent in a few seconds.'
+        : 'Something went wrong on our side. Your signup is saved and we\'ll retry it automatically.');
+      return;
+    }
+
+    if (queued) dequeue(entry);
+    handleResponse(res, data);
+  } catch (err) {
+    track('signup_queued', { error: String(err) });
+    setBusy(false);
+    enqueue(entry);
+    scheduleFlush();
+    setStatus(PENDING_MESSAGE);
+  }
+});
+
+// Pick up signups left over from an earlier visit, and send them as soon as we're online
+const pending = readQueue();
+if (pending.length) {
+  const [latest] = pending.slice(-1);
+  if (emailInput && !emailInput.value) emailInput.value = latest.payload.email;
+  if (nameInput && !nameInput.value) nameInput.value = latest.payload.name || '';
+  setStatus(PENDING_MESSAGE);
+  flushQueue({ force: true });
+}
+
+window.addEventListener('online', () => flushQueue({ force: true }));
+window.addEventListener('offline', () => {
+  if (readQueue().length) setStatus(PENDING_MESSAGE);
+});
+})();
@@ -0,0 +1,131 @@
+/**
+ * Attribution - First- and last-touch marketing attribution stored on signups
+ *
+ * The browser (js/analytics.js) remembers the first visit and the latest visit that
+ * came from a campaign or another site, and sends both with the signup:
+ *   { firstTouch: { source, medium, campaign, term, content, landingPage, referrer, at }, lastTouch: { ... } }
+ */
+
+const ATTRIBUTION_TOUCHES = ['first', 'last'];
+const UTM_FIELDS = ['source', 'medium', 'campaign', 'term', 'content'];
+const ATTRIBUTION_GROUPS = [...UTM_FIELDS, 'landingPage', 'referrer'];
+
+/**
+ * Strip tags, control characters and surrounding whitespace from a short value
+ */
+function cleanValue(value, maxLength) {
+    if (typeof value !== 'string') {
+        return null;
+    }
+
+    const clean = value
+        .replace(/<[^>]*>/g, '')
+        .replace(/[\u0000-\u001f\u007f]/g, '')
+        .trim()
+        .substring(0, maxLength);
+
+    return clean || null;
+}
+
+/**
+ * Sanitize one touch, null if it carries nothing
+ */
+function sanitizeTouch(touch) {
+    if (!touch || typeof touch !== 'object') {
+        return null;
+    }
+
+    const clean = {};
+    UTM_FIELDS.forEach(field => {
+        clean[field] = cleanValue(touch[field], 200);
+    });
+    clean.landingPage = cleanValue(touch.landingPage, 500);
+    clean.referrer = cleanValue(touch.referrer, 255);
+
+    const at = touch.at ? new Date(touch.at) : null;
+    clean.at = at && !isNaN(at) && at <= new Date() ? at.toISOString() : null;
+
+    return Object.values(clean).some(value => value !== null) ? clean : null;
+}
+
+/**
+ * Sanitize attribution sent by the client, null if there is none
+ */
+function sanitizeAttribution(attribution) {
+    if (!attribution || typeof attribution !== 'object') {
+        return null;
+    }
+
+    const firstTouch = sanitizeTouch(attribution.firstTouch);
+    const lastTouch = sanitizeTouch(attribution.lastTouch) || firstTouch;
+
+    return firstTouch || lastTouch ? { firstTouch: firstTouch || lastTouch, lastTouch } : null;
+}
+
+/**
+ * Combine stored and newly sent attribution: the first touch is kept, the last touch moves on
+ */
+function mergeAttribution(existing, incoming) {
+    if (!existing || !existing.firstTouch) {
+        return incoming || existing || null;
+    }
+
+    return {
+        firstTouch: existing.firstTouch,
+        lastTouch: incoming?.lastTouch || existing.lastTouch
+    };
+}
+
+/**
+ * Get the touch a filter or report refers to
+ */
+function getTouch(signup, touch = 'first') {
+    const attribution = signup.attribution;
+    return attribution ? (touch === 'last' ? attribution.lastTouch : attribution.firstTouch) || null : null;
+}
+
+/**
+ * Check a signup against UTM filters ({ touch, source, medium, campaign }), case-insensitively
+ */
+function matchesAttribution(signup, filter) {
+    const touch = getTouch(signup, filter.touch);
+
+    return UTM_FIELDS.every(field => {
+        if (!filter[field]) {
+            return true;
+        }
+
+        return (touch?.[field] || '').toLowerCase() === filter[field].toLowerCase();
+    });
+}
+
+/**
+ * Count signups by an attribution field, with a breakdown by status.
+ * UTM values are grouped case-insensitively, matching the filters.
+ */
+function aggregateAttribution(signups, { groupBy = 'source', touch = 'first' } = {}) {
+    const groups = new Map();
+
+    signups.forEach(signup => {
+        const raw = getTouch(signup, touch)?.[groupBy];
+        const value = raw ? (UTM_FIELDS.includes(groupBy) ? raw.toLowerCase() : raw) : '(none)';
+        const status = signup.status || 'legacy';
+        const group = groups.get(value) || { value, total: 0, byStatus: {} };
+
+        group.total++;
+        group.byStatus[status] = (group.byStatus[status] || 0) + 1;
+        groups.set(value, group);
+    });
+
+    return [...groups.values()].sort((a, b) => b.total - a.total || a.value.localeCompare(b.value));
+}
+
+module.exports = {
+    ATTRIBUTION_TOUCHES,
+    ATTRIBUTION_GROUPS,
+    UTM_FIELDS,
+    sanitizeAttribution,
+    mergeAttribution,
+    matchesAttribution,
+    aggregateAttribution
+};
@@ -0,0 +1,38 @@
+/**
+ * Audit Trail - Append-only log of data erasures for GDPR accountability
+ * Emails are stored hashed so the trail itself holds no personal data
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Hash a normalized email address
+ */
+function hashEmail(email) {
+    return crypto.createHash('sha256').update(email.trim().toLowerCase()).digest('hex');
+}
+
+/**
+ * Append an entry to an NDJSON audit log
+ */
+async function appendAuditEntry(filePath, { action, email, reason, count }) {
+    const entry = {
+        action,
+        emailHash: hashEmail(email),
+        reason,
+        count,
+        at: new Date().toISOString()
+    };
+    
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.appendFile(filePath, JSON.stringify(entry) + '\n');
+    
+    return entry;
+}
+
+module.exports = {
+    hashEmail,
+    appendAuditEntry
+};
@@ -0,0 +1,577 @@
+/**
+ * Broadcasts - Newsletter sends to a segment of confirmed subscribers
+ *
+ * A broadcast is an email template, the values to render it with and a segment (list
+ * filters on referrer, UTM attribution and signup date; only confirmed signups are ever
+ * included). Launching it snapshots the recipients. A worker then sends them in throttled
+ * batches, batchSize every batchIntervalMs, straight through the email transport.
+ *
+ * Each broadcast is one JSON file holding a status per recipient, rewritten once per batch
+ * when it is claimed. In between, each recipient's outcome is appended to a progress file
+ * as soon as their send returns, and folded into the broadcast whenever it is read. A crash
+ * or restart therefore resumes where it stopped: only a recipient whose send was in flight
+ * is sent again, once their claim runs out. Addresses that unsubscribe or are erased after
+ * the snapshot are skipped when their turn comes.
+ *
+ * A broadcast launched in dry-run mode is a rehearsal (dryRun: true): emails are logged,
+ * and it ends as sent like a real one. It never turns into a real send, even if the worker
+ * restarts with a provider midway; sending it for real takes another send.
+ *
+ * Broadcast statuses: draft, sending, paused, sent, cancelled
+ * Recipient statuses: pending, sending, sent, skipped, failed
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { withFileLock, writeJsonAtomic } = require('./file-lock');
+const { ATTRIBUTION_TOUCHES } = require('./attribution');
+const logger = require('./logger').logger.child({ component: 'broadcasts' });
+
+const BROADCAST_STATUSES = ['draft', 'sending', 'paused', 'sent', 'cancelled'];
+const RECIPIENT_STATUSES = ['pending', 'sending', 'sent', 'skipped', 'failed'];
+
+// List filters a segment can use (see lib/storage)
+const SEGMENT_FIELDS = ['referrer', 'from', 'to', 'touch', 'utmSource', 'utmMedium', 'utmCampaign'];
+
+/**
+ * Validate a new broadcast ({ name, template, data, segment }) against the usable templates
+ */
+function validateBroadcast(body, templates) {
+    if (!body || typeof body !== 'object') {
+        return { isValid: false, message: 'Invalid broadcast' };
+    }
+
+    const name = typeof body.name === 'string' ? body.name.trim().substring(0, 200) : '';
+    if (!name) {
+        return { isValid: false, message: 'name is required' };
+    }
+
+    if (!templates.includes(body.template)) {
+        return { isValid: false, message: `template must be one of: ${templates.join(', ')}` };
+    }
+
+    if (body.data !== undefined && (typeof body.data !== 'object' || body.data === null || Array.isArray(body.data))) {
+        return { isValid: false, message: 'data must be an object of template values' };
+    }
+
+    const segment = {};
+    for (const [field, value] of Object.entries(body.segment || {})) {
+        if (!SEGMENT_FIELDS.includes(field)) {
+            return { isValid: false, message: `segment fields must be from: ${SEGMENT_FIELDS.join(', ')}` };
+        }
+
+        if (value === null || value === undefined || value === '') {
+            continue;
+        }
+
+        if (['from', 'to'].includes(field) && isNaN(new Date(value))) {
+            return { isValid: false, message: 'segment from and to must be valid dates' };
+        }
+
+        if (field === 'touch' && !ATTRIBUTION_TOUCHES.includes(value)) {
+            return { isValid: false, message: `segment touch must be one of: ${ATTRIBUTION_TOUCHES.join(', ')}` };
+        }
+
+        segment[field] = String(value);
+    }
+
+    return {
+        isValid: true,
+        data: { name, template: body.template, data: body.data || {}, segment }
+    };
+}
+
+/**
+ * Count recipients by status
+ */
+function countRecipients(recipients) {
+    const counts = { total: recipients.length };
+    RECIPIENT_STATUSES.forEach(status => {
+        counts[status] = 0;
+    });
+
+    for (const recipient of recipients) {
+        counts[recipient.status]++;
+    }
+
+    return counts;
+}
+
+/**
+ * Create the broadcast store and sender. Broadcasts are kept in dirPath, one file each.
+ *   renderMessage(broadcast, signup) resolves { subject, html, text, headers } for a recipient
+ *   sendMessage({ to, subject, html, text, headers }) resolves { id } or rejects with a transport error
+ *   dryRun launches broadcasts as rehearsals (see above)
+ */
+function createBroadcasts({
+    dirPath,
+    storage,
+    renderMessage,
+    sendMessage,
+    batchSize = 50,
+    batchIntervalMs = 60 * 1000,
+    maxAttempts = 3,
+    retryDelayMs = 5 * 60 * 1000,
+    claimTimeoutMs = 2 * 60 * 1000,
+    pollIntervalMs = 5000,
+    dryRun = false
+}) {
+    const filePath = id => path.join(dirPath, `${id}.json`);
+    const progressPath = id => path.join(dirPath, `${id}.progress.ndjson`);
+    const withLock = (id, fn) => withFileLock(path.join(dirPath, `${id}.lock`), fn);
+
+    let timer = null;
+    let processing = false;
+
+    /**
+     * Read a file, null if it doesn't exist
+     */
+    async function readFile(target) {
+        try {
+            return await fs.readFile(target, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Read a broadcast with the outcomes in its progress file applied, null if there is no
+     * such broadcast
+     */
+    async function read(id) {
+        if (!/^[\w-]+$/.test(id)) {
+            return null;
+        }
+
+        const content = await readFile(filePath(id));
+        if (content === null) {
+            return null;
+        }
+
+        const broadcast = JSON.parse(content);
+        const progress = await readFile(progressPath(id)) || '';
+        if (progress) {
+            const outcomes = new Map();
+            for (const line of progress.split('\n')) {
+                // A line cut short by a crash mid-append is skipped; that send isn't recorded
+                try {
+                    const { signupId, ...changes } = JSON.parse(line);
+                    outcomes.set(signupId, changes);
+                } catch (error) {
+                    continue;
+                }
+            }
+
+            for (const recipient of broadcast.recipients) {
+                if (outcomes.has(recipient.signupId)) {
+                    Object.assign(recipient, outcomes.get(recipient.signupId), { claimedUntil: null });
+                }
+            }
+        }
+
+        return broadcast;
+    }
+
+    /**
+     * Read, change and write a broadcast under its lock. fn returns what to resolve with.
+     * The write includes the progress file's outcomes, so the progress file starts over.
+     */
+    async function modify(id, fn) {
+        return withLock(id, async () => {
+            const broadcast = await read(id);
+            if (!broadcast) {
+                return null;
+            }
+
+            const result = await fn(broadcast);
+            broadcast.updatedAt = new Date().toISOString();
+            await writeJsonAtomic(filePath(id), broadcast);
+            await fs.unlink(progressPath(id)).catch(() => {});
+
+            return result === undefined ? broadcast : result;
+        });
+    }
+
+    /**
+     * Move a broadcast between statuses, resolving the error message if it can't
+     */
+    async function transition(id, from, to, changes = {}) {
+        return modify(id, broadcast => {
+            if (!from.includes(broadcast.status)) {
+                return { error: `A ${broadcast.status} broadcast can't be ${to === 'sending' ? 'sent' : to}` };
+            }
+
+            Object.assign(broadcast, changes, { status: to });
+            return { broadcast: summarize(broadcast) };
+        });
+    }
+
+    /**
+     * Drafts can be sent, and so can finished rehearsals, to send them for real
+     */
+    function isSendable(broadcast) {
+        return broadcast.status === 'draft' || (broadcast.status === 'sent' && broadcast.dryRun);
+    }
+
+    /**
+     * A broadcast without its recipient list, with counts instead
+     */
+    function summarize({ recipients, ...broadcast }) {
+        return { ...broadcast, counts: countRecipients(recipients) };
+    }
+
+    /**
+     * Claim the next batch of a sending broadcast, or mark it sent once nobody is left
+     */
+    async function claimBatch(id) {
+        return modify(id, broadcast => {
+            const now = Date.now();
+            if (broadcast.status !== 'sending') {
+                return [];
+            }
+
+            // A rehearsal the worker picks up with a provider configured ends without sending
+            if (broadcast.dryRun && !dryRun) {
+                broadcast.status = 'sent';
+                broadcast.completedAt = new Date(now).toISOString();
+                logger.info('Dry-run broadcast ended, send it again to send it for real', { broadcastId: broadcast.id });
+                return [];
+            }
+
+            if (!broadcast.recipients.some(recipient => ['pending', 'sending'].includes(recipient.status))) {
+                broadcast.status = 'sent';
+                broadcast.completedAt = new Date(now).toISOString();
+                logger.info(broadcast.dryRun ? 'DRY RUN - Broadcast finished' : 'Broadcast sent', {
+                    broadcastId: broadcast.id,
+                    ...countRecipients(broadcast.recipients)
+                });
+                return [];
+            }
+
+            // Recipients left "sending" past their claim (e.g. after a crash) are due again
+            const due = broadcast.recipients
+                .filter(recipient =>
+                    (recipient.status === 'pending' && new Date(recipient.nextAttemptAt).getTime() <= now) ||
+                    (recipient.status === 'sending' && new Date(recipient.claimedUntil).getTime() <= now))
+                .slice(0, batchSize);
+
+            for (const recipient of due) {
+                recipient.status = 'sending';
+                recipient.attempts += 1;
+                recipient.claimedUntil = new Date(now + claimTimeoutMs).toISOString();
+            }
+
+            if (due.length > 0) {
+                broadcast.nextBatchAt = new Date(now + batchIntervalMs).toISOString();
+            }
+
+            return due.map(recipient => ({ ...recipient }));
+        });
+    }
+
+    /**
+     * Whether a broadcast has a batch due or is ready to be marked sent
+     */
+    function isDue(broadcast, now) {
+        // A real send waits for a worker that can really send it
+        if (dryRun && !broadcast.dryRun) {
+            return false;
+        }
+
+        const { pending, sending } = broadcast.counts;
+        return broadcast.status === 'sending' &&
+            (pending + sending === 0 || new Date(broadcast.nextBatchAt).getTime() <= now);
+    }
+
+    /**
+     * Record the outcome of one recipient by appending it to the broadcast's progress file
+     */
+    async function updateRecipient(id, signupId, changes) {
+        return withLock(id, () =>
+            fs.appendFile(progressPath(id), `${JSON.stringify({ signupId, ...changes })}\n`));
+    }
+
+    /**
+     * Send one claimed recipient their copy
+     */
+    async function deliver(broadcast, recipient) {
+        // The snapshot may be stale: skip anyone who has since left
+        const signup = await storage.findById(recipient.signupId);
+        if (!signup || signup.status !== 'confirmed') {
+            await updateRecipient(broadcast.id, recipient.signupId, {
+                status: 'skipped',
+                error: signup ? signup.status : 'erased'
+            });
+            return;
+        }
+
+        try {
+            const message = await renderMessage(broadcast, signup);
+            const result = await sendMessage({ to: signup.email, ...message });
+
+            await updateRecipient(broadcast.id, recipient.signupId, {
+                status: 'sent',
+                messageId: result.id || null,
+                error: null,
+                sentAt: new Date().toISOString()
+            });
+        } catch (error) {
+            // Retrying a rejected message won't help; everything else gets another go later
+            const failed = error.code === 'invalid_request' || error.code === 'TEMPLATE_NOT_FOUND' ||
+                recipient.attempts >= maxAttempts;
+
+            await updateRecipient(broadcast.id, recipient.signupId, failed
+                ? { status: 'failed', error: error.message }
+                : { status: 'pending', error: error.message, nextAttemptAt: new Date(Date.now() + retryDelayMs).toISOString() });
+
+            logger[failed ? 'error' : 'warn'](failed ? 'Broadcast email failed' : 'Broadcast email failed, will be retried', {
+                broadcastId: broadcast.id,
+                signupId: recipient.signupId,
+                error
+            });
+        }
+    }
+
+    const broadcasts = {
+        /**
+         * Save a new draft broadcast (validated with validateBroadcast)
+         */
+        async create({ name, template, data, segment }) {
+            const now = new Date().toISOString();
+            const broadcast = {
+                id: crypto.randomUUID(),
+                name,
+                template,
+                data,
+                segment,
+                status: 'draft',
+                recipients: [],
+                nextBatchAt: null,
+                createdAt: now,
+                updatedAt: now,
+                startedAt: null,
+                completedAt: null,
+                dryRun: false
+            };
+
+            await fs.mkdir(dirPath, { recursive: true });
+            await writeJsonAtomic(filePath(broadcast.id), broadcast);
+
+            return summarize(broadcast);
+        },
+
+        /**
+         * List broadcasts (without recipients), newest first
+         */
+        async list() {
+            const files = await fs.readdir(dirPath).catch(() => []);
+            const all = [];
+
+            for (const file of files.filter(name => name.endsWith('.json'))) {
+                const broadcast = await read(path.basename(file, '.json'));
+                if (broadcast) {
+                    all.push(summarize(broadcast));
+                }
+            }
+
+            return all.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        },
+
+        /**
+         * Get a broadcast with its recipients, optionally only those in one status
+         */
+        async get(id, { status } = {}) {
+            const broadcast = await read(id);
+            if (!broadcast) {
+                return null;
+            }
+
+            return {
+                ...summarize(broadcast),
+                recipients: broadcast.recipients.filter(recipient => !status || recipient.status === status)
+            };
+        },
+
+        /**
+         * Count the confirmed signups a segment currently matches
+         */
+        async countSegment(segment) {
+            return storage.count({ ...segment, status: 'confirmed' });
+        },
+
+        /**
+         * Send a draft or running broadcast to test addresses, rendered for a sample recipient
+         */
+        async sendTest(id, addresses) {
+            const broadcast = await read(id);
+            if (!broadcast) {
+                return null;
+            }
+
+            const results = [];
+            for (const to of addresses) {
+                const message = await renderMessage(broadcast, { id: 'test', email: to, name: null, locale: null });
+                const result = await sendMessage({ ...message, to, subject: `[Test] ${message.subject}` });
+                results.push({ to, messageId: result.id || null });
+            }
+
+            return results;
+        },
+
+        /**
+         * Snapshot the segment's confirmed signups as recipients and start sending. Takes a
+         * draft, or a finished dry run to send it again.
+         */
+        async send(id) {
+            const broadcast = await read(id);
+            if (!broadcast) {
+                return null;
+            }
+
+            if (!isSendable(broadcast)) {
+                return { error: `A ${broadcast.status} broadcast can't be sent` };
+            }
+
+            const now = new Date().toISOString();
+            const recipients = [];
+            for await (const signup of storage.stream({ ...broadcast.segment, status: 'confirmed' })) {
+                recipients.push({
+                    signupId: signup.id,
+                    email: signup.email,
+                    status: 'pending',
+                    attempts: 0,
+                    nextAttemptAt: now,
+                    claimedUntil: null,
+                    messageId: null,
+                    error: null,
+                    sentAt: null
+                });
+            }
+
+            const result = await modify(id, current => {
+                if (!isSendable(current)) {
+                    return { error: `A ${current.status} broadcast can't be sent` };
+                }
+
+                Object.assign(current, { status: 'sending', dryRun, recipients, startedAt: now, nextBatchAt: now, completedAt: null });
+                return { broadcast: summarize(current) };
+            });
+            if (result && result.broadcast) {
+                logger.info(dryRun ? 'DRY RUN - Broadcast started, emails will be logged' : 'Broadcast started', {
+                    broadcastId: id,
+                    recipients: recipients.length
+                });
+                broadcasts.kick();
+            }
+
+            return result;
+        },
+
+        async pause(id) {
+            return transition(id, ['sending'], 'paused');
+        },
+
+        async resume(id) {
+            const result = await transition(id, ['paused'], 'sending');
+            if (result && result.broadcast) {
+                broadcasts.kick();
+            }
+            return result;
+        },
+
+        /**
+         * Stop a broadcast for good; recipients not yet sent stay pending in the record
+         */
+        async cancel(id) {
+            return transition(id, ['draft', 'sending', 'paused'], 'cancelled');
+        },
+
+        /**
+         * Drop erased signups' addresses from every broadcast's recipient list
+         */
+        async forget(signupIds) {
+            const files = await fs.readdir(dirPath).catch(() => []);
+
+            for (const file of files.filter(name => name.endsWith('.json'))) {
+                await modify(path.basename(file, '.json'), broadcast => {
+                    broadcast.recipients
+                        .filter(recipient => signupIds.includes(recipient.signupId))
+                        .forEach(recipient => {
+                            recipient.email = null;
+                            if (['pending', 'sending'].includes(recipient.status)) {
+                                recipient.status = 'skipped';
+                                recipient.error = 'erased';
+                            }
+                        });
+                });
+            }
+        },
+
+        /**
+         * Send the due batch of every sending broadcast, returning how many emails were attempted
+         */
+        async processDue() {
+            if (processing) {
+                return 0;
+            }
+
+            processing = true;
+            try {
+                let attempted = 0;
+
+                for (const broadcast of await broadcasts.list()) {
+                    if (!isDue(broadcast, Date.now())) {
+                        continue;
+                    }
+
+                    const batch = await claimBatch(broadcast.id);
+                    for (const recipient of batch) {
+                        await deliver(broadcast, recipient);
+                    }
+                    attempted += batch.length;
+                }
+
+                return attempted;
+            } finally {
+                processing = false;
+            }
+        },
+
+        /**
+         * Process due batches without waiting for them
+         */
+        kick() {
+            broadcasts.processDue().catch(error => logger.error('Broadcast worker error', error));
+        },
+
+        /**
+         * Start the background worker
+         */
+        start() {
+            if (!timer) {
+                timer = setInterval(broadcasts.kick, pollIntervalMs);
+                timer.unref();
+                broadcasts.kick();
+            }
+        },
+
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        }
+    };
+
+    return broadcasts;
+}
+
+module.exports = {
+    BROADCAST_STATUSES,
+    RECIPIENT_STATUSES,
+    SEGMENT_FIELDS,
+    validateBroadcast,
+    createBroadcasts
+};
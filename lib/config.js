@@ -0,0 +1,127 @@
+/**
+ * Config - Settings read from the environment, shared by every platform adapter
+ *
+ * Adapters pass overrides for what differs per platform: where data can be written
+ * (dataDir), the path their routes are served under (routeBase) and the public URL.
+ */
+
+const path = require('path');
+const { requiresApiKey } = require('./transports');
+
+/**
+ * Parse TRUST_PROXY: true, false, a number of proxy hops, or comma-separated trusted addresses/subnets
+ */
+function parseTrustProxy(value = 'false') {
+    if (value === 'true' || value === 'false') {
+        return value === 'true';
+    }
+
+    if (/^\d+$/.test(value)) {
+        return Number(value);
+    }
+
+    return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Build the configuration from environment variables and platform overrides
+ */
+function loadConfig(overrides = {}) {
+    const emailProvider = process.env.EMAIL_PROVIDER || 'resend';
+    const dataDir = overrides.dataDir || process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+    return {
+        emailProvider,
+        emailApiKey: process.env.EMAIL_API_KEY,
+        emailFrom: process.env.EMAIL_FROM || 'noreply@revanx.com',
+        emailTo: process.env.EMAIL_TO || 'hello@revanx.com',
+        emailTimeout: (parseInt(process.env.EMAIL_TIMEOUT_SECONDS, 10) || 10) * 1000, // per provider request
+        storageMode: process.env.STORAGE_MODE || 'json',
+        isDryRun: requiresApiKey(emailProvider) && !process.env.EMAIL_API_KEY,
+        mailgunDomain: process.env.MAILGUN_DOMAIN,
+        mailgunRegion: process.env.MAILGUN_REGION || 'us',
+        sesRegion: process.env.AWS_REGION || 'us-east-1',
+        smtpHost: process.env.SMTP_HOST || 'localhost',
+        smtpPort: parseInt(process.env.SMTP_PORT, 10) || 1025,
+        smtpSecure: process.env.SMTP_SECURE === 'true',
+        smtpUser: process.env.SMTP_USER,
+        smtpPassword: process.env.SMTP_PASSWORD,
+        dataDir,
+        mailQueuePath: path.join(dataDir, 'mail-queue.json'),
+        mailQueueMaxAttempts: parseInt(process.env.MAIL_QUEUE_MAX_ATTEMPTS, 10) || 6,
+        outboxDir: process.env.EMAIL_OUTBOX_DIR || path.join(dataDir, 'outbox'),
+        auditLogPath: path.join(dataDir, 'audit.log'),
+        idempotencyPath: path.join(dataDir, 'idempotency.json'),
+        eventsPath: path.join(dataDir, 'events.json'),
+        eventsRetentionDays: parseInt(process.env.EVENTS_RETENTION_DAYS, 10) || 90,
+        idempotencyTtl: (parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10) || 24) * 60 * 60 * 1000,
+        sqlitePath: process.env.SQLITE_PATH,
+        baseUrl: process.env.BASE_URL || '',
+        routeBase: '',
+        awaitDelivery: false, // Serverless platforms can't run a background queue worker
+        confirmTokenTtl: (parseInt(process.env.CONFIRM_TOKEN_TTL_HOURS, 10) || 48) * 60 * 60 * 1000,
+        confirmResendCooldown: (parseInt(process.env.CONFIRM_RESEND_COOLDOWN_MINUTES, 10) || 10) * 60 * 1000,
+        canonicalizeGmail: process.env.CANONICALIZE_GMAIL === 'true',
+        dataRequestTokenTtl: 24 * 60 * 60 * 1000, // 24 hours
+        referralBoost: parseInt(process.env.REFERRAL_BOOST, 10) || 10, // waitlist places per confirmed referral
+        referralIpLimit: parseInt(process.env.REFERRAL_IP_LIMIT, 10) || 3,
+        referralIpWindow: 24 * 60 * 60 * 1000, // 24 hours
+        formTokenRequired: process.env.FORM_TOKEN_REQUIRED !== 'false',
+        formTokenTtl: 24 * 60 * 60 * 1000, // 24 hours
+        formMinFillMs: (parseInt(process.env.FORM_MIN_FILL_SECONDS, 10) || 3) * 1000,
+        blockedEmailDomains: (process.env.BLOCKED_EMAIL_DOMAINS || '')
+            .split(',')
+            .map(domain => domain.trim().toLowerCase())
+            .filter(Boolean),
+        mxCheck: process.env.EMAIL_MX_CHECK || 'off', // off, dns or stub
+        mxStubDomains: {},
+        challengeProvider: process.env.CHALLENGE_PROVIDER, // turnstile or hcaptcha
+        challengeSecret: process.env.CHALLENGE_SECRET,
+        challengeSiteKey: process.env.CHALLENGE_SITE_KEY,
+        challengeTimeout: (parseInt(process.env.CHALLENGE_TIMEOUT_SECONDS, 10) || 5) * 1000, // per verification request
+        rateLimitStore: process.env.RATE_LIMIT_STORE || 'memory', // memory, file or redis
+        rateLimitPath: path.join(dataDir, 'rate-limits.json'),
+        rateLimitRedisUrl: process.env.RATE_LIMIT_REDIS_URL || process.env.REDIS_URL,
+        rateLimits: {
+            subscribe: process.env.RATE_LIMIT_SUBSCRIBE || '5/15m', // per IP
+            subscribeEmail: process.env.RATE_LIMIT_SUBSCRIBE_EMAIL || '3/1h', // per target address
+            privacyRequest: process.env.RATE_LIMIT_PRIVACY_REQUEST || '5/15m',
+            privacyRequestEmail: process.env.RATE_LIMIT_PRIVACY_REQUEST_EMAIL || '3/1h',
+            events: process.env.RATE_LIMIT_EVENTS || '60/1m'
+        },
+        trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+        webhookUrls: (process.env.WEBHOOK_URLS || '')
+            .split(',')
+            .map(url => url.trim())
+            .filter(Boolean),
+        webhookSecret: process.env.WEBHOOK_SECRET,
+        webhookEvents: process.env.WEBHOOK_EVENTS
+            ? process.env.WEBHOOK_EVENTS.split(',').map(event => event.trim()).filter(Boolean)
+            : undefined, // all events
+        webhookDeliveriesPath: path.join(dataDir, 'webhook-deliveries.json'),
+        webhookMaxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8,
+        webhookLogRetention: (parseInt(process.env.WEBHOOK_LOG_RETENTION_DAYS, 10) || 30) * 24 * 60 * 60 * 1000,
+        broadcastsDir: path.join(dataDir, 'broadcasts'),
+        broadcastBatchSize: parseInt(process.env.BROADCAST_BATCH_SIZE, 10) || 50,
+        broadcastBatchInterval: (parseInt(process.env.BROADCAST_BATCH_INTERVAL_SECONDS, 10) || 60) * 1000,
+        corsOrigins: (process.env.CORS_ORIGINS || '')
+            .split(',')
+            .map(origin => origin.trim().replace(/\/+$/, ''))
+            .filter(Boolean),
+        contentSecurityPolicy: process.env.CONTENT_SECURITY_POLICY,
+        analyticsProviders: (process.env.ANALYTICS_PROVIDERS || '')
+            .split(',')
+            .map(provider => provider.trim())
+            .filter(Boolean), // third-party providers the CSP allows: plausible, ga
+        metricsToken: process.env.METRICS_TOKEN,
+        emailHealthCheck: process.env.EMAIL_HEALTH_CHECK || 'verify', // verify, stub or off
+        healthStaleLock: (parseInt(process.env.HEALTH_STALE_LOCK_SECONDS, 10) || 30) * 1000,
+        healthMaxQueueDepth: parseInt(process.env.HEALTH_MAX_QUEUE_DEPTH, 10) || 1000,
+        healthMinFreeDisk: (parseInt(process.env.HEALTH_MIN_FREE_DISK_MB, 10) || 100) * 1024 * 1024,
+        ...overrides
+    };
+}
+
+module.exports = {
+    loadConfig
+};
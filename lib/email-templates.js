@@ -0,0 +1,251 @@
+/**
+ * Email Templates - Localized HTML emails with an auto-generated plain-text part
+ *
+ * Templates live in templates/email/<locale>/<name>.html and start with a front matter
+ * block holding the subject. Values are HTML-escaped unless a template uses {{{triple}}}
+ * braces. Every email is wrapped in templates/email/layout.html, and partials ({{> footer}})
+ * resolve from the locale first, then English, then the shared templates/email/partials.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const Mustache = require('mustache');
+const { escapeHtml } = require('./pages');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates', 'email');
+const SUPPORTED_LOCALES = ['en', 'es'];
+const DEFAULT_LOCALE = 'en';
+
+// Reload from disk on every render outside production so template edits show up in previews
+const cache = new Map();
+const useCache = process.env.NODE_ENV === 'production';
+
+// Example values for previewing each template
+const SAMPLE_DATA = {
+    confirmation: {
+        name: 'Ada',
+        confirmUrl: 'https://example.com/confirm?token=sample',
+        unsubscribeUrl: 'https://example.com/unsubscribe?token=sample',
+        expiresInHours: 48
+    },
+    notification: {
+        email: 'ada@example.com',
+        name: 'Ada',
+        timestamp: '2024-01-01T12:00:00.000Z',
+        ip: '203.0.113.7',
+        userAgent: 'Mozilla/5.0 <sample>',
+        referrer: 'https://news.example.com/',
+        locale: 'en',
+        consent: true,
+        confirmedAt: '2024-01-01T12:05:00.000Z',
+        confirmIp: '203.0.113.7'
+    },
+    'data-request': {
+        privacyUrl: 'https://example.com/privacy?token=sample',
+        expiresInHours: 24
+    },
+    broadcast: {
+        subject: 'REVANX is live',
+        heading: 'We\'ve launched!',
+        name: 'Ada',
+        paragraphs: ['Thanks for waiting with us.', 'Your early access is ready.'],
+        buttonUrl: 'https://example.com/',
+        buttonLabel: 'Get started',
+        unsubscribeUrl: 'https://example.com/unsubscribe?token=sample'
+    }
+};
+
+// Sent by the signup flows themselves, so they can't be used for broadcasts
+const TRANSACTIONAL_TEMPLATES = ['confirmation', 'notification', 'data-request'];
+
+/**
+ * Pick the best supported locale from a locale tag or an Accept-Language header
+ */
+function resolveLocale(preferred) {
+    if (!preferred || typeof preferred !== 'string') {
+        return DEFAULT_LOCALE;
+    }
+
+    const candidates = preferred
+        .split(',')
+        .map(part => {
+            const [tag, ...params] = part.trim().split(';');
+            const quality = params.find(param => param.trim().startsWith('q='));
+            return {
+                language: tag.trim().toLowerCase().split(/[-_]/)[0],
+                q: quality ? parseFloat(quality.trim().substring(2)) || 0 : 1
+            };
+        })
+        .filter(candidate => candidate.q > 0)
+        .sort((a, b) => b.q - a.q);
+
+    const match = candidates.find(candidate => SUPPORTED_LOCALES.includes(candidate.language));
+    return match ? match.language : DEFAULT_LOCALE;
+}
+
+/**
+ * Read a template file, or null if it doesn't exist
+ */
+async function readTemplate(relativePath) {
+    if (useCache && cache.has(relativePath)) {
+        return cache.get(relativePath);
+    }
+
+    let source;
+    try {
+        source = await fs.readFile(path.join(TEMPLATES_DIR, relativePath), 'utf8');
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+        source = null;
+    }
+
+    if (useCache) {
+        cache.set(relativePath, source);
+    }
+
+    return source;
+}
+
+/**
+ * Read the first file that exists for a locale, falling back to English and then shared
+ */
+async function readLocalized(locale, relativePath) {
+    const candidates = [
+        path.join(locale, relativePath),
+        path.join(DEFAULT_LOCALE, relativePath),
+        relativePath
+    ];
+
+    for (const candidate of candidates) {
+        const source = await readTemplate(candidate);
+        if (source !== null) {
+            return source;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Split a template into its front matter fields and body
+ */
+function parseFrontMatter(source) {
+    const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+    if (!match) {
+        return { fields: {}, body: source };
+    }
+
+    const fields = {};
+    for (const line of match[1].split(/\r?\n/)) {
+        const separator = line.indexOf(':');
+        if (separator > 0) {
+            fields[line.substring(0, separator).trim()] = line.substring(separator + 1).trim();
+        }
+    }
+
+    return { fields, body: source.substring(match[0].length) };
+}
+
+/**
+ * Load every partial a template set can use for a locale
+ */
+async function loadPartials(locale) {
+    const names = new Set();
+
+    for (const dir of [path.join(locale, 'partials'), path.join(DEFAULT_LOCALE, 'partials'), 'partials']) {
+        const files = await fs.readdir(path.join(TEMPLATES_DIR, dir)).catch(() => []);
+        files.filter(file => file.endsWith('.html')).forEach(file => names.add(path.basename(file, '.html')));
+    }
+
+    const partials = {};
+    for (const name of names) {
+        partials[name] = await readLocalized(locale, path.join('partials', `${name}.html`));
+    }
+
+    return partials;
+}
+
+/**
+ * Convert rendered email HTML into a readable plain-text alternative
+ */
+function htmlToText(html) {
+    return html
+        .replace(/<(style|script|head|title)[^>]*>[\s\S]*?<\/\1>/gi, '')
+        .replace(/\s+/g, ' ')
+        .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+            const text = label.replace(/<[^>]*>/g, '').trim();
+            return text && text !== href ? `${text} (${href})` : href;
+        })
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<li[^>]*>/gi, '\n- ')
+        .replace(/<hr[^>]*>/gi, '\n\n---\n\n')
+        .replace(/<\/(p|div|h[1-6]|ul|ol|table|tr)>/gi, '\n\n')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+        .replace(/&quot;/g, '"')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .split('\n')
+        .map(line => line.replace(/[ \t]+/g, ' ').trim())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Render a named email for a locale. Resolves with { subject, html, text, locale }.
+ */
+async function renderEmail(name, data = {}, { locale } = {}) {
+    const resolvedLocale = SUPPORTED_LOCALES.includes(locale) ? locale : DEFAULT_LOCALE;
+    const source = await readLocalized(resolvedLocale, `${name}.html`);
+
+    if (source === null) {
+        const error = new Error(`Email template not found: ${name}`);
+        error.code = 'TEMPLATE_NOT_FOUND';
+        throw error;
+    }
+
+    const { fields, body } = parseFrontMatter(source);
+    const partials = await loadPartials(resolvedLocale);
+    const layout = await readTemplate('layout.html') || '{{{body}}}';
+    const view = { ...data, locale: data.locale || resolvedLocale };
+
+    const content = Mustache.render(body, view, partials, { escape: escapeHtml });
+    const html = Mustache.render(layout, { ...view, body: content }, partials, { escape: escapeHtml });
+
+    // Subjects are plain text headers, not HTML
+    const subject = Mustache.render(fields.subject || '', view, {}, { escape: value => String(value) });
+
+    return {
+        subject,
+        html,
+        text: htmlToText(html),
+        locale: resolvedLocale
+    };
+}
+
+/**
+ * List the available template names
+ */
+async function listTemplates() {
+    const files = await fs.readdir(path.join(TEMPLATES_DIR, DEFAULT_LOCALE));
+    return files
+        .filter(file => file.endsWith('.html'))
+        .map(file => path.basename(file, '.html'));
+}
+
+module.exports = {
+    SUPPORTED_LOCALES,
+    DEFAULT_LOCALE,
+    SAMPLE_DATA,
+    TRANSACTIONAL_TEMPLATES,
+    resolveLocale,
+    renderEmail,
+    listTemplates,
+    htmlToText
+};
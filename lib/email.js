@@ -0,0 +1,35 @@
+/**
+ * Email Addresses - Validation and normalization used as the signup key
+ */
+
+const EMAIL_REGEX = /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
+
+const GMAIL_DOMAINS = ['gmail.com', 'googlemail.com'];
+
+/**
+ * Normalize an email address: trimmed and lowercased.
+ * With canonicalizeGmail, Gmail dots and +tags are removed and googlemail.com becomes gmail.com,
+ * since they all deliver to the same inbox.
+ */
+function normalizeEmail(email, { canonicalizeGmail = false } = {}) {
+    const clean = String(email).trim().toLowerCase();
+    const at = clean.lastIndexOf('@');
+
+    if (!canonicalizeGmail || at === -1) {
+        return clean;
+    }
+
+    const local = clean.substring(0, at);
+    const domain = clean.substring(at + 1);
+
+    if (!GMAIL_DOMAINS.includes(domain)) {
+        return clean;
+    }
+
+    return `${local.split('+')[0].replace(/\./g, '')}@gmail.com`;
+}
+
+module.exports = {
+    EMAIL_REGEX,
+    normalizeEmail
+};
@@ -0,0 +1,277 @@
+/**
+ * Events - First-party analytics collector with daily funnel aggregates
+ *
+ * Client events (js/analytics.js) are folded into one record per UTC day, broken down
+ * by referring host and UTM source. Individual events, IPs and user agents are never
+ * written to disk; unique visitors are counted from a hash of the anonymised IP and
+ * user agent with a salt that rotates daily and only lives in memory.
+ */
+
+const crypto = require('crypto');
+const { withFileLock, readJsonArray, writeJsonAtomic } = require('./file-lock');
+
+// Events the collector accepts; anything else is ignored
+const TRACKED_EVENTS = [
+    'page_loaded',
+    'signup_submitted',
+    'signup_error',
+    'signup_success',
+    'signup_retry_sent',
+    'link_click'
+];
+
+const FUNNEL_METRICS = ['views', 'visitors', 'submits', 'validationFailures', 'successes', 'errors', 'clicks'];
+
+const MAX_BATCH_SIZE = 50;
+const MAX_DIMENSION_KEYS = 200; // per day, so junk referrers can't bloat the file
+const BOT_USER_AGENT_REGEX = /bot|crawl|spider|slurp|headless|lighthouse|pingdom|monitor|preview|curl|wget|python|java\/|go-http|axios|node-fetch|phantom|selenium|puppeteer|playwright/i;
+
+/**
+ * Truncate an IP address: IPv4 to /24, IPv6 to /48
+ */
+function anonymizeIp(ip) {
+    if (!ip || ip === 'unknown') {
+        return 'unknown';
+    }
+
+    const address = ip.replace(/^::ffff:/, '');
+
+    if (address.includes('.')) {
+        return address.split('.').slice(0, 3).concat('0').join('.');
+    }
+
+    return address.split(':').slice(0, 3).join(':') + '::';
+}
+
+/**
+ * Whether a user agent looks automated (or is missing)
+ */
+function isBot(userAgent) {
+    return !userAgent || BOT_USER_AGENT_REGEX.test(userAgent);
+}
+
+/**
+ * Map a client event onto the funnel metric it counts towards, or null
+ */
+function funnelMetric({ event, props }) {
+    switch (event) {
+        case 'page_loaded':
+            return 'views';
+        case 'signup_submitted':
+            return 'submits';
+        case 'signup_error':
+            return props.code === 'invalid_input' ? 'validationFailures' : 'errors';
+        // A retried signup reports signup_retry_sent and then signup_success for the same
+        // response, so only signup_success counts
+        case 'signup_success':
+            return 'successes';
+        case 'link_click':
+            return 'clicks';
+        default:
+            return null;
+    }
+}
+
+/**
+ * Normalize a dimension value (referrer host or UTM source) for use as a key
+ */
+function dimensionKey(value, fallback) {
+    const key = typeof value === 'string' ? value.trim().toLowerCase().substring(0, 100) : '';
+    return key || fallback;
+}
+
+/**
+ * Validate a batch of client events ({ events: [...] }, an array, or a single event)
+ */
+function validateEventBatch(body) {
+    const events = Array.isArray(body) ? body : Array.isArray(body?.events) ? body.events : body ? [body] : [];
+
+    if (events.length === 0) {
+        return { isValid: false, message: 'No events in request' };
+    }
+
+    if (events.length > MAX_BATCH_SIZE) {
+        return { isValid: false, message: `At most ${MAX_BATCH_SIZE} events per request` };
+    }
+
+    const valid = events
+        .filter(item => item && typeof item === 'object' && TRACKED_EVENTS.includes(item.event))
+        .map(item => {
+            const props = item.props && typeof item.props === 'object' ? item.props : {};
+            const context = item.context && typeof item.context === 'object' ? item.context : {};
+            const utm = context.utm && typeof context.utm === 'object' ? context.utm : {};
+
+            return {
+                event: item.event,
+                props,
+                referrer: dimensionKey(context.referrer, '(direct)'),
+                source: dimensionKey(utm.utm_source, '(none)')
+            };
+        });
+
+    return { isValid: true, data: valid };
+}
+
+/**
+ * Create an event collector backed by a JSON file of daily aggregates
+ */
+function createEventStore({ filePath, retentionDays = 90 }) {
+    const lockPath = `${filePath}.lock`;
+    const withLock = fn => withFileLock(lockPath, fn);
+    const readAll = () => readJsonArray(filePath);
+    const writeAll = days => writeJsonAtomic(filePath, days);
+
+    // Visitor hashes for today only; the salt rotates with the date so hashes can't be linked across days
+    let visitorDay = null;
+    let visitorSalt = null;
+    let visitorHashes = new Set();
+
+    /**
+     * Count a visitor once per day, returning whether they are new today
+     */
+    function isNewVisitor(date, ip, userAgent) {
+        if (visitorDay !== date) {
+            visitorDay = date;
+            visitorSalt = crypto.randomBytes(16);
+            visitorHashes = new Set();
+        }
+
+        const hash = crypto.createHash('sha256')
+            .update(visitorSalt)
+            .update(`${anonymizeIp(ip)}|${userAgent}`)
+            .digest('hex');
+
+        if (visitorHashes.has(hash)) {
+            return false;
+        }
+
+        visitorHashes.add(hash);
+        return true;
+    }
+
+    /**
+     * Add one to a metric in a dimension map, folding overflow keys into "(other)"
+     */
+    function increment(map, key, metric) {
+        const bucketKey = (map[key] || Object.keys(map).length < MAX_DIMENSION_KEYS) ? key : '(other)';
+        const bucket = map[bucketKey] = map[bucketKey] || {};
+        bucket[metric] = (bucket[metric] || 0) + 1;
+    }
+
+    return {
+        /**
+         * Record a validated batch. Returns how many events were counted.
+         */
+        async record(events, { ip, userAgent }) {
+            if (isBot(userAgent)) {
+                return 0;
+            }
+
+            const now = new Date();
+            const date = now.toISOString().substring(0, 10);
+            const counted = events
+                .map(event => ({ ...event, metric: funnelMetric(event) }))
+                .filter(event => event.metric);
+
+            if (counted.length === 0) {
+                return 0;
+            }
+
+            return withLock(async () => {
+                const cutoff = new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000)
+                    .toISOString().substring(0, 10);
+                const days = (await readAll()).filter(day => day.date >= cutoff);
+
+                let day = days.find(candidate => candidate.date === date);
+                if (!day) {
+                    day = { date, totals: {}, referrers: {}, sources: {} };
+                    days.push(day);
+                }
+
+                counted.forEach(event => {
+                    const metrics = [event.metric];
+                    if (event.metric === 'views' && isNewVisitor(date, ip, userAgent)) {
+                        metrics.push('visitors');
+                    }
+
+                    metrics.forEach(metric => {
+                        day.totals[metric] = (day.totals[metric] || 0) + 1;
+                        increment(day.referrers, event.referrer, metric);
+                        increment(day.sources, event.source, metric);
+                    });
+                });
+
+                await writeAll(days);
+                return counted.length;
+            });
+        },
+
+        /**
+         * Summarize the funnel for an inclusive YYYY-MM-DD date range
+         */
+        async funnel({ from, to }) {
+            const days = (await readAll()).filter(day => day.date >= from && day.date <= to);
+            const totals = emptyMetrics();
+            const referrers = {};
+            const sources = {};
+
+            const addInto = (target, counts) => {
+                FUNNEL_METRICS.forEach(metric => {
+                    target[metric] += counts[metric] || 0;
+                });
+            };
+
+            days.forEach(day => {
+                addInto(totals, day.totals);
+                Object.entries(day.referrers).forEach(([key, counts]) => addInto(referrers[key] = referrers[key] || emptyMetrics(), counts));
+                Object.entries(day.sources).forEach(([key, counts]) => addInto(sources[key] = sources[key] || emptyMetrics(), counts));
+            });
+
+            const breakdown = (map, label) => Object.entries(map)
+                .map(([key, counts]) => ({ [label]: key, ...withRates(counts) }))
+                .sort((a, b) => b.views - a.views || b.submits - a.submits);
+
+            return {
+                from,
+                to,
+                totals: withRates(totals),
+                referrers: breakdown(referrers, 'referrer'),
+                sources: breakdown(sources, 'source'),
+                daily: days
+                    .sort((a, b) => a.date.localeCompare(b.date))
+                    .map(day => ({ date: day.date, ...withRates({ ...emptyMetrics(), ...day.totals }) }))
+            };
+        }
+    };
+}
+
+/**
+ * Zeroed funnel counters
+ */
+function emptyMetrics() {
+    return Object.fromEntries(FUNNEL_METRICS.map(metric => [metric, 0]));
+}
+
+/**
+ * Add conversion rates (0-1, null without a denominator) to funnel counts
+ */
+function withRates(counts) {
+    const rate = (part, whole) => whole ? Math.round((part / whole) * 1000) / 1000 : null;
+
+    return {
+        ...counts,
+        submitRate: rate(counts.submits, counts.views),
+        successRate: rate(counts.successes, counts.submits),
+        conversionRate: rate(counts.successes, counts.views)
+    };
+}
+
+module.exports = {
+    TRACKED_EVENTS,
+    FUNNEL_METRICS,
+    funnelMetric,
+    anonymizeIp,
+    isBot,
+    validateEventBatch,
+    createEventStore
+};
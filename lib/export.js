@@ -0,0 +1,152 @@
+/**
+ * Export - Signups as CSV, JSON or NDJSON for CRM import
+ *
+ * exportSignups() takes an async iterable of signups (storage.stream()) and yields
+ * the file in chunks, so an export never has to be built in memory. Used by
+ * GET /admin/signups/export and scripts/export-signups.js.
+ */
+
+const crypto = require('crypto');
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+// Column name => value for a signup. Attribution columns are the first touch; last* the last touch.
+const EXPORT_COLUMNS = {
+    id: signup => signup.id,
+    email: signup => signup.email,
+    name: signup => signup.name,
+    status: signup => signup.status || 'legacy',
+    consent: signup => Boolean(signup.consent),
+    locale: signup => signup.locale,
+    createdAt: signup => signup.createdAt,
+    confirmedAt: signup => signup.confirmedAt,
+    unsubscribedAt: signup => signup.unsubscribedAt,
+    referrer: signup => signup.referrer,
+    utmSource: signup => signup.attribution?.firstTouch?.source,
+    utmMedium: signup => signup.attribution?.firstTouch?.medium,
+    utmCampaign: signup => signup.attribution?.firstTouch?.campaign,
+    lastUtmSource: signup => signup.attribution?.lastTouch?.source,
+    lastUtmMedium: signup => signup.attribution?.lastTouch?.medium,
+    lastUtmCampaign: signup => signup.attribution?.lastTouch?.campaign,
+    referralCode: signup => signup.referralCode,
+    referredBy: signup => signup.referredBy,
+    ip: signup => signup.ip,
+    userAgent: signup => signup.userAgent
+};
+
+// IP and user agent are left out unless asked for
+const DEFAULT_COLUMNS = Object.keys(EXPORT_COLUMNS).filter(column => !['ip', 'userAgent'].includes(column));
+
+// Columns replaced by a keyed hash when pseudonymizing
+const PSEUDONYMIZED_COLUMNS = ['ip', 'userAgent'];
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX_REGEX = /^[=+\-@\t\r]/;
+
+/**
+ * Validate export options ({ format, columns, pseudonymize }), columns as an array or comma-separated string
+ */
+function parseExportOptions({ format = 'csv', columns, pseudonymize = false }) {
+    if (!EXPORT_FORMATS[format]) {
+        return { isValid: false, message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` };
+    }
+
+    const selected = !columns
+        ? DEFAULT_COLUMNS
+        : (Array.isArray(columns) ? columns : String(columns).split(','))
+            .map(column => column.trim())
+            .filter(Boolean);
+
+    const unknown = selected.filter(column => !EXPORT_COLUMNS[column]);
+    if (selected.length === 0 || unknown.length > 0) {
+        return { isValid: false, message: `columns must be from: ${Object.keys(EXPORT_COLUMNS).join(', ')}` };
+    }
+
+    return {
+        isValid: true,
+        data: { format, columns: [...new Set(selected)], pseudonymize: pseudonymize === true || pseudonymize === 'true' }
+    };
+}
+
+/**
+ * Escape a value for a CSV cell (RFC 4180), neutralizing spreadsheet formulas
+ */
+function escapeCsvCell(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    let cell = String(value);
+    if (FORMULA_PREFIX_REGEX.test(cell)) {
+        cell = `'${cell}`;
+    }
+
+    return /[",\r\n]/.test(cell) || cell !== cell.trim() ? `"${cell.replace(/"/g, '""')}"` : cell;
+}
+
+/**
+ * Create a function picking the selected columns from a signup. Pseudonymized columns
+ * are HMACed with a key made for this export: equal values still match within the
+ * file, but can't be reversed or joined with another export.
+ */
+function createRowMapper({ columns, pseudonymize }) {
+    const key = crypto.randomBytes(32);
+    const hash = value => value
+        ? crypto.createHmac('sha256', key).update(String(value)).digest('hex').substring(0, 16)
+        : null;
+
+    return signup => {
+        const row = {};
+        columns.forEach(column => {
+            const value = EXPORT_COLUMNS[column](signup);
+            row[column] = pseudonymize && PSEUDONYMIZED_COLUMNS.includes(column) ? hash(value) : value ?? null;
+        });
+        return row;
+    };
+}
+
+/**
+ * Serialize signups in the chosen format, yielding string chunks
+ */
+async function* exportSignups(signups, options) {
+    const { format, columns } = options;
+    const toRow = createRowMapper(options);
+    let isFirst = true;
+
+    if (format === 'csv') {
+        yield columns.map(escapeCsvCell).join(',') + '\r\n';
+    } else if (format === 'json') {
+        yield '[';
+    }
+
+    for await (const signup of signups) {
+        const row = toRow(signup);
+
+        if (format === 'csv') {
+            yield columns.map(column => escapeCsvCell(row[column])).join(',') + '\r\n';
+        } else if (format === 'json') {
+            yield `${isFirst ? '\n' : ',\n'}${JSON.stringify(row)}`;
+        } else {
+            yield JSON.stringify(row) + '\n';
+        }
+
+        isFirst = false;
+    }
+
+    if (format === 'json') {
+        yield isFirst ? ']\n' : '\n]\n';
+    }
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    EXPORT_COLUMNS,
+    DEFAULT_COLUMNS,
+    parseExportOptions,
+    escapeCsvCell,
+    exportSignups
+};
@@ -0,0 +1,74 @@
+/**
+ * File Lock - Cross-process lock using an exclusively created lock file
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { logger } = require('./logger');
+
+/**
+ * Run a function while holding the lock file at lockPath
+ */
+async function withFileLock(lockPath, fn) {
+    // Ensure the directory exists before creating the lock file in it
+    await fs.mkdir(path.dirname(lockPath), { recursive: true });
+
+    // Simple file locking mechanism
+    let lockAcquired = false;
+    let attempts = 0;
+    const maxAttempts = 10;
+
+    while (!lockAcquired && attempts < maxAttempts) {
+        try {
+            // Try to create lock file
+            await fs.writeFile(lockPath, process.pid.toString(), { flag: 'wx' });
+            lockAcquired = true;
+        } catch (error) {
+            // Lock file exists, wait and retry
+            attempts++;
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+    }
+
+    if (!lockAcquired) {
+        throw new Error('Could not acquire file lock');
+    }
+
+    try {
+        return await fn();
+    } finally {
+        // Release lock
+        try {
+            await fs.unlink(lockPath);
+        } catch (error) {
+            logger.error('Error releasing lock', { lockPath, error });
+        }
+    }
+}
+
+/**
+ * Read a JSON array file, returning an empty array if it is missing or invalid
+ */
+async function readJsonArray(filePath) {
+    try {
+        const data = await fs.readFile(filePath, 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Write a JSON file atomically via a temp file and rename
+ */
+async function writeJsonAtomic(filePath, value) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(value, null, 2));
+    await fs.rename(tempPath, filePath);
+}
+
+module.exports = {
+    withFileLock,
+    readJsonArray,
+    writeJsonAtomic
+};
@@ -0,0 +1,317 @@
+/**
+ * Health - Liveness and readiness checks for load balancers and container orchestrators
+ *
+ * Liveness only says the process is up and serving requests: restarting it won't fix a
+ * full disk or a revoked API key, so it never looks at dependencies. Readiness checks each
+ * component a signup needs and reports it as one of HEALTH_STATUSES:
+ *   ok        - working
+ *   degraded  - working, but needs attention (queue backlog, low disk space)
+ *   down      - failing (unwritable data directory, stale lock file, provider unreachable)
+ *   skipped   - not configured, so nothing to check
+ * The overall status is the worst component status; anything but ok fails the probe.
+ *
+ * Every check has a timeout, and the email provider is asked at most once per
+ * emailCheckIntervalMs so frequent probes don't spend its API quota.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { writeJsonAtomic } = require('./file-lock');
+const logger = require('./logger').logger.child({ component: 'health' });
+
+const HEALTH_STATUSES = ['ok', 'degraded', 'down', 'skipped'];
+
+// Worst first, for the overall status
+const SEVERITY = ['down', 'degraded', 'ok', 'skipped'];
+
+const BYTES_PER_MB = 1024 * 1024;
+
+/**
+ * Create the liveness and readiness checks
+ */
+function createHealthChecks({
+    dataDir,
+    storage,
+    storageMode,
+    transport,
+    mailQueue,
+    webhooks,
+    emailCheck = 'verify', // verify, stub or off
+    staleLockMs = 30 * 1000,
+    maxQueueDepth = 1000,
+    minFreeDiskBytes = 100 * BYTES_PER_MB,
+    emailCheckIntervalMs = 60 * 1000,
+    timeoutMs = 5000
+}) {
+    const startedAt = Date.now();
+    const lastStatuses = {};
+    let emailResult = null;
+    let emailCheckedAt = 0;
+    let emailPending = null;
+
+    /**
+     * Signup storage can be read and written
+     */
+    async function checkStorage() {
+        await storage.check();
+        return { status: 'ok', mode: storageMode };
+    }
+
+    /**
+     * The data directory (queues, idempotency keys, rate limits, analytics) takes a write
+     * and reads it back
+     */
+    async function checkDataDirectory() {
+        const probePath = path.join(dataDir, `.health-${process.pid}.json`);
+        const written = { checkedAt: new Date().toISOString() };
+
+        await fs.mkdir(dataDir, { recursive: true });
+        await writeJsonAtomic(probePath, written);
+
+        try {
+            const read = JSON.parse(await fs.readFile(probePath, 'utf8'));
+            if (read.checkedAt !== written.checkedAt) {
+                return { status: 'down', message: 'Data directory returned different content than was written' };
+            }
+        } finally {
+            await fs.unlink(probePath).catch(() => {});
+        }
+
+        return { status: 'ok' };
+    }
+
+    /**
+     * No lock file has been held longer than any write takes. withFileLock never breaks a
+     * lock, so a lock left behind by a crashed process blocks every write to its file.
+     */
+    async function checkLocks() {
+        const now = Date.now();
+        const locks = await findLockFiles(dataDir);
+        const stale = [];
+
+        for (const lockPath of locks) {
+            const stats = await fs.stat(lockPath).catch(() => null);
+
+            // Released since it was listed
+            if (!stats || now - stats.mtimeMs < staleLockMs) {
+                continue;
+            }
+
+            const pid = await fs.readFile(lockPath, 'utf8').catch(() => '');
+            stale.push({
+                file: path.relative(dataDir, lockPath),
+                pid: Number(pid) || null,
+                ageSeconds: Math.round((now - stats.mtimeMs) / 1000)
+            });
+        }
+
+        if (stale.length > 0) {
+            return { status: 'down', message: 'Stale lock files are blocking writes', stale };
+        }
+
+        return { status: 'ok', held: locks.length };
+    }
+
+    /**
+     * The email provider is reachable and accepts the credentials
+     */
+    async function checkEmail() {
+        if (!transport) {
+            return { status: 'skipped', message: 'Dry-run mode, emails are logged instead of sent' };
+        }
+
+        if (emailCheck === 'off') {
+            return { status: 'skipped', provider: transport.name, message: 'EMAIL_HEALTH_CHECK is off' };
+        }
+
+        // Never touches the network, for tests and offline development
+        if (emailCheck === 'stub') {
+            return { status: 'ok', provider: transport.name, stub: true };
+        }
+
+        if (Date.now() - emailCheckedAt < emailCheckIntervalMs) {
+            return emailResult;
+        }
+
+        // Concurrent probes share one provider call
+        if (!emailPending) {
+            emailPending = verifyTransport().finally(() => {
+                emailPending = null;
+            });
+        }
+
+        return emailPending;
+    }
+
+    async function verifyTransport() {
+        const checkedAt = new Date().toISOString();
+
+        try {
+            await withTimeout(transport.verify(), timeoutMs);
+            emailResult = { status: 'ok', provider: transport.name, checkedAt };
+        } catch (error) {
+            emailResult = { status: 'down', provider: transport.name, code: error.code || 'unknown', message: error.message, checkedAt };
+        }
+
+        emailCheckedAt = Date.now();
+        return emailResult;
+    }
+
+    /**
+     * Outbound email and webhook backlogs are below maxQueueDepth
+     */
+    async function checkQueues() {
+        if (!mailQueue && !webhooks) {
+            return { status: 'skipped', message: 'No queues configured' };
+        }
+
+        const result = { status: 'ok', maxDepth: maxQueueDepth };
+
+        if (mailQueue) {
+            const { queued, sending, dead } = await mailQueue.stats();
+            result.mail = { depth: queued + sending, dead };
+        }
+
+        if (webhooks) {
+            const { pending, delivering, failed } = await webhooks.stats();
+            result.webhooks = { depth: pending + delivering, failed };
+        }
+
+        const backlogged = ['mail', 'webhooks'].filter(queue => result[queue] && result[queue].depth > maxQueueDepth);
+        if (backlogged.length > 0) {
+            result.status = 'degraded';
+            result.message = `Backlog over ${maxQueueDepth}: ${backlogged.join(', ')}`;
+        }
+
+        return result;
+    }
+
+    /**
+     * The data directory's disk has at least minFreeDiskBytes free
+     */
+    async function checkDisk() {
+        // fs.statfs arrived in Node.js 18.15
+        if (!fs.statfs) {
+            return { status: 'skipped', message: 'Needs Node.js 18.15 or later' };
+        }
+
+        const stats = await fs.statfs(dataDir);
+        const freeMb = Math.floor(stats.bavail * stats.bsize / BYTES_PER_MB);
+        const totalMb = Math.floor(stats.blocks * stats.bsize / BYTES_PER_MB);
+        const minFreeMb = Math.floor(minFreeDiskBytes / BYTES_PER_MB);
+
+        if (freeMb < minFreeMb) {
+            return { status: 'degraded', message: `Less than ${minFreeMb} MB free`, freeMb, totalMb, minFreeMb };
+        }
+
+        return { status: 'ok', freeMb, totalMb, minFreeMb };
+    }
+
+    const CHECKS = {
+        storage: checkStorage,
+        dataDirectory: checkDataDirectory,
+        locks: checkLocks,
+        email: checkEmail,
+        queues: checkQueues,
+        disk: checkDisk
+    };
+
+    /**
+     * Run one check, turning errors and timeouts into a down status.
+     * Changes of status are logged once rather than on every probe.
+     */
+    async function runCheck(name, check) {
+        let result;
+        try {
+            result = await withTimeout(check(), timeoutMs);
+        } catch (error) {
+            result = { status: 'down', message: error.message };
+        }
+
+        const previous = lastStatuses[name];
+        lastStatuses[name] = result.status;
+
+        if (previous !== result.status && (previous || result.status !== 'ok')) {
+            const level = ['down', 'degraded'].includes(result.status) ? 'warn' : 'info';
+            logger[level]('Health check status changed', { check: name, from: previous || null, ...result });
+        }
+
+        return result;
+    }
+
+    return {
+        /**
+         * The process is up
+         */
+        live() {
+            return {
+                status: 'ok',
+                uptimeSeconds: Math.round((Date.now() - startedAt) / 1000)
+            };
+        },
+
+        /**
+         * Every component with its status, and the worst of them as the overall status
+         */
+        async ready() {
+            const names = Object.keys(CHECKS);
+            const results = await Promise.all(names.map(name => runCheck(name, CHECKS[name])));
+            const components = Object.fromEntries(names.map((name, index) => [name, results[index]]));
+            const status = SEVERITY.find(candidate => results.some(result => result.status === candidate));
+
+            return {
+                status: status === 'skipped' ? 'ok' : status,
+                components
+            };
+        }
+    };
+}
+
+/**
+ * List the lock files in a directory and its immediate subdirectories
+ */
+async function findLockFiles(dirPath, depth = 1) {
+    let entries;
+    try {
+        entries = await fs.readdir(dirPath, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+
+    const locks = [];
+    for (const entry of entries) {
+        const entryPath = path.join(dirPath, entry.name);
+
+        if (entry.isFile() && entry.name.endsWith('.lock')) {
+            locks.push(entryPath);
+        } else if (entry.isDirectory() && depth > 0) {
+            locks.push(...await findLockFiles(entryPath, depth - 1));
+        }
+    }
+
+    return locks;
+}
+
+/**
+ * Reject if a promise hasn't settled within timeoutMs
+ */
+async function withTimeout(promise, timeoutMs) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+    });
+
+    try {
+        return await Promise.race([promise, timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+module.exports = {
+    HEALTH_STATUSES,
+    createHealthChecks
+};
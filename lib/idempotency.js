@@ -0,0 +1,105 @@
+/**
+ * Idempotency - Remembers the response to each Idempotency-Key so client retries replay it
+ *
+ * A key is claimed before the request is processed, so a retry that arrives while the
+ * original is still running is told to wait instead of running twice. Completed responses
+ * are kept for ttlMs; requests a retry could still get through (server errors, rate limits,
+ * stale form tokens) release their key so the retry runs again.
+ * Each key is bound to a fingerprint of the request it was first used with.
+ */
+
+const { withFileLock, readJsonArray, writeJsonAtomic } = require('./file-lock');
+
+const IDEMPOTENCY_KEY_REGEX = /^[A-Za-z0-9_-]{8,255}$/;
+
+/**
+ * Create an idempotency key store backed by a JSON file
+ */
+function createIdempotencyStore({ filePath, ttlMs = 24 * 60 * 60 * 1000, claimTimeoutMs = 60 * 1000 }) {
+    const lockPath = `${filePath}.lock`;
+    const withLock = fn => withFileLock(lockPath, fn);
+    const readAll = () => readJsonArray(filePath);
+    const writeAll = records => writeJsonAtomic(filePath, records);
+
+    /**
+     * Drop records past their expiry
+     */
+    function prune(records, now) {
+        return records.filter(record => new Date(record.expiresAt).getTime() > now);
+    }
+
+    return {
+        /**
+         * Claim a key for a request. Resolves with one of:
+         *   { state: 'started' }               - first use, process the request
+         *   { state: 'processing' }            - the original request is still running
+         *   { state: 'completed', result }     - replay the stored result
+         *   { state: 'mismatch' }              - key already used for a different request
+         */
+        async begin(key, fingerprint) {
+            return withLock(async () => {
+                const now = Date.now();
+                const records = prune(await readAll(), now);
+                const existing = records.find(record => record.key === key);
+
+                // A claim left behind by a crashed request can be taken over
+                const isStale = existing && existing.state === 'processing' &&
+                    new Date(existing.claimedUntil).getTime() <= now;
+
+                if (existing && !isStale) {
+                    if (existing.fingerprint !== fingerprint) {
+                        return { state: 'mismatch' };
+                    }
+
+                    return existing.state === 'completed'
+                        ? { state: 'completed', result: existing.result }
+                        : { state: 'processing' };
+                }
+
+                const remaining = records.filter(record => record.key !== key);
+                remaining.push({
+                    key,
+                    fingerprint,
+                    state: 'processing',
+                    result: null,
+                    claimedUntil: new Date(now + claimTimeoutMs).toISOString(),
+                    createdAt: new Date(now).toISOString(),
+                    expiresAt: new Date(now + ttlMs).toISOString()
+                });
+
+                await writeAll(remaining);
+                return { state: 'started' };
+            });
+        },
+
+        /**
+         * Store the result of a claimed key for replay
+         */
+        async complete(key, result) {
+            return withLock(async () => {
+                const records = await readAll();
+                const record = records.find(candidate => candidate.key === key);
+
+                if (record) {
+                    Object.assign(record, { state: 'completed', result, claimedUntil: null });
+                    await writeAll(records);
+                }
+            });
+        },
+
+        /**
+         * Forget a claimed key so the request can be retried
+         */
+        async release(key) {
+            return withLock(async () => {
+                const records = await readAll();
+                await writeAll(records.filter(record => record.key !== key));
+            });
+        }
+    };
+}
+
+module.exports = {
+    IDEMPOTENCY_KEY_REGEX,
+    createIdempotencyStore
+};
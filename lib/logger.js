@@ -0,0 +1,197 @@
+/**
+ * Logger - Structured, leveled logs with request IDs and PII redaction
+ *
+ * Each entry is one JSON line: { time, level, msg, requestId, ...fields }. Warnings and
+ * errors go to stderr, the rest to stdout. Set from the environment, shared by every
+ * platform adapter:
+ *   LOG_LEVEL   debug, info (default), warn or error
+ *   LOG_FORMAT  json (default) or pretty, a readable line for local development
+ *   LOG_REDACT  false to log email and IP addresses in full (local debugging only)
+ *
+ * Email addresses (and IPv4 addresses) are masked wherever they appear: in fields named
+ * email, to, ip or confirmIp, and inside any other string, including error messages.
+ *
+ * Adapters run each request inside runWithRequestId() so every entry logged while
+ * handling it carries its ID, without passing it through the code.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Field names whose values are always masked
+const EMAIL_FIELDS = ['email', 'to'];
+const IP_FIELDS = ['ip', 'confirmIp'];
+
+const EMAIL_PATTERN = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+const IPV4_PATTERN = /\b(\d{1,3}\.\d{1,3}\.\d{1,3})\.\d{1,3}\b/g;
+
+// Incoming request IDs are kept if they look like one; anything else gets a fresh ID
+const REQUEST_ID_REGEX = /^[\w.:-]{1,128}$/;
+
+// Nested fields deeper than this are dropped rather than walked
+const MAX_DEPTH = 6;
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Mask an email address to its first character and domain (j***@example.com)
+ */
+function maskEmail(email) {
+    return String(email).replace(EMAIL_PATTERN, '$1***@$2');
+}
+
+/**
+ * Mask the host part of an IP address (IPv4 last octet, IPv6 beyond the /48)
+ */
+function maskIp(ip) {
+    const value = String(ip);
+    if (value.includes(':') && !value.includes('.')) {
+        return `${value.split(':').slice(0, 3).join(':')}::x`;
+    }
+    return value.replace(IPV4_PATTERN, '$1.x');
+}
+
+/**
+ * Copy a log field as plain JSON values, with email and IP addresses masked if redactPii
+ */
+function toLogValue(value, { key = null, depth = 0, redactPii = true } = {}) {
+    if (value === null || value === undefined) {
+        return value;
+    }
+
+    if (typeof value === 'string') {
+        if (!redactPii) return value;
+        if (EMAIL_FIELDS.includes(key)) return maskEmail(value);
+        if (IP_FIELDS.includes(key)) return maskIp(value);
+        return maskEmail(value).replace(IPV4_PATTERN, '$1.x');
+    }
+
+    if (typeof value !== 'object') {
+        return value;
+    }
+
+    if (depth >= MAX_DEPTH) {
+        return '[Truncated]';
+    }
+
+    if (value instanceof Error) {
+        return toLogValue(serializeError(value), { key, depth, redactPii });
+    }
+
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(item => toLogValue(item, { key, depth: depth + 1, redactPii }));
+    }
+
+    return Object.fromEntries(Object.entries(value).map(([field, item]) =>
+        [field, toLogValue(item, { key: field, depth: depth + 1, redactPii })]));
+}
+
+/**
+ * Plain fields for an error (the stack, code and any transport details)
+ */
+function serializeError(error) {
+    const { name, message, stack, ...details } = error;
+    return { name: error.name || name, message, ...details, stack };
+}
+
+/**
+ * Get the ID of the request being handled, if any
+ */
+function getRequestId() {
+    const context = requestContext.getStore();
+    return context ? context.requestId : undefined;
+}
+
+/**
+ * Use an incoming X-Request-Id (or platform request ID) if it is valid, else make one
+ */
+function resolveRequestId(incoming) {
+    return typeof incoming === 'string' && REQUEST_ID_REGEX.test(incoming) ? incoming : crypto.randomUUID();
+}
+
+/**
+ * Run fn with a request ID attached to everything it logs
+ */
+function runWithRequestId(requestId, fn) {
+    return requestContext.run({ requestId }, fn);
+}
+
+/**
+ * Create a logger. bindings are fields added to every entry (see child()).
+ */
+function createLogger({
+    level = 'info',
+    format = 'json',
+    redactPii = true,
+    bindings = {},
+    write = (line, entryLevel) => (LOG_LEVELS[entryLevel] >= LOG_LEVELS.warn ? process.stderr : process.stdout).write(line + '\n')
+} = {}) {
+    const threshold = LOG_LEVELS[level] || LOG_LEVELS.info;
+
+    function log(entryLevel, msg, fields = {}) {
+        if (LOG_LEVELS[entryLevel] < threshold) {
+            return;
+        }
+
+        // A bare error is logged as { error }
+        const extra = fields instanceof Error ? { error: fields } : fields;
+        const entry = {
+            time: new Date().toISOString(),
+            level: entryLevel,
+            msg: toLogValue(String(msg), { redactPii }),
+            requestId: getRequestId(),
+            ...toLogValue({ ...bindings, ...extra }, { redactPii })
+        };
+
+        write(format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry), entryLevel);
+    }
+
+    return {
+        debug: (msg, fields) => log('debug', msg, fields),
+        info: (msg, fields) => log('info', msg, fields),
+        warn: (msg, fields) => log('warn', msg, fields),
+        error: (msg, fields) => log('error', msg, fields),
+
+        /**
+         * A logger adding fields to every entry, e.g. child({ component: 'mail-queue' })
+         */
+        child(childBindings) {
+            return createLogger({ level, format, redactPii, bindings: { ...bindings, ...childBindings }, write });
+        }
+    };
+}
+
+/**
+ * Format an entry as a readable line: time LEVEL [requestId] message {fields}
+ */
+function formatPretty({ time, level, msg, requestId, ...fields }) {
+    const { stack, ...error } = fields.error || {};
+    const rest = fields.error ? { ...fields, error } : fields;
+    const details = Object.keys(rest).length ? ` ${JSON.stringify(rest)}` : '';
+
+    return `${time} ${level.toUpperCase().padEnd(5)}${requestId ? ` [${requestId}]` : ''} ${msg}${details}${stack ? `\n${stack}` : ''}`;
+}
+
+// The process-wide logger, configured from the environment
+const logger = createLogger({
+    level: process.env.LOG_LEVEL,
+    format: process.env.LOG_FORMAT,
+    redactPii: process.env.LOG_REDACT !== 'false'
+});
+
+module.exports = {
+    LOG_LEVELS,
+    logger,
+    createLogger,
+    maskEmail,
+    maskIp,
+    getRequestId,
+    resolveRequestId,
+    runWithRequestId
+};
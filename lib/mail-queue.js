@@ -0,0 +1,317 @@
+/**
+ * Mail Queue - Durable outbound email queue with retries and a dead-letter list
+ *
+ * Messages are persisted to a JSON file before sending, so a provider outage or a
+ * crash doesn't lose them. A worker sends due messages, retrying failures with
+ * exponential backoff until maxAttempts, after which they are dead-lettered for
+ * an admin to inspect and retry. Sent messages are removed from the queue.
+ *
+ * Message statuses: queued, sending, dead
+ */
+
+const crypto = require('crypto');
+const { withFileLock, readJsonArray, writeJsonAtomic } = require('./file-lock');
+const logger = require('./logger').logger.child({ component: 'mail-queue' });
+
+/**
+ * Create a mail queue backed by a JSON file
+ */
+function createMailQueue({
+    filePath,
+    transport,
+    isSuppressed = async () => false,
+    maxAttempts = 6,
+    baseDelayMs = 30 * 1000,
+    maxDelayMs = 60 * 60 * 1000,
+    claimTimeoutMs = 2 * 60 * 1000,
+    batchSize = 10,
+    pollIntervalMs = 5000
+}) {
+    const lockPath = `${filePath}.lock`;
+    const withLock = fn => withFileLock(lockPath, fn);
+    const readAll = () => readJsonArray(filePath);
+    const writeAll = messages => writeJsonAtomic(filePath, messages);
+
+    let timer = null;
+    let processing = false;
+
+    /**
+     * Apply changes to a queued message under the lock
+     */
+    async function updateMessage(id, changes) {
+        return withLock(async () => {
+            const messages = await readAll();
+            const message = messages.find(candidate => candidate.id === id);
+
+            if (!message) {
+                return null;
+            }
+
+            Object.assign(message, changes, { updatedAt: new Date().toISOString() });
+            await writeAll(messages);
+            return message;
+        });
+    }
+
+    /**
+     * Remove a message from the queue
+     */
+    async function removeMessage(id) {
+        return withLock(async () => {
+            const messages = await readAll();
+            const remaining = messages.filter(message => message.id !== id);
+
+            if (remaining.length === messages.length) {
+                return false;
+            }
+
+            await writeAll(remaining);
+            return true;
+        });
+    }
+
+    /**
+     * Claim due messages by marking them as sending
+     */
+    async function claimDue() {
+        return withLock(async () => {
+            const messages = await readAll();
+            const now = Date.now();
+
+            // Messages stuck in "sending" past their claim (e.g. after a crash) are due again
+            const due = messages
+                .filter(message =>
+                    (message.status === 'queued' && new Date(message.nextAttemptAt).getTime() <= now) ||
+                    (message.status === 'sending' && new Date(message.claimedUntil).getTime() <= now))
+                .slice(0, batchSize);
+
+            for (const message of due) {
+                message.status = 'sending';
+                message.attempts += 1;
+                message.claimedUntil = new Date(now + claimTimeoutMs).toISOString();
+            }
+
+            if (due.length > 0) {
+                await writeAll(messages);
+            }
+
+            return due;
+        });
+    }
+
+    /**
+     * Attempt delivery of one claimed message
+     */
+    async function deliver(message) {
+        // The recipient may have unsubscribed since the message was queued
+        if (!message.ignoreSuppression && await isSuppressed(message.to)) {
+            await removeMessage(message.id);
+            logger.info('Queued email dropped, address has unsubscribed', { messageId: message.id });
+            return;
+        }
+
+        try {
+            const result = await transport.send({
+                from: message.from,
+                to: message.to,
+                subject: message.subject,
+                html: message.html,
+                text: message.text,
+                headers: message.headers
+            });
+
+            await removeMessage(message.id);
+            logger.info('Email sent', { provider: transport.name, messageId: message.id, providerMessageId: result.id });
+        } catch (error) {
+            const lastError = {
+                provider: error.provider || transport.name,
+                code: error.code || 'unknown',
+                status: error.status || null,
+                message: error.message,
+                at: new Date().toISOString()
+            };
+
+            // Retrying a rejected message won't help; everything else gets backoff until the cap
+            if (error.code === 'invalid_request' || message.attempts >= maxAttempts) {
+                await updateMessage(message.id, { status: 'dead', lastError, claimedUntil: null });
+                logger.error('Email dead-lettered', { messageId: message.id, lastError });
+                return;
+            }
+
+            const delay = Math.min(baseDelayMs * 2 ** (message.attempts - 1), maxDelayMs);
+
+            await updateMessage(message.id, {
+                status: 'queued',
+                lastError,
+                claimedUntil: null,
+                nextAttemptAt: new Date(Date.now() + delay).toISOString()
+            });
+            logger.warn('Email send failed, will be retried', { messageId: message.id, retryInSeconds: Math.round(delay / 1000), lastError });
+        }
+    }
+
+    const queue = {
+        /**
+         * Persist a message for delivery
+         */
+        async enqueue({ from, to, subject, html, text = null, headers = {}, ignoreSuppression = false, signupId = null }) {
+            const now = new Date().toISOString();
+            const message = {
+                id: crypto.randomUUID(),
+                from,
+                to,
+                subject,
+                html,
+                text,
+                headers,
+                ignoreSuppression,
+                signupId,
+                status: 'queued',
+                attempts: 0,
+                nextAttemptAt: now,
+                claimedUntil: null,
+                lastError: null,
+                createdAt: now,
+                updatedAt: now
+            };
+
+            await withLock(async () => {
+                const messages = await readAll();
+                messages.push(message);
+                await writeAll(messages);
+            });
+
+            return message;
+        },
+
+        /**
+         * Send every due message, returning how many were attempted
+         */
+        async processDue() {
+            if (processing) {
+                return 0;
+            }
+
+            processing = true;
+            try {
+                const due = await claimDue();
+
+                for (const message of due) {
+                    await deliver(message);
+                }
+
+                return due.length;
+            } finally {
+                processing = false;
+            }
+        },
+
+        /**
+         * Process due messages without waiting for them
+         */
+        kick() {
+            queue.processDue().catch(error => logger.error('Mail queue error', error));
+        },
+
+        /**
+         * List messages, optionally by status
+         */
+        async list({ status } = {}) {
+            const messages = await readAll();
+            return messages.filter(message => !status || message.status === status);
+        },
+
+        async get(id) {
+            const messages = await readAll();
+            return messages.find(message => message.id === id) || null;
+        },
+
+        /**
+         * Put a message back in the queue with a fresh attempt budget
+         */
+        async retry(id) {
+            return updateMessage(id, {
+                status: 'queued',
+                attempts: 0,
+                claimedUntil: null,
+                nextAttemptAt: new Date().toISOString()
+            });
+        },
+
+        async remove(id) {
+            return removeMessage(id);
+        },
+
+        /**
+         * Remove every queued and dead-lettered message to one of the given addresses, or about
+         * one of the given signups like new signup notifications (for erasure requests).
+         * Returns how many were removed.
+         */
+        async forget({ addresses = [], signupIds = [] }) {
+            const lowercased = addresses.map(address => address.trim().toLowerCase());
+            const concerns = message =>
+                parseRecipients(message.to).some(recipient => lowercased.includes(recipient)) ||
+                Boolean(message.signupId && signupIds.includes(message.signupId));
+
+            return withLock(async () => {
+                const messages = await readAll();
+                const remaining = messages.filter(message => !concerns(message));
+
+                if (remaining.length !== messages.length) {
+                    await writeAll(remaining);
+                }
+
+                return messages.length - remaining.length;
+            });
+        },
+
+        /**
+         * Count messages by status
+         */
+        async stats() {
+            const messages = await readAll();
+            const counts = { queued: 0, sending: 0, dead: 0 };
+
+            for (const message of messages) {
+                counts[message.status] = (counts[message.status] || 0) + 1;
+            }
+
+            return counts;
+        },
+
+        /**
+         * Start the background worker
+         */
+        start() {
+            if (!timer) {
+                timer = setInterval(queue.kick, pollIntervalMs);
+                timer.unref();
+                queue.kick();
+            }
+        },
+
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        }
+    };
+
+    return queue;
+}
+
+/**
+ * The bare, lowercased addresses of a to field ("a@x.com, Name <b@y.com>")
+ */
+function parseRecipients(to) {
+    return String(to || '')
+        .split(',')
+        .map(recipient => {
+            const match = recipient.match(/<([^>]+)>/);
+            return (match ? match[1] : recipient).trim().toLowerCase();
+        })
+        .filter(Boolean);
+}
+
+module.exports = {
+    createMailQueue
+};
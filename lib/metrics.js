@@ -0,0 +1,183 @@
+/**
+ * Metrics - Counters and histograms in the Prometheus text format, served at GET /metrics
+ *
+ * Values live in process memory, so they describe one server process since it started.
+ * The serverless functions record them too, but an instance lives for a few requests
+ * and can't be scraped, so only the Express server exposes them.
+ *
+ * Keep label values to small fixed sets (outcomes, reasons, route patterns): every
+ * distinct combination is a separate series.
+ */
+
+// Latency buckets in seconds, from a fast API call to a slow SMTP handshake
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escape a label value for the text format
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a label set as {name="value",...}, empty for no labels
+ */
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Create a metric registry
+ */
+function createRegistry() {
+    const metrics = [];
+
+    /**
+     * Series are keyed by their label values, in labelNames order
+     */
+    function seriesKey(labelNames, labels = {}) {
+        return JSON.stringify(labelNames.map(name => labels[name] ?? ''));
+    }
+
+    function labelsFor(labelNames, key) {
+        const values = JSON.parse(key);
+        return Object.fromEntries(labelNames.map((name, index) => [name, values[index]]));
+    }
+
+    const registry = {
+        /**
+         * A counter: inc(labels, by = 1)
+         */
+        counter(name, help, labelNames = []) {
+            const series = new Map();
+
+            const counter = {
+                inc(labels, by = 1) {
+                    const key = seriesKey(labelNames, labels);
+                    series.set(key, (series.get(key) || 0) + by);
+                },
+
+                render() {
+                    const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+                    for (const [key, value] of series) {
+                        lines.push(`${name}${formatLabels(labelsFor(labelNames, key))} ${value}`);
+                    }
+                    return lines.join('\n');
+                }
+            };
+
+            metrics.push(counter);
+            return counter;
+        },
+
+        /**
+         * A histogram: observe(labels, value), or startTimer(labels) returning a function
+         * that observes the seconds elapsed when called (with more labels if needed)
+         */
+        histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+            const series = new Map();
+
+            const histogram = {
+                observe(labels, value) {
+                    const key = seriesKey(labelNames, labels);
+                    if (!series.has(key)) {
+                        series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+                    }
+
+                    const entry = series.get(key);
+                    buckets.forEach((bound, index) => {
+                        if (value <= bound) {
+                            entry.counts[index] += 1;
+                        }
+                    });
+                    entry.sum += value;
+                    entry.count += 1;
+                },
+
+                startTimer(labels = {}) {
+                    const start = process.hrtime.bigint();
+                    return (moreLabels = {}) => {
+                        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+                        histogram.observe({ ...labels, ...moreLabels }, seconds);
+                        return seconds;
+                    };
+                },
+
+                render() {
+                    const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+                    for (const [key, { counts, sum, count }] of series) {
+                        const labels = labelsFor(labelNames, key);
+                        buckets.forEach((bound, index) => {
+                            lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+                        });
+                        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+                        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+                        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+                    }
+                    return lines.join('\n');
+                }
+            };
+
+            metrics.push(histogram);
+            return histogram;
+        },
+
+        /**
+         * Every metric in the Prometheus text exposition format
+         */
+        render() {
+            return metrics.map(metric => metric.render()).join('\n\n') + '\n';
+        }
+    };
+
+    return registry;
+}
+
+// The process-wide registry and the metrics recorded across the app
+const registry = createRegistry();
+
+const metrics = {
+    httpRequests: registry.histogram(
+        'revanx_http_request_duration_seconds',
+        'Express request latency by method, route pattern and status code',
+        ['method', 'route', 'status']
+    ),
+    signups: registry.counter(
+        'revanx_signups_total',
+        'Signup submissions that passed validation, by outcome',
+        ['outcome']
+    ),
+    validationFailures: registry.counter(
+        'revanx_signup_validation_failures_total',
+        'Signup submissions rejected as invalid input, by field',
+        ['field']
+    ),
+    spamRejections: registry.counter(
+        'revanx_spam_rejections_total',
+        'Signups turned away by the spam guard, by reason',
+        ['reason']
+    ),
+    rateLimitHits: registry.counter(
+        'revanx_rate_limit_hits_total',
+        'Requests refused by a rate limit policy',
+        ['policy']
+    ),
+    emailSendDuration: registry.histogram(
+        'revanx_email_send_duration_seconds',
+        'Time taken by the email provider to accept or reject a message',
+        ['provider', 'outcome']
+    ),
+    emailSendFailures: registry.counter(
+        'revanx_email_send_failures_total',
+        'Email send attempts the provider rejected or that failed in transit, by error code',
+        ['provider', 'code']
+    )
+};
+
+module.exports = {
+    DEFAULT_BUCKETS,
+    createRegistry,
+    registry,
+    metrics
+};
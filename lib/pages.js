@@ -0,0 +1,268 @@
+/**
+ * Pages - Minimal server-rendered pages for emailed links (confirm, etc.) and admin reports
+ */
+
+// Notices shown on the dashboard after an action redirects back to it
+const DASHBOARD_NOTICES = {
+    unsubscribed: 'Signup unsubscribed.',
+    deleted: 'Signup deleted.'
+};
+
+/**
+ * Escape a value for safe interpolation into HTML
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render a simple branded message page.
+ * Optionally adds links and a single POST form with input fields and a button.
+ */
+function renderMessagePage({ title, message, links = [], form }) {
+    const linksHtml = links.map(link => `
+        <p><a href="${escapeHtml(link.href)}">${escapeHtml(link.label)}</a></p>`).join('');
+    
+    const fieldsHtml = form && form.fields ? form.fields.map(field => `
+            <label for="${escapeHtml(field.name)}">${escapeHtml(field.label)}</label>
+            <input id="${escapeHtml(field.name)}" name="${escapeHtml(field.name)}" type="${escapeHtml(field.type || 'text')}" required style="width: 100%; margin-bottom: 1rem;">`).join('') : '';
+    
+    const formHtml = form ? `
+        <form method="POST" action="${escapeHtml(form.action)}">${fieldsHtml}
+            <button type="submit" style="background: #667eea; color: #ffffff; padding: 12px 24px; border-radius: 6px;">${escapeHtml(form.label)}</button>
+        </form>` : '';
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(title)} - REVANX</title>
+    <link rel="stylesheet" href="/global.css">
+</head>
+<body>
+    <main class="container" style="max-width: 600px; padding-top: 4rem; text-align: center;">
+        <h1>${escapeHtml(title)}</h1>
+        <p>${escapeHtml(message)}</p>${linksHtml}${formHtml}
+        <p><a href="/">Back to REVANX</a></p>
+    </main>
+</body>
+</html>`;
+}
+
+/**
+ * Render the admin signup funnel report (see createEventStore().funnel)
+ */
+function renderFunnelPage(report) {
+    const percent = value => value === null ? '-' : `${(value * 100).toFixed(1)}%`;
+    const { totals } = report;
+    
+    const steps = [
+        { label: 'Page views', value: totals.views, note: `${totals.visitors} unique visitor${totals.visitors === 1 ? '' : 's'}` },
+        { label: 'Submit attempts', value: totals.submits, note: `${percent(totals.submitRate)} of views` },
+        { label: 'Validation failures', value: totals.validationFailures, note: `${totals.errors} other errors` },
+        { label: 'Successful signups', value: totals.successes, note: `${percent(totals.successRate)} of attempts` }
+    ];
+    
+    const stepsHtml = steps.map(step => `
+            <div style="flex: 1; min-width: 140px; padding: 1rem; border: 1px solid #e2e8f0; border-radius: 8px;">
+                <div style="font-size: 0.875rem; color: #718096;">${escapeHtml(step.label)}</div>
+                <div style="font-size: 2rem; font-weight: 600;">${escapeHtml(step.value)}</div>
+                <div style="font-size: 0.875rem; color: #718096;">${escapeHtml(step.note)}</div>
+            </div>`).join('');
+    
+    const table = (rows, key, heading) => `
+        <h2>By ${escapeHtml(heading)}</h2>
+        <table style="width: 100%; border-collapse: collapse; text-align: right;">
+            <thead>
+                <tr><th style="text-align: left;">${escapeHtml(heading)}</th><th>Views</th><th>Submits</th><th>Validation failures</th><th>Successes</th><th>Conversion</th></tr>
+            </thead>
+            <tbody>${rows.length ? rows.map(row => `
+                <tr><td style="text-align: left;">${escapeHtml(row[key])}</td><td>${row.views}</td><td>${row.submits}</td><td>${row.validationFailures}</td><td>${row.successes}</td><td>${percent(row.conversionRate)}</td></tr>`).join('') : `
+                <tr><td colspan="6" style="text-align: center;">No events recorded</td></tr>`}
+            </tbody>
+        </table>`;
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>Signup Funnel - REVANX</title>
+    <link rel="stylesheet" href="/global.css">
+</head>
+<body>
+    <main class="container" style="max-width: 960px; padding-top: 2rem;">
+        <h1>Signup Funnel</h1>
+        <form method="GET" style="margin-bottom: 1.5rem;">
+            <label>From <input type="date" name="from" value="${escapeHtml(report.from)}"></label>
+            <label>To <input type="date" name="to" value="${escapeHtml(report.to)}"></label>
+            <button type="submit">Update</button>
+        </form>
+        <div style="display: flex; flex-wrap: wrap; gap: 1rem;">${stepsHtml}
+        </div>${table(report.referrers, 'referrer', 'Referrer')}${table(report.sources, 'source', 'UTM source')}
+    </main>
+</body>
+</html>`;
+}
+
+/**
+ * Build the query string of a dashboard list state, with some parameters changed
+ */
+function dashboardQuery(state, changes = {}) {
+    const params = new URLSearchParams();
+    Object.entries({ ...state, ...changes }).forEach(([key, value]) => {
+        if (value !== null && value !== undefined && value !== '') {
+            params.set(key, value);
+        }
+    });
+
+    const query = params.toString();
+    return query ? `?${query}` : '';
+}
+
+/**
+ * Render the admin waitlist dashboard. `state` is the list state ({ q, status, sort, page })
+ * kept in links and forms; `summary` holds totals, signups per day and top referrers.
+ */
+function renderDashboardPage({ state, summary, signups, count, totalPages, notice, statuses, sorts }) {
+    const page = state.page || 1;
+    // Actions carry the list state so they can redirect back to the same view
+    const actionUrl = (signup, action) =>
+        `/admin/dashboard/signups/${encodeURIComponent(signup.id)}/${action}${dashboardQuery(state)}`;
+    const exportUrl = format => `/admin/signups/export${dashboardQuery({ format, q: state.q, status: state.status })}`;
+
+    const cards = [
+        { label: 'Signups', value: summary.totals.all },
+        { label: 'Confirmed', value: summary.totals.confirmed },
+        { label: 'Pending', value: summary.totals.pending },
+        { label: 'Unsubscribed', value: summary.totals.unsubscribed }
+    ].map(card => `
+            <div class="card"><div class="muted">${escapeHtml(card.label)}</div><div class="stat">${escapeHtml(card.value)}</div></div>`).join('');
+
+    const peak = Math.max(1, ...summary.perDay.map(day => day.count));
+    const bars = summary.perDay.map(day => `
+                <div class="bar" title="${escapeHtml(day.date)}: ${day.count}" style="height: ${Math.round(day.count / peak * 100)}%;"></div>`).join('');
+
+    const referrers = summary.topReferrers.length ? summary.topReferrers.map(row => `
+                <tr><td>${escapeHtml(row.referrer)}</td><td class="number">${row.count}</td></tr>`).join('') : `
+                <tr><td colspan="2" class="muted">No signups yet</td></tr>`;
+
+    const option = (value, label, selected) =>
+        `<option value="${escapeHtml(value)}"${value === selected ? ' selected' : ''}>${escapeHtml(label)}</option>`;
+
+    const rows = signups.length ? signups.map(signup => `
+                <tr>
+                    <td>${escapeHtml(signup.email)}</td>
+                    <td>${escapeHtml(signup.name || '')}</td>
+                    <td><span class="status">${escapeHtml(signup.status)}</span></td>
+                    <td>${escapeHtml(signup.referrer || '')}</td>
+                    <td>${escapeHtml(signup.createdAt.substring(0, 16).replace('T', ' '))}</td>
+                    <td class="actions">${signup.status !== 'unsubscribed' ? `
+                        <form method="POST" action="${escapeHtml(actionUrl(signup, 'unsubscribe'))}"><button type="submit">Unsubscribe</button></form>` : ''}
+                        <a class="danger" href="${escapeHtml(actionUrl(signup, 'delete'))}">Delete</a>
+                    </td>
+                </tr>`).join('') : `
+                <tr><td colspan="6" class="muted">No signups match</td></tr>`;
+
+    const pager = totalPages > 1 ? `
+        <nav class="pager">${page > 1 ? `
+            <a href="${escapeHtml(`/admin/dashboard${dashboardQuery(state, { page: page - 1 })}`)}">Previous</a>` : ''}
+            <span class="muted">Page ${page} of ${totalPages}</span>${page < totalPages ? `
+            <a href="${escapeHtml(`/admin/dashboard${dashboardQuery(state, { page: page + 1 })}`)}">Next</a>` : ''}
+        </nav>` : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>Waitlist - REVANX Admin</title>
+    <link rel="stylesheet" href="/global.css">
+    <style>
+        .muted { color: var(--color-text-muted); font-size: 0.875rem; }
+        .row { display: flex; flex-wrap: wrap; gap: 1rem; margin-bottom: 2rem; }
+        .card { flex: 1; min-width: 140px; padding: 1rem; border: 1px solid var(--color-border); border-radius: var(--radius); background: var(--color-surface); }
+        .stat { font-size: 2rem; font-weight: 600; }
+        .chart { flex: 2; min-width: 280px; }
+        .bars { display: flex; align-items: flex-end; gap: 2px; height: 160px; border-bottom: 1px solid var(--color-border); }
+        .bar { flex: 1; min-height: 1px; background: var(--color-primary); border-radius: 2px 2px 0 0; }
+        table { width: 100%; border-collapse: collapse; }
+        th, td { padding: 0.5rem; border-bottom: 1px solid var(--color-border); text-align: left; vertical-align: middle; }
+        td { word-break: break-all; }
+        .number { text-align: right; }
+        .status { font-size: 0.875rem; padding: 0.125rem 0.5rem; border: 1px solid var(--color-border); border-radius: var(--radius); }
+        .filters { display: flex; flex-wrap: wrap; gap: 0.5rem; align-items: flex-end; margin-bottom: 1rem; }
+        .filters label { font-size: 0.875rem; }
+        .filters input, .filters select { display: block; }
+        button, .button { padding: 0.5rem 1rem; border: 1px solid var(--color-border); border-radius: var(--radius); color: var(--color-text); background: var(--color-surface); }
+        .primary { color: #ffffff; background: var(--color-primary); border-color: var(--color-primary); }
+        .actions { white-space: nowrap; }
+        .actions form { display: inline; }
+        .actions button { padding: 0.25rem 0.5rem; font-size: 0.875rem; }
+        .danger { color: var(--color-danger); margin-left: 0.5rem; }
+        .notice { padding: 0.75rem 1rem; margin-bottom: 1rem; border: 1px solid var(--color-primary); border-radius: var(--radius); }
+        .pager { display: flex; gap: 1rem; justify-content: center; margin: 1rem 0 2rem; }
+    </style>
+</head>
+<body>
+    <main class="container" style="padding-top: 2rem;">
+        <h1>Waitlist</h1>
+        <p><a href="/admin/funnel">Signup funnel</a></p>${notice && DASHBOARD_NOTICES[notice] ? `
+        <div class="notice" role="status">${escapeHtml(DASHBOARD_NOTICES[notice])}</div>` : ''}
+        <div class="row">${cards}
+        </div>
+        <div class="row">
+            <section class="card chart">
+                <h2 style="font-size: 1.25rem;">Signups per day</h2>
+                <div class="bars">${bars}
+                </div>
+                <div class="muted" style="display: flex; justify-content: space-between;"><span>${escapeHtml(summary.perDay[0].date)}</span><span>${escapeHtml(summary.perDay[summary.perDay.length - 1].date)}</span></div>
+            </section>
+            <section class="card">
+                <h2 style="font-size: 1.25rem;">Top referrers</h2>
+                <table>
+                    <tbody>${referrers}
+                    </tbody>
+                </table>
+            </section>
+        </div>
+        <form class="filters" method="GET" action="/admin/dashboard">
+            <label>Search <input type="search" name="q" value="${escapeHtml(state.q || '')}" placeholder="Email address"></label>
+            <label>Status <select name="status">${option('', 'All', state.status || '')}${statuses.map(status => option(status, status, state.status)).join('')}</select></label>
+            <label>Sort <select name="sort">${sorts.map(sort => option(sort, sort, state.sort || 'newest')).join('')}</select></label>
+            <button type="submit" class="primary">Apply</button>
+            <span style="margin-left: auto;">Export
+                <a class="button" href="${escapeHtml(exportUrl('csv'))}">CSV</a>
+                <a class="button" href="${escapeHtml(exportUrl('json'))}">JSON</a>
+                <a class="button" href="${escapeHtml(exportUrl('ndjson'))}">NDJSON</a>
+            </span>
+        </form>
+        <p class="muted">${count} signup${count === 1 ? '' : 's'}</p>
+        <table>
+            <thead>
+                <tr><th>Email</th><th>Name</th><th>Status</th><th>Referrer</th><th>Signed up (UTC)</th><th></th></tr>
+            </thead>
+            <tbody>${rows}
+            </tbody>
+        </table>${pager}
+    </main>
+</body>
+</html>`;
+}
+
+module.exports = {
+    escapeHtml,
+    renderMessagePage,
+    renderFunnelPage,
+    renderDashboardPage,
+    dashboardQuery
+};
@@ -0,0 +1,39 @@
+/**
+ * File Store - Rate limit counters in a JSON file
+ *
+ * Shared by every process on one host (e.g. a cluster or several workers behind
+ * one proxy) through the same lock file the other JSON stores use.
+ */
+
+const { withFileLock, readJsonArray, writeJsonAtomic } = require('../file-lock');
+
+/**
+ * Create a rate limit store backed by a JSON file
+ */
+function createFileStore({ filePath }) {
+    const lockPath = `${filePath}.lock`;
+
+    return {
+        async increment(key, windowMs) {
+            return withFileLock(lockPath, async () => {
+                const now = Date.now();
+                const windows = (await readJsonArray(filePath)).filter(entry => entry.resetAt > now);
+
+                let entry = windows.find(candidate => candidate.key === key);
+                if (!entry) {
+                    entry = { key, count: 0, resetAt: now + windowMs };
+                    windows.push(entry);
+                }
+
+                entry.count++;
+                await writeJsonAtomic(filePath, windows);
+
+                return { count: entry.count, resetAt: entry.resetAt };
+            });
+        }
+    };
+}
+
+module.exports = {
+    createFileStore
+};
@@ -0,0 +1,135 @@
+/**
+ * Rate Limit - Per-route request limits shared by the Express server and the serverless functions
+ *
+ * Each policy allows max requests per window for one key: the client IP, or the email
+ * address a request targets so one inbox can't be flooded from many IPs. Limits are
+ * written "max/window" with the window in s, m, h or d (e.g. "5/15m"), or "off".
+ *
+ * Counters live in a pluggable store with one async method:
+ *   increment(key, windowMs)  - count a request, resolves { count, resetAt } for the current window
+ *
+ * Stores (RATE_LIMIT_STORE): memory (per process), file (per host) or redis (shared).
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { logger } = require('../logger');
+const { createMemoryStore } = require('./memory-store');
+const { createFileStore } = require('./file-store');
+
+const RATE_LIMIT_POLICIES = ['subscribe', 'subscribeEmail', 'privacyRequest', 'privacyRequestEmail', 'events'];
+
+const WINDOW_UNITS = {
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parse a limit like "5/15m" into { max, windowMs }, null for "off"
+ */
+function parseRateLimit(value) {
+    if (value === 'off') {
+        return null;
+    }
+
+    const match = /^(\d+)\s*\/\s*(\d*)\s*([smhd])$/.exec(String(value).trim());
+    if (!match || Number(match[1]) < 1) {
+        return undefined;
+    }
+
+    return {
+        max: Number(match[1]),
+        windowMs: (Number(match[2]) || 1) * WINDOW_UNITS[match[3]]
+    };
+}
+
+/**
+ * Create the store for a RATE_LIMIT_STORE
+ */
+function createRateLimitStore({ rateLimitStore = 'memory', rateLimitPath, rateLimitRedisUrl, dataDir }) {
+    if (rateLimitStore === 'memory') {
+        return createMemoryStore();
+    }
+
+    if (rateLimitStore === 'file') {
+        return createFileStore({ filePath: rateLimitPath || path.join(dataDir, 'rate-limits.json') });
+    }
+
+    if (rateLimitStore === 'redis') {
+        // Loaded lazily so other deployments don't need the Redis client
+        const { createRedisStore } = require('./redis-store');
+        return createRedisStore({ url: rateLimitRedisUrl });
+    }
+
+    throw new Error(`Rate limit store not implemented: ${rateLimitStore}`);
+}
+
+/**
+ * Standard RateLimit-* headers (plus Retry-After once the limit is hit) for a check result
+ */
+function rateLimitHeaders(result) {
+    const headers = {
+        'RateLimit-Limit': String(result.limit),
+        'RateLimit-Remaining': String(result.remaining),
+        'RateLimit-Reset': String(result.retryAfter)
+    };
+
+    return result.allowed ? headers : { ...headers, 'Retry-After': String(result.retryAfter) };
+}
+
+/**
+ * Create a rate limiter from config (rateLimits and the store settings). The store can be injected.
+ */
+function createRateLimiter(config, { store = createRateLimitStore(config) } = {}) {
+    const policies = {};
+
+    RATE_LIMIT_POLICIES.forEach(name => {
+        const limit = parseRateLimit(config.rateLimits[name]);
+        if (limit === undefined) {
+            throw new Error(`Invalid rate limit for ${name}: "${config.rateLimits[name]}" (expected e.g. "5/15m" or "off")`);
+        }
+        policies[name] = limit;
+    });
+
+    return {
+        /**
+         * Count a request against a policy for a key (IP or email address). Resolves
+         * { allowed, limit, remaining, retryAfter } or null when the policy is off.
+         * Store failures let the request through rather than take signups down.
+         */
+        async check(name, key) {
+            const policy = policies[name];
+            if (!policy) {
+                return null;
+            }
+
+            // Keys are hashed so the store never holds addresses
+            const hash = crypto.createHash('sha256').update(String(key).toLowerCase()).digest('hex').substring(0, 32);
+
+            let window;
+            try {
+                window = await store.increment(`${name}:${hash}`, policy.windowMs);
+            } catch (error) {
+                logger.error('Rate limit store error', error);
+                return null;
+            }
+
+            return {
+                allowed: window.count <= policy.max,
+                limit: policy.max,
+                remaining: Math.max(policy.max - window.count, 0),
+                retryAfter: Math.max(Math.ceil((window.resetAt - Date.now()) / 1000), 1)
+            };
+        }
+    };
+}
+
+module.exports = {
+    RATE_LIMIT_POLICIES,
+    parseRateLimit,
+    createRateLimitStore,
+    createRateLimiter,
+    rateLimitHeaders
+};
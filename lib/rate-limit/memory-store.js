@@ -0,0 +1,45 @@
+/**
+ * Memory Store - Rate limit counters held in this process
+ *
+ * Counts reset when the process restarts and aren't shared between instances,
+ * so this suits a single long-running server and local development.
+ */
+
+// How often expired windows are swept out
+const SWEEP_INTERVAL = 60 * 1000;
+
+/**
+ * Create an in-memory rate limit store
+ */
+function createMemoryStore() {
+    const windows = new Map();
+    let nextSweep = 0;
+
+    return {
+        async increment(key, windowMs) {
+            const now = Date.now();
+
+            if (now >= nextSweep) {
+                for (const [candidate, entry] of windows.entries()) {
+                    if (entry.resetAt <= now) {
+                        windows.delete(candidate);
+                    }
+                }
+                nextSweep = now + SWEEP_INTERVAL;
+            }
+
+            let entry = windows.get(key);
+            if (!entry || entry.resetAt <= now) {
+                entry = { count: 0, resetAt: now + windowMs };
+                windows.set(key, entry);
+            }
+
+            entry.count++;
+            return { count: entry.count, resetAt: entry.resetAt };
+        }
+    };
+}
+
+module.exports = {
+    createMemoryStore
+};
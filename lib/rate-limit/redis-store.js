@@ -0,0 +1,58 @@
+/**
+ * Redis Store - Rate limit counters in Redis or a Redis-compatible server
+ * (Valkey, KeyDB, Dragonfly, Upstash...)
+ *
+ * Counters are shared by every instance and survive serverless cold starts.
+ * Each window is one key, incremented and given its expiry in a single script
+ * so concurrent requests can't leave a counter without one.
+ */
+
+const { logger } = require('../logger');
+
+const INCREMENT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+    redis.call('PEXPIRE', KEYS[1], ARGV[1])
+    ttl = tonumber(ARGV[1])
+end
+return { count, ttl }
+`;
+
+/**
+ * Create a rate limit store backed by Redis
+ */
+function createRedisStore({ url, prefix = 'revanx:rate-limit:' }) {
+    if (!url) {
+        throw new Error('RATE_LIMIT_REDIS_URL or REDIS_URL is required for the redis rate limit store');
+    }
+
+    // Loaded lazily so deployments without Redis don't need the client
+    const Redis = require('ioredis');
+    const client = new Redis(url, {
+        keyPrefix: prefix,
+        maxRetriesPerRequest: 1,
+        connectTimeout: 2000
+    });
+
+    // Connection errors surface on each increment; this stops them crashing the process
+    client.on('error', error => {
+        logger.error('Rate limit Redis error', { error: error.message });
+    });
+
+    client.defineCommand('rateLimitIncrement', {
+        numberOfKeys: 1,
+        lua: INCREMENT_SCRIPT
+    });
+
+    return {
+        async increment(key, windowMs) {
+            const [count, ttl] = await client.rateLimitIncrement(key, windowMs);
+            return { count, resetAt: Date.now() + ttl };
+        }
+    };
+}
+
+module.exports = {
+    createRedisStore
+};
@@ -0,0 +1,111 @@
+/**
+ * Referrals - Personal invite codes, referral crediting and waitlist positions
+ *
+ * Every signup gets a referral code; a signup made through someone's ?ref= link is
+ * stored with referredBy set to the referrer's id. Referrals only count once the new
+ * address is confirmed, and suspicious ones are stored with a referralFlag instead
+ * of being credited. Each credited referral moves the referrer up the waitlist.
+ */
+
+const crypto = require('crypto');
+
+// No 0/O or 1/I, so codes survive being read aloud or retyped
+const REFERRAL_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const REFERRAL_CODE_LENGTH = 8;
+const REFERRAL_CODE_REGEX = new RegExp(`^[${REFERRAL_CODE_ALPHABET}]{${REFERRAL_CODE_LENGTH}}$`);
+
+/**
+ * Generate a random referral code
+ */
+function generateReferralCode() {
+    const bytes = crypto.randomBytes(REFERRAL_CODE_LENGTH);
+    return Array.from(bytes, byte => REFERRAL_CODE_ALPHABET[byte % REFERRAL_CODE_ALPHABET.length]).join('');
+}
+
+/**
+ * Normalize a referral code from a link or form, null if it isn't one
+ */
+function normalizeReferralCode(code) {
+    if (typeof code !== 'string') {
+        return null;
+    }
+
+    const clean = code.trim().toUpperCase();
+    return REFERRAL_CODE_REGEX.test(clean) ? clean : null;
+}
+
+/**
+ * Decide whether a new signup should be credited to its referrer.
+ * Returns null when it can be credited, or the reason it was flagged.
+ */
+function checkReferral({ referrer, email, ip, recentReferrals, ipLimit, ipWindowMs }) {
+    // Referring yourself, by address or from the same connection
+    if (referrer.email === email || (ip && ip !== 'unknown' && referrer.ip === ip)) {
+        return 'self_referral';
+    }
+
+    // Several signups through one link from one IP in a short time
+    const since = Date.now() - ipWindowMs;
+    const fromSameIp = recentReferrals.filter(signup =>
+        signup.ip === ip && new Date(signup.createdAt).getTime() >= since
+    );
+
+    if (ip && ip !== 'unknown' && fromSameIp.length >= ipLimit) {
+        return 'ip_burst';
+    }
+
+    return null;
+}
+
+/**
+ * Whether a signup holds a place on the waitlist (confirmed, or from before double opt-in)
+ */
+function isOnWaitlist(signup) {
+    return signup.status === 'confirmed' || !signup.status;
+}
+
+/**
+ * Count credited referrals per referrer id: confirmed and not flagged
+ */
+function countReferrals(signups) {
+    const counts = new Map();
+
+    signups.forEach(signup => {
+        if (signup.referredBy && !signup.referralFlag && signup.status === 'confirmed') {
+            counts.set(signup.referredBy, (counts.get(signup.referredBy) || 0) + 1);
+        }
+    });
+
+    return counts;
+}
+
+/**
+ * Rank the waitlist. Places start in signup order; each credited referral moves
+ * the referrer up boost places. Returns a Map of signup id to { position, referrals }.
+ */
+function rankWaitlist(signups, { boost }) {
+    const referrals = countReferrals(signups);
+
+    const ranked = signups
+        .filter(isOnWaitlist)
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+        .map((signup, index) => ({
+            id: signup.id,
+            createdAt: signup.createdAt,
+            referrals: referrals.get(signup.id) || 0,
+            score: index + 1 - (referrals.get(signup.id) || 0) * boost
+        }))
+        .sort((a, b) => a.score - b.score || new Date(a.createdAt) - new Date(b.createdAt));
+
+    return new Map(ranked.map((entry, index) => [entry.id, { position: index + 1, referrals: entry.referrals }]));
+}
+
+module.exports = {
+    REFERRAL_CODE_REGEX,
+    generateReferralCode,
+    normalizeReferralCode,
+    checkReferral,
+    countReferrals,
+    isOnWaitlist,
+    rankWaitlist
+};
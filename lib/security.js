@@ -0,0 +1,174 @@
+/**
+ * Security - Hardening middleware for the Express server
+ *
+ *   securityHeaders   - CSP, HSTS (over HTTPS), framing, referrer and sniffing headers
+ *   corsOptions       - CORS limited to CORS_ORIGINS
+ *   csrfProtection    - rejects cross-site form posts by their Origin / Referer
+ *   publicFiles       - serves only the landing page and its assets from the repo root
+ */
+
+const express = require('express');
+const { logger } = require('./logger');
+
+// The landing page and its assets; everything else in the repo root (server code,
+// package.json, data/, templates/) must never be served
+const PUBLIC_PATH_REGEX = /^\/(index\.html|global\.css|index\.css|js\/[\w-]+\.js)?$/;
+
+// Third-party origins the landing page loads from, per directive
+const CSP_SOURCES = {
+    'style-src': ['https://fonts.googleapis.com'],
+    'font-src': ['https://fonts.gstatic.com'],
+    'img-src': ['data:', 'https:']
+};
+
+// Script, frame and API origins each challenge widget needs
+const CHALLENGE_SOURCES = {
+    turnstile: ['https://challenges.cloudflare.com'],
+    hcaptcha: ['https://hcaptcha.com', 'https://*.hcaptcha.com']
+};
+
+// Script and beacon origins for the analytics providers in ANALYTICS_PROVIDERS (see js/analytics.js)
+const ANALYTICS_SOURCES = {
+    plausible: {
+        'script-src': ['https://plausible.io'],
+        'connect-src': ['https://plausible.io']
+    },
+    ga: {
+        'script-src': ['https://www.googletagmanager.com'],
+        'connect-src': ['https://www.googletagmanager.com', 'https://*.google-analytics.com', 'https://*.analytics.google.com']
+    }
+};
+
+const HSTS_MAX_AGE = 180 * 24 * 60 * 60; // 180 days
+
+/**
+ * Build the Content-Security-Policy, allowing the configured challenge and analytics providers.
+ * Inline styles are allowed for the server-rendered pages; inline scripts are not.
+ */
+function buildContentSecurityPolicy({ challengeProvider, analyticsProviders = [] }) {
+    const challenge = CHALLENGE_SOURCES[challengeProvider] || [];
+    const analytics = directive => analyticsProviders.flatMap(provider => (ANALYTICS_SOURCES[provider] || {})[directive] || []);
+
+    const directives = {
+        'default-src': ["'self'"],
+        'script-src': ["'self'", ...challenge, ...analytics('script-src')],
+        'style-src': ["'self'", "'unsafe-inline'", ...CSP_SOURCES['style-src'], ...challenge],
+        'font-src': ["'self'", ...CSP_SOURCES['font-src']],
+        'img-src': ["'self'", ...CSP_SOURCES['img-src']],
+        'connect-src': ["'self'", ...challenge, ...analytics('connect-src')],
+        'frame-src': challenge.length ? challenge : ["'none'"],
+        'object-src': ["'none'"],
+        'base-uri': ["'self'"],
+        'form-action': ["'self'"],
+        'frame-ancestors': ["'none'"]
+    };
+
+    return Object.entries(directives)
+        .map(([directive, sources]) => `${directive} ${sources.join(' ')}`)
+        .join('; ');
+}
+
+/**
+ * Get the origin of a URL, null if it isn't one
+ */
+function getOrigin(url) {
+    try {
+        return new URL(url).origin;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Origins allowed to call the API and post forms: BASE_URL plus CORS_ORIGINS
+ */
+function getAllowedOrigins({ baseUrl, corsOrigins }) {
+    return [getOrigin(baseUrl), ...corsOrigins].filter(Boolean);
+}
+
+/**
+ * Security headers for every response. CONTENT_SECURITY_POLICY replaces the built-in policy.
+ */
+function securityHeaders(config) {
+    const contentSecurityPolicy = config.contentSecurityPolicy || buildContentSecurityPolicy(config);
+
+    return (req, res, next) => {
+        res.set({
+            'Content-Security-Policy': contentSecurityPolicy,
+            'X-Frame-Options': 'DENY',
+            'X-Content-Type-Options': 'nosniff',
+            'Referrer-Policy': 'strict-origin-when-cross-origin',
+            'Permissions-Policy': 'camera=(), microphone=(), geolocation=(), payment=()',
+            'Cross-Origin-Opener-Policy': 'same-origin'
+        });
+
+        // Browsers ignore HSTS over plain HTTP, and it would break local development
+        if (req.secure) {
+            res.set('Strict-Transport-Security', `max-age=${HSTS_MAX_AGE}; includeSubDomains`);
+        }
+
+        next();
+    };
+}
+
+/**
+ * Options for the cors middleware: only allowed origins get CORS headers
+ */
+function corsOptions(config, { exposedHeaders = [] } = {}) {
+    const allowed = getAllowedOrigins(config);
+
+    return {
+        origin: allowed.includes('*') ? '*' : allowed,
+        exposedHeaders
+    };
+}
+
+/**
+ * Reject state-changing requests from other sites. Browsers send Origin (or at least
+ * Referer) with cross-site posts, so a request whose origin is neither this server
+ * nor an allowed origin is a forged form post. Requests without either header don't
+ * come from a browser form and are let through (API clients, curl, server-to-server).
+ */
+function csrfProtection(config) {
+    const allowed = getAllowedOrigins(config);
+
+    return (req, res, next) => {
+        if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+            return next();
+        }
+
+        const origin = req.get('origin') || (req.get('referer') && getOrigin(req.get('referer')));
+        if (!origin) {
+            return next();
+        }
+
+        const ownOrigin = `${req.protocol}://${req.get('host')}`;
+        if (origin === ownOrigin || allowed.includes(origin) || allowed.includes('*')) {
+            return next();
+        }
+
+        logger.warn('Cross-site request rejected', { method: req.method, path: req.path, origin });
+        res.status(403).json({
+            success: false,
+            code: 'csrf_rejected',
+            message: 'This request came from another site and was blocked.'
+        });
+    };
+}
+
+/**
+ * Serve the public files from the repo root, and nothing else in it
+ */
+function publicFiles(root) {
+    const serveStatic = express.static(root, { index: 'index.html', dotfiles: 'ignore' });
+
+    return (req, res, next) => PUBLIC_PATH_REGEX.test(req.path) ? serveStatic(req, res, next) : next();
+}
+
+module.exports = {
+    buildContentSecurityPolicy,
+    securityHeaders,
+    corsOptions,
+    csrfProtection,
+    publicFiles
+};
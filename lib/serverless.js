@@ -0,0 +1,56 @@
+/**
+ * Serverless - Helpers shared by the Netlify and Vercel adapters
+ */
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Idempotency-Key, X-Request-Id',
+    'Access-Control-Expose-Headers': 'X-Request-Id, Retry-After, Idempotent-Replayed, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset'
+};
+
+/**
+ * Get the client IP from proxy headers (header names lowercased).
+ * ipHeader is set by the platform's edge itself, so it's used when present. Otherwise
+ * X-Forwarded-For is read from the right: each trusted proxy (TRUST_PROXY hops, default 1
+ * for the platform edge) appends the address it saw, and anything further left could
+ * have been sent by the client.
+ */
+function getClientIP(headers = {}, { ipHeader, trustProxy = false } = {}) {
+    if (ipHeader && headers[ipHeader]) {
+        return headers[ipHeader].trim();
+    }
+
+    const forwarded = (headers['x-forwarded-for'] || '')
+        .split(',')
+        .map(address => address.trim())
+        .filter(Boolean);
+
+    const hops = trustProxy === true ? forwarded.length : typeof trustProxy === 'number' ? trustProxy : 1;
+
+    return forwarded[Math.max(forwarded.length - hops, 0)] || 'unknown';
+}
+
+/**
+ * Convert a service result into status, headers and a string body, echoing the request ID
+ */
+function serializeResult(result, { requestId } = {}) {
+    const isHtml = result.html !== undefined;
+
+    return {
+        statusCode: result.status,
+        headers: {
+            ...CORS_HEADERS,
+            'Content-Type': isHtml ? 'text/html; charset=utf-8' : 'application/json',
+            ...(requestId ? { 'X-Request-Id': requestId } : {}),
+            ...result.headers
+        },
+        body: isHtml ? result.html : JSON.stringify(result.json)
+    };
+}
+
+module.exports = {
+    CORS_HEADERS,
+    getClientIP,
+    serializeResult
+};
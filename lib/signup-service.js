@@ -0,0 +1,1230 @@
+/**
+ * Signup Service - Platform-independent signup, confirmation, unsubscribe and data request flows
+ *
+ * The Express server, the Netlify function and the Vercel function are thin adapters over
+ * this service. Every operation takes plain values and resolves with a result the adapter
+ * turns into a response:
+ *   { status, json }            - JSON body
+ *   { status, html }            - server-rendered page
+ *   { status, json, headers }   - extra headers (e.g. Content-Disposition)
+ * Operations never throw; unexpected errors are logged and become 500 results.
+ */
+
+const { signToken, verifyToken } = require('./tokens');
+const { renderMessagePage } = require('./pages');
+const { appendAuditEntry, hashEmail } = require('./audit');
+const { createStorage } = require('./storage');
+const { EMAIL_REGEX, normalizeEmail } = require('./email');
+const { createTransport } = require('./transports');
+const { createMailQueue } = require('./mail-queue');
+const { DEFAULT_LOCALE, resolveLocale, renderEmail } = require('./email-templates');
+const { IDEMPOTENCY_KEY_REGEX, createIdempotencyStore } = require('./idempotency');
+const { sanitizeAttribution, mergeAttribution } = require('./attribution');
+const { RETRYABLE_REJECTIONS, createSpamGuard } = require('./spam');
+const { createRateLimiter, rateLimitHeaders } = require('./rate-limit');
+const { createWebhookQueue } = require('./webhooks');
+const { createBroadcasts } = require('./broadcasts');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+const { generateReferralCode, normalizeReferralCode, checkReferral, isOnWaitlist, rankWaitlist } = require('./referrals');
+
+const SIGNUP_STATUSES = ['pending', 'confirmed', 'unsubscribed'];
+
+// How long a waitlist ranking is reused by status page views before it is rebuilt
+const WAITLIST_RANKING_TTL_MS = 60 * 1000;
+
+// Optional signup fields that are stored as text
+const TEXT_FIELDS = ['name', 'timestamp', 'userAgent', 'referrer'];
+
+/**
+ * Build a JSON result
+ */
+function json(status, body, headers) {
+    return headers ? { status, json: body, headers } : { status, json: body };
+}
+
+/**
+ * Build a server-rendered page result
+ */
+function page(status, options) {
+    return { status, html: renderMessagePage(options) };
+}
+
+/**
+ * Create the signup service for a config (see ./config)
+ */
+function createSignupService(config) {
+    const storage = createStorage({
+        mode: config.storageMode,
+        dataDir: config.dataDir,
+        sqlitePath: config.sqlitePath
+    });
+
+    // Email transport (none in dry-run mode, emails are logged instead)
+    const transport = config.isDryRun ? null : createTransport(config);
+
+    // Responses remembered per Idempotency-Key so client retries never sign up twice
+    const idempotency = createIdempotencyStore({
+        filePath: config.idempotencyPath,
+        ttlMs: config.idempotencyTtl
+    });
+
+    // Honeypot, form token, challenge, disposable domain and MX checks
+    const spamGuard = createSpamGuard(config);
+
+    // Per-IP and per-address request limits, shared across instances by the configured store
+    const rateLimiter = createRateLimiter(config);
+
+    // Outbound email queue with retries and dead-lettering
+    const mailQueue = transport && createMailQueue({
+        filePath: config.mailQueuePath,
+        transport,
+        isSuppressed,
+        maxAttempts: config.mailQueueMaxAttempts
+    });
+
+    // Lifecycle events for WEBHOOK_URLS (n8n, Zapier, CRM), queued and retried like email
+    const webhooks = config.webhookUrls.length > 0 ? createWebhookQueue({
+        filePath: config.webhookDeliveriesPath,
+        targets: config.webhookUrls,
+        secret: config.webhookSecret,
+        events: config.webhookEvents,
+        maxAttempts: config.webhookMaxAttempts,
+        retentionMs: config.webhookLogRetention
+    }) : null;
+
+    // Newsletter sends to confirmed subscribers, throttled and resumable (see lib/broadcasts)
+    const broadcasts = createBroadcasts({
+        dirPath: config.broadcastsDir,
+        storage,
+        renderMessage: renderBroadcast,
+        sendMessage: sendBroadcastEmail,
+        batchSize: config.broadcastBatchSize,
+        batchIntervalMs: config.broadcastBatchInterval,
+        dryRun: config.isDryRun
+    });
+
+    // The latest waitlist ranking: { builtAt, promise } (see getWaitlistRanking)
+    let waitlistRanking = null;
+
+    /**
+     * Queue a signup lifecycle event for the webhook targets. Never throws: a webhook
+     * problem must not fail the signup flow that triggered it.
+     */
+    async function emitWebhook(event, signup) {
+        if (!webhooks) {
+            return;
+        }
+
+        try {
+            const deliveries = await webhooks.emit(event, signup);
+            if (deliveries.length === 0) {
+                return;
+            }
+
+            if (config.awaitDelivery) {
+                await webhooks.processDue();
+            } else {
+                webhooks.kick();
+            }
+        } catch (error) {
+            logger.error('Webhook emit error', { event, error });
+        }
+    }
+
+    /**
+     * Count a request against a rate limit policy for a key (IP or email address), adding
+     * its result to limits for the response headers (see withRateLimitHeaders).
+     * Resolves a 429 result once it's over the limit, as JSON or a page, else null.
+     */
+    async function checkRateLimit(policy, key, { wantsJson = true, limits = [] } = {}) {
+        const result = await rateLimiter.check(policy, key);
+        if (!result) {
+            return null;
+        }
+
+        limits.push(result);
+        if (result.allowed) {
+            return null;
+        }
+
+        metrics.rateLimitHits.inc({ policy });
+
+        const message = 'Too many requests. Please try again later.';
+        const response = wantsJson
+            ? json(429, { success: false, code: 'rate_limited', message })
+            : page(429, { title: 'Too many requests', message });
+
+        return { ...response, headers: rateLimitHeaders(result) };
+    }
+
+    /**
+     * Add the RateLimit-* headers of the policy closest to its limit to a response,
+     * keeping those a 429 already has
+     */
+    function withRateLimitHeaders(response, limits) {
+        if (limits.length === 0) {
+            return response;
+        }
+
+        const closest = limits.reduce((tightest, result) => result.remaining < tightest.remaining ? result : tightest);
+        return { ...response, headers: { ...rateLimitHeaders(closest), ...response.headers } };
+    }
+
+    /**
+     * Build a link to one of the service's routes on the current platform
+     */
+    function routePath(route, token) {
+        return `${config.routeBase}/${route}${token ? `?token=${encodeURIComponent(token)}` : ''}`;
+    }
+
+    /**
+     * Validate and sanitize signup input
+     */
+    function validateInput(body) {
+        if (!body || typeof body !== 'object') {
+            return { isValid: false, message: 'Invalid request body' };
+        }
+
+        const { name, email, consent, timestamp, userAgent, referrer, locale, attribution, ref } = body;
+
+        // Optional text fields must be strings when they are sent
+        const notText = TEXT_FIELDS.find(field => body[field] !== undefined && body[field] !== null && typeof body[field] !== 'string');
+        if (notText) {
+            return { isValid: false, field: notText, message: `${notText} must be text` };
+        }
+
+        // Validate email
+        if (!email || typeof email !== 'string') {
+            return { isValid: false, field: 'email', message: 'Email is required' };
+        }
+
+        if (!EMAIL_REGEX.test(email.trim())) {
+            return { isValid: false, field: 'email', message: 'Invalid email format' };
+        }
+
+        const cleanEmail = normalizeEmail(email, { canonicalizeGmail: config.canonicalizeGmail });
+
+        // Validate consent
+        if (!consent) {
+            return { isValid: false, field: 'consent', message: 'Consent is required' };
+        }
+
+        // Sanitize name
+        const cleanName = name ? stripHtml(name.trim()).substring(0, 100) : null;
+
+        return {
+            isValid: true,
+            data: {
+                name: cleanName,
+                email: cleanEmail,
+                consent: Boolean(consent),
+                timestamp: timestamp || new Date().toISOString(),
+                userAgent: userAgent ? stripHtml(userAgent.substring(0, 500)) : null,
+                referrer: referrer ? stripHtml(referrer.substring(0, 500)) : null,
+                locale: typeof locale === 'string' ? locale.substring(0, 35) : null,
+                attribution: sanitizeAttribution(attribution),
+                ref: normalizeReferralCode(ref) // invalid codes are ignored rather than failing the signup
+            }
+        };
+    }
+
+    /**
+     * Find who referred a new signup. Returns the fields to store on it: referredBy,
+     * and referralFlag when the referral looks like abuse and must not be credited.
+     */
+    async function resolveReferral(code, { email, ip }) {
+        if (!code) {
+            return {};
+        }
+
+        const [referrer] = await storage.list({ referralCode: code, limit: 1 });
+        if (!referrer) {
+            return {};
+        }
+
+        const recentReferrals = await storage.list({
+            referredBy: referrer.id,
+            from: new Date(Date.now() - config.referralIpWindow)
+        });
+
+        const flag = checkReferral({
+            referrer,
+            email,
+            ip,
+            recentReferrals,
+            ipLimit: config.referralIpLimit,
+            ipWindowMs: config.referralIpWindow
+        });
+
+        if (flag) {
+            logger.warn('Referral flagged', { flag, referrerId: referrer.id });
+        }
+
+        return { referredBy: referrer.id, referralFlag: flag };
+    }
+
+    /**
+     * Store signup data
+     */
+    async function storeSignup(signup) {
+        await storage.insert(signup);
+        logger.info('Signup stored', { signupId: signup.id });
+    }
+
+    /**
+     * Delete every signup for an email address and record the erasure in the audit trail
+     */
+    async function eraseSignups(email, reason) {
+        const signups = await storage.list({ email });
+
+        for (const signup of signups) {
+            await storage.delete(signup.id);
+        }
+
+        // Queued and dead-lettered emails hold the address and the rendered message
+        if (mailQueue) {
+            await mailQueue.forget({
+                addresses: [email, ...signups.map(signup => signup.email)],
+                signupIds: signups.map(signup => signup.id)
+            });
+        }
+
+        // Delivery logs and broadcast recipient lists hold the address too
+        if (signups.length > 0) {
+            const ids = signups.map(signup => signup.id);
+            await broadcasts.forget(ids);
+            if (webhooks) {
+                await webhooks.forget(ids);
+            }
+        }
+
+        await appendAuditEntry(config.auditLogPath, {
+            action: 'erase',
+            email,
+            reason,
+            count: signups.length
+        });
+
+        logger.info('Signups erased', { count: signups.length });
+        return signups.length;
+    }
+
+    /**
+     * Find the signup an unsubscribe token was issued for
+     */
+    async function findSignupByUnsubscribeToken(token) {
+        const result = verifyToken(token, 'unsubscribe');
+        if (!result.isValid) {
+            return null;
+        }
+
+        return storage.findById(result.payload.sub);
+    }
+
+    /**
+     * Send notification email to admin
+     */
+    async function sendNotificationEmail(signup) {
+        const { subject, html, text } = await renderEmail('notification', signup, { locale: DEFAULT_LOCALE });
+
+        await sendEmail({
+            to: config.emailTo,
+            subject,
+            html,
+            text,
+            signupId: signup.id
+        });
+    }
+
+    /**
+     * Send the confirmation email unless one went out within the resend cooldown.
+     * Returns whether an email was sent.
+     */
+    async function sendConfirmationIfDue(signup) {
+        const lastSentAt = signup.confirmationSentAt ? new Date(signup.confirmationSentAt).getTime() : 0;
+
+        if (Date.now() - lastSentAt < config.confirmResendCooldown) {
+            logger.info('Confirmation email skipped, resend cooldown active', { signupId: signup.id });
+            return false;
+        }
+
+        await sendConfirmationEmail(signup);
+        await storage.update(signup.id, { confirmationSentAt: new Date().toISOString() });
+        return true;
+    }
+
+    /**
+     * Send double opt-in confirmation email to user with a signed, expiring link
+     */
+    async function sendConfirmationEmail(signup) {
+        const token = signToken({
+            subject: signup.id,
+            purpose: 'confirm',
+            ttlMs: config.confirmTokenTtl
+        });
+        const confirmUrl = `${config.baseUrl}${routePath('confirm', token)}`;
+        const unsubscribeUrl = getUnsubscribeUrl(signup);
+
+        if (config.isDryRun) {
+            logger.info('DRY RUN - Confirmation link', { url: confirmUrl });
+        }
+
+        const { subject, html, text } = await renderEmail('confirmation', {
+            name: signup.name,
+            confirmUrl,
+            unsubscribeUrl,
+            expiresInHours: Math.round(config.confirmTokenTtl / (60 * 60 * 1000))
+        }, { locale: signup.locale });
+
+        await sendEmail({
+            to: signup.email,
+            subject,
+            html,
+            text,
+            headers: getUnsubscribeHeaders(unsubscribeUrl),
+            signupId: signup.id
+        });
+    }
+
+    /**
+     * Send a signed data access/erasure link to a signup's address
+     */
+    async function sendDataRequestEmail(signup) {
+        const token = signToken({
+            subject: signup.email,
+            purpose: 'privacy',
+            ttlMs: config.dataRequestTokenTtl
+        });
+        const privacyUrl = `${config.baseUrl}${routePath('privacy', token)}`;
+
+        if (config.isDryRun) {
+            logger.info('DRY RUN - Data request link', { url: privacyUrl });
+        }
+
+        const { subject, html, text } = await renderEmail('data-request', {
+            privacyUrl,
+            expiresInHours: Math.round(config.dataRequestTokenTtl / (60 * 60 * 1000))
+        }, { locale: signup.locale });
+
+        // Privacy requests must reach unsubscribed addresses too
+        await sendEmail({
+            to: signup.email,
+            subject,
+            html,
+            text,
+            ignoreSuppression: true,
+            signupId: signup.id
+        });
+    }
+
+    /**
+     * Build the path of a signup's waitlist status page (the token never expires)
+     */
+    function getStatusPath(signup) {
+        const token = signToken({ subject: signup.id, purpose: 'status' });
+        return `${config.routeBase}/status/${token}`;
+    }
+
+    /**
+     * Rank the whole waitlist from the few fields ranking needs, streamed from storage
+     */
+    async function buildWaitlistRanking() {
+        const signups = [];
+
+        for await (const { id, createdAt, status, referredBy, referralFlag } of storage.stream({})) {
+            signups.push({ id, createdAt, status, referredBy, referralFlag });
+        }
+
+        return rankWaitlist(signups, { boost: config.referralBoost });
+    }
+
+    /**
+     * Get the waitlist ranking, reusing one built in the last WAITLIST_RANKING_TTL_MS
+     * unless the signup isn't in it yet (confirmed since it was built)
+     */
+    async function getWaitlistRanking(signupId) {
+        if (waitlistRanking && Date.now() - waitlistRanking.builtAt < WAITLIST_RANKING_TTL_MS) {
+            const ranking = await waitlistRanking.promise;
+            if (ranking.has(signupId)) {
+                return ranking;
+            }
+        }
+
+        const current = { builtAt: Date.now(), promise: buildWaitlistRanking() };
+        waitlistRanking = current;
+
+        try {
+            return await current.promise;
+        } catch (error) {
+            if (waitlistRanking === current) {
+                waitlistRanking = null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Build a signup's shareable invite link
+     */
+    function getReferralUrl(signup) {
+        return `${config.baseUrl}/?ref=${signup.referralCode}`;
+    }
+
+    /**
+     * Build the per-subscriber one-click unsubscribe URL
+     */
+    function getUnsubscribeUrl(signup) {
+        const token = signToken({ subject: signup.id, purpose: 'unsubscribe' });
+        return `${config.baseUrl}${routePath('unsubscribe', token)}`;
+    }
+
+    /**
+     * Build RFC 8058 one-click List-Unsubscribe headers
+     */
+    function getUnsubscribeHeaders(unsubscribeUrl) {
+        return {
+            'List-Unsubscribe': `<${unsubscribeUrl}>`,
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        };
+    }
+
+    /**
+     * Check whether an address has unsubscribed and must not be mailed
+     */
+    async function isSuppressed(email) {
+        const signup = await storage.findByEmail(email);
+        return Boolean(signup && signup.status === 'unsubscribed');
+    }
+
+    /**
+     * Queue email for delivery via the configured provider. signupId is the signup the
+     * email is about, so erasing the signup also drops it from the queue.
+     */
+    async function sendEmail({ to, subject, html, text = null, headers = {}, ignoreSuppression = false, signupId = null }) {
+        // Never send to unsubscribed addresses
+        if (!ignoreSuppression && await isSuppressed(to)) {
+            logger.info('Email suppressed, address has unsubscribed', { to });
+            return;
+        }
+
+        if (config.isDryRun) {
+            logger.info('DRY RUN - Email would be sent', { to, subject });
+            logger.debug('DRY RUN - Email text', { text: (text || html).substring(0, 200) });
+            return;
+        }
+
+        // Persist before sending so a provider outage doesn't lose the message
+        const message = await mailQueue.enqueue({
+            from: config.emailFrom,
+            to,
+            subject,
+            html,
+            text,
+            headers,
+            ignoreSuppression,
+            signupId
+        });
+        logger.info('Email queued', { messageId: message.id });
+
+        if (config.awaitDelivery) {
+            // No background worker, so send whatever is due (including earlier failures) now
+            await mailQueue.processDue();
+        } else {
+            // Hand off to the queue worker so requests never wait on the provider
+            mailQueue.kick();
+        }
+    }
+
+    /**
+     * Render a broadcast for one subscriber, in their language with their unsubscribe link
+     */
+    async function renderBroadcast(broadcast, signup) {
+        const unsubscribeUrl = getUnsubscribeUrl(signup);
+
+        const { subject, html, text } = await renderEmail(broadcast.template, {
+            ...broadcast.data,
+            name: signup.name,
+            unsubscribeUrl
+        }, { locale: signup.locale });
+
+        return { subject, html, text, headers: getUnsubscribeHeaders(unsubscribeUrl) };
+    }
+
+    /**
+     * Send one broadcast email straight through the transport. Broadcasts track each
+     * recipient themselves, so they don't go through the mail queue.
+     */
+    async function sendBroadcastEmail({ to, subject, html, text, headers }) {
+        if (config.isDryRun) {
+            logger.info('DRY RUN - Broadcast email would be sent', { to, subject });
+            return { id: 'dry-run' };
+        }
+
+        return transport.send({ from: config.emailFrom, to, subject, html, text, headers });
+    }
+
+    /**
+     * Create or update a signup and send the double opt-in email, adding the rate limits
+     * it was checked against to limits
+     */
+    async function processSignup({ body, ip, acceptLanguage, limits }) {
+        try {
+            const ipLimited = await checkRateLimit('subscribe', ip, { limits });
+            if (ipLimited) {
+                return ipLimited;
+            }
+
+            // Validate and sanitize input
+            const validationResult = validateInput(body);
+            if (!validationResult.isValid) {
+                metrics.validationFailures.inc({ field: validationResult.field || 'body' });
+                return json(400, {
+                    success: false,
+                    code: 'invalid_input',
+                    field: validationResult.field || null,
+                    message: validationResult.message
+                });
+            }
+
+            const { name, email, consent, timestamp, userAgent, referrer, attribution, ref } = validationResult.data;
+
+            // Also limited per address, so one inbox can't be flooded from many IPs
+            const emailLimited = await checkRateLimit('subscribeEmail', email, { limits });
+            if (emailLimited) {
+                return emailLimited;
+            }
+
+            // Bots and junk addresses are turned away before anything is stored
+            const rejection = await spamGuard.check({ body, email, ip });
+            if (rejection) {
+                return json(rejection.status, rejection.body);
+            }
+
+            // Emails go out in the language the form sent, else the browser's preference
+            const locale = resolveLocale(validationResult.data.locale || acceptLanguage);
+
+            // One record per address - update the existing signup instead of duplicating it
+            const existing = await storage.findByEmail(email);
+            if (existing) {
+                const now = new Date().toISOString();
+
+                const signup = existing.status === 'unsubscribed'
+                    // Re-subscribing an unsubscribed address starts a fresh opt-in
+                    ? await storage.update(existing.id, {
+                        name: name || existing.name,
+                        consent,
+                        timestamp,
+                        userAgent,
+                        referrer,
+                        ip,
+                        locale,
+                        attribution: mergeAttribution(existing.attribution, attribution),
+                        referralCode: existing.referralCode || generateReferralCode(),
+                        status: 'pending',
+                        confirmedAt: null,
+                        confirmIp: null,
+                        unsubscribedAt: null,
+                        confirmationSentAt: null,
+                        lastSeenAt: now
+                    })
+                    : await storage.update(existing.id, {
+                        name: name || existing.name,
+                        referrer: referrer || existing.referrer,
+                        userAgent: userAgent || existing.userAgent,
+                        locale,
+                        attribution: mergeAttribution(existing.attribution, attribution),
+                        referralCode: existing.referralCode || generateReferralCode(),
+                        lastSeenAt: now
+                    });
+
+                if (signup.status === 'confirmed') {
+                    metrics.signups.inc({ outcome: 'already_subscribed' });
+                    return json(409, {
+                        success: false,
+                        code: 'already_subscribed',
+                        message: 'You\'re already on the list!'
+                    });
+                }
+
+                metrics.signups.inc({ outcome: existing.status === 'unsubscribed' ? 'resubscribed' : 'existing' });
+                const sent = await sendConfirmationIfDue(signup);
+                if (existing.status === 'unsubscribed') {
+                    await emitWebhook('signup.resubscribed', signup);
+                }
+
+                return json(200, {
+                    success: true,
+                    code: 'pending_confirmation',
+                    message: sent
+                        ? 'Almost there! We\'ve sent you a new confirmation email.'
+                        : 'Almost there! We\'ve already sent you a confirmation email - please check your inbox and spam folder.'
+                });
+            }
+
+            // Credit whoever's invite link brought this signup in (once it is confirmed)
+            const referral = await resolveReferral(ref, { email, ip });
+
+            // Create signup record (pending until the email address is confirmed)
+            const signup = {
+                id: generateId(),
+                name: name || null,
+                email,
+                consent,
+                timestamp,
+                userAgent,
+                referrer,
+                ip,
+                locale,
+                attribution,
+                referralCode: generateReferralCode(),
+                ...referral,
+                status: 'pending',
+                confirmedAt: null,
+                confirmIp: null,
+                createdAt: new Date().toISOString(),
+                lastSeenAt: new Date().toISOString()
+            };
+
+            const pending = json(200, {
+                success: true,
+                code: 'pending_confirmation',
+                message: 'Almost there! Check your email to confirm your subscription.'
+            });
+
+            // Store signup
+            try {
+                await storeSignup(signup);
+            } catch (error) {
+                // A concurrent request for the same address got there first and sends the email
+                if (error.code !== 'DUPLICATE_EMAIL') {
+                    throw error;
+                }
+
+                metrics.signups.inc({ outcome: 'existing' });
+                return pending;
+            }
+
+            metrics.signups.inc({ outcome: 'created' });
+
+            // Send double opt-in confirmation email
+            await sendConfirmationIfDue(signup);
+            await emitWebhook('signup.created', signup);
+
+            return pending;
+
+        } catch (error) {
+            logger.error('Subscription error', error);
+
+            return json(500, {
+                success: false,
+                message: 'Internal server error. Please try again later.'
+            });
+        }
+    }
+
+    const service = {
+        storage,
+        transport,
+        mailQueue,
+        spamGuard,
+        webhooks,
+        broadcasts,
+        eraseSignups,
+        emitWebhook,
+        checkRateLimit,
+
+        /**
+         * Issue a form token when the signup page loads (see lib/spam)
+         */
+        formToken({ ip }) {
+            return json(200, { success: true, ...spamGuard.issueFormToken({ ip }) }, { 'Cache-Control': 'no-store' });
+        },
+
+        /**
+         * Create or update a signup and send the double opt-in email.
+         * With an idempotency key, retries of the same request replay the first response.
+         */
+        async subscribe({ body, ip, acceptLanguage, idempotencyKey }) {
+            const limits = [];
+
+            if (!idempotencyKey) {
+                return withRateLimitHeaders(await processSignup({ body, ip, acceptLanguage, limits }), limits);
+            }
+
+            if (!IDEMPOTENCY_KEY_REGEX.test(idempotencyKey)) {
+                return json(400, {
+                    success: false,
+                    code: 'invalid_idempotency_key',
+                    message: 'Idempotency-Key must be 8-255 letters, digits, dashes or underscores.'
+                });
+            }
+
+            let claim;
+            try {
+                claim = await idempotency.begin(idempotencyKey, hashEmail(String(body?.email || '')));
+            } catch (error) {
+                logger.error('Idempotency error', error);
+                return json(500, {
+                    success: false,
+                    message: 'Internal server error. Please try again later.'
+                });
+            }
+
+            if (claim.state === 'mismatch') {
+                return json(422, {
+                    success: false,
+                    code: 'idempotency_key_reused',
+                    message: 'This Idempotency-Key was already used for a different signup.'
+                });
+            }
+
+            if (claim.state === 'processing') {
+                return json(409, {
+                    success: false,
+                    code: 'request_in_progress',
+                    message: 'This signup is still being processed. Please retry shortly.'
+                }, { 'Retry-After': '1' });
+            }
+
+            if (claim.state === 'completed') {
+                return { ...claim.result, headers: { ...claim.result.headers, 'Idempotent-Replayed': 'true' } };
+            }
+
+            // Stored without the RateLimit-* headers: a replay isn't counted
+            const result = await processSignup({ body, ip, acceptLanguage, limits });
+
+            try {
+                // Server errors, rate limits and stale form tokens or challenges aren't remembered,
+                // so the client's retry gets another go
+                if (result.status >= 500 || result.status === 429 || RETRYABLE_REJECTIONS.includes(result.json?.code)) {
+                    await idempotency.release(idempotencyKey);
+                } else {
+                    await idempotency.complete(idempotencyKey, result);
+                }
+            } catch (error) {
+                logger.error('Idempotency error', error);
+            }
+
+            return withRateLimitHeaders(result, limits);
+        },
+
+        /**
+         * Confirm a signup from the double opt-in link
+         */
+        async confirm({ token, ip }) {
+            try {
+                const result = verifyToken(token, 'confirm');
+                if (!result.isValid && result.reason !== 'expired') {
+                    return page(400, {
+                        title: 'Invalid link',
+                        message: 'This confirmation link is invalid. Please sign up again.'
+                    });
+                }
+
+                const signup = await storage.findById(result.payload.sub);
+                if (!signup) {
+                    return page(404, {
+                        title: 'Signup not found',
+                        message: 'We could not find this signup. Please sign up again.'
+                    });
+                }
+
+                if (signup.status === 'unsubscribed') {
+                    return page(410, {
+                        title: 'Unsubscribed',
+                        message: 'This address has unsubscribed. Please sign up again to rejoin the list.'
+                    });
+                }
+
+                if (signup.status === 'confirmed') {
+                    return page(200, {
+                        title: 'Already confirmed',
+                        message: 'Your email address is already confirmed. You\'re on the list!',
+                        links: [{ href: getStatusPath(signup), label: 'See your waitlist position and invite link' }]
+                    });
+                }
+
+                // Expired link for a pending signup - send a fresh one
+                if (!result.isValid) {
+                    const sent = await sendConfirmationIfDue(signup);
+
+                    return page(410, {
+                        title: 'Link expired',
+                        message: sent
+                            ? 'This confirmation link has expired. We\'ve sent a new one to your inbox.'
+                            : 'This confirmation link has expired. We\'ve recently sent a new one - please check your inbox.'
+                    });
+                }
+
+                const confirmed = await storage.update(signup.id, {
+                    status: 'confirmed',
+                    confirmedAt: new Date().toISOString(),
+                    confirmIp: ip,
+                    referralCode: signup.referralCode || generateReferralCode()
+                });
+
+                // Notify admin only once the address is confirmed
+                await sendNotificationEmail(confirmed);
+                await emitWebhook('signup.confirmed', confirmed);
+
+                return page(200, {
+                    title: 'You\'re on the list!',
+                    message: 'Thanks for confirming your email address. We\'ll be in touch as soon as REVANX launches.',
+                    links: [{ href: getStatusPath(confirmed), label: 'See your waitlist position and invite link' }]
+                });
+
+            } catch (error) {
+                logger.error('Confirmation error', error);
+
+                return page(500, {
+                    title: 'Something went wrong',
+                    message: 'We could not confirm your signup. Please try again later.'
+                });
+            }
+        },
+
+        /**
+         * Waitlist status: position, credited referrals and the personal invite link
+         */
+        async status({ token, wantsJson }) {
+            const notFound = (status, title, message) => wantsJson
+                ? json(status, { success: false, message })
+                : page(status, { title, message });
+
+            try {
+                const result = verifyToken(token, 'status');
+                if (!result.isValid) {
+                    return notFound(400, 'Invalid link', 'This status link is invalid.');
+                }
+
+                let signup = await storage.findById(result.payload.sub);
+                if (!signup || signup.status === 'unsubscribed') {
+                    return notFound(404, 'Not on the waitlist', 'This address is no longer on the waitlist. Sign up again to rejoin.');
+                }
+
+                if (!isOnWaitlist(signup)) {
+                    return notFound(409, 'Confirm your email', 'Please confirm your email address to claim your place on the waitlist.');
+                }
+
+                // Signups from before referrals get their code on first visit
+                if (!signup.referralCode) {
+                    signup = await storage.update(signup.id, { referralCode: generateReferralCode() });
+                }
+
+                // Positions can lag up to WAITLIST_RANKING_TTL_MS behind new confirmations
+                const ranking = await getWaitlistRanking(signup.id);
+                const { position, referrals } = ranking.get(signup.id);
+                const referralUrl = getReferralUrl(signup);
+
+                if (wantsJson) {
+                    return json(200, {
+                        success: true,
+                        position,
+                        total: ranking.size,
+                        referrals,
+                        referralCode: signup.referralCode,
+                        referralUrl
+                    });
+                }
+
+                return page(200, {
+                    title: `You're #${position} on the waitlist`,
+                    message: `${referrals} ${referrals === 1 ? 'friend has' : 'friends have'} joined with your invite link. ` +
+                        `Every friend who confirms their email moves you up ${config.referralBoost} places. Share your link:`,
+                    links: [{ href: referralUrl, label: referralUrl }]
+                });
+
+            } catch (error) {
+                logger.error('Status error', error);
+
+                return wantsJson
+                    ? json(500, { success: false, message: 'Internal server error. Please try again later.' })
+                    : page(500, { title: 'Something went wrong', message: 'We could not load your status. Please try again later.' });
+            }
+        },
+
+        /**
+         * Unsubscribe page - asks for confirmation so link scanners don't unsubscribe anyone
+         */
+        async unsubscribePage({ token }) {
+            try {
+                const signup = await findSignupByUnsubscribeToken(token);
+                if (!signup) {
+                    return page(400, {
+                        title: 'Invalid link',
+                        message: 'This unsubscribe link is invalid or no longer exists.'
+                    });
+                }
+
+                if (signup.status === 'unsubscribed') {
+                    return page(200, {
+                        title: 'Already unsubscribed',
+                        message: 'You have already been unsubscribed and won\'t receive any more emails from us.'
+                    });
+                }
+
+                return page(200, {
+                    title: 'Unsubscribe',
+                    message: `Stop receiving REVANX emails at ${signup.email}?`,
+                    form: {
+                        action: routePath('unsubscribe', token),
+                        label: 'Unsubscribe'
+                    }
+                });
+
+            } catch (error) {
+                logger.error('Unsubscribe error', error);
+
+                return page(500, {
+                    title: 'Something went wrong',
+                    message: 'We could not load this page. Please try again later.'
+                });
+            }
+        },
+
+        /**
+         * Unsubscribe - the page's form and RFC 8058 one-click POSTs from mail clients
+         */
+        async unsubscribe({ token }) {
+            try {
+                const signup = await findSignupByUnsubscribeToken(token);
+                if (!signup) {
+                    return page(400, {
+                        title: 'Invalid link',
+                        message: 'This unsubscribe link is invalid or no longer exists.'
+                    });
+                }
+
+                if (signup.status !== 'unsubscribed') {
+                    const unsubscribed = await storage.update(signup.id, {
+                        status: 'unsubscribed',
+                        unsubscribedAt: new Date().toISOString()
+                    });
+
+                    logger.info('Signup unsubscribed', { signupId: signup.id });
+                    await emitWebhook('signup.unsubscribed', unsubscribed);
+                }
+
+                return page(200, {
+                    title: 'You\'ve been unsubscribed',
+                    message: 'You won\'t receive any more emails from REVANX. Changed your mind? You can sign up again at any time.'
+                });
+
+            } catch (error) {
+                logger.error('Unsubscribe error', error);
+
+                return page(500, {
+                    title: 'Something went wrong',
+                    message: 'We could not unsubscribe you. Please try again later.'
+                });
+            }
+        },
+
+        /**
+         * Data request form - subscribers ask for a signed link to access or erase their data
+         */
+        dataRequestPage() {
+            return page(200, {
+                title: 'Your data',
+                message: 'Enter the email address you signed up with and we\'ll send you a link to download or delete your data.',
+                form: {
+                    action: routePath('privacy/request'),
+                    label: 'Email me a link',
+                    fields: [{ name: 'email', type: 'email', label: 'Email address' }]
+                }
+            });
+        },
+
+        /**
+         * Data request submission - answers JSON callers with JSON and the form with a page
+         */
+        async requestData({ body, ip, wantsJson }) {
+            const limits = [];
+            const respond = (status, title, message) => withRateLimitHeaders(wantsJson
+                ? json(status, { success: status < 400, message })
+                : page(status, { title, message }), limits);
+
+            try {
+                const ipLimited = await checkRateLimit('privacyRequest', ip, { wantsJson, limits });
+                if (ipLimited) {
+                    return ipLimited;
+                }
+
+                const email = typeof body?.email === 'string' ? body.email.trim() : '';
+                if (!EMAIL_REGEX.test(email)) {
+                    return respond(400, 'Invalid email', 'Please enter a valid email address.');
+                }
+
+                const normalized = normalizeEmail(email, { canonicalizeGmail: config.canonicalizeGmail });
+                const emailLimited = await checkRateLimit('privacyRequestEmail', normalized, { wantsJson, limits });
+                if (emailLimited) {
+                    return emailLimited;
+                }
+
+                const signup = await storage.findByEmail(normalized);
+                if (signup) {
+                    await sendDataRequestEmail(signup);
+                }
+
+                // Same response either way so this can't be used to discover subscribers
+                return respond(200, 'Check your inbox', 'If we hold data for this address, we\'ve sent it a link to download or delete it.');
+
+            } catch (error) {
+                logger.error('Data request error', error);
+                return respond(500, 'Something went wrong', 'We could not process your request. Please try again later.');
+            }
+        },
+
+        /**
+         * Data request landing page - links to export and erasure
+         */
+        privacyPage({ token }) {
+            const result = verifyToken(token, 'privacy');
+            if (!result.isValid) {
+                return invalidPrivacyLink(result);
+            }
+
+            return page(200, {
+                title: 'Your data',
+                message: `Download or permanently delete the data we hold for ${result.payload.sub}. Deleting also unsubscribes you from all emails.`,
+                links: [{ href: routePath('privacy/export', token), label: 'Download my data (JSON)' }],
+                form: {
+                    action: routePath('privacy/erase', token),
+                    label: 'Delete my data'
+                }
+            });
+        },
+
+        /**
+         * Data export - every record held for the address
+         */
+        async exportData({ token }) {
+            try {
+                const result = verifyToken(token, 'privacy');
+                if (!result.isValid) {
+                    return json(result.reason === 'expired' ? 410 : 400, {
+                        success: false,
+                        message: 'This link is no longer valid. Please request a new one.'
+                    });
+                }
+
+                const email = result.payload.sub;
+
+                return json(200, {
+                    email,
+                    exportedAt: new Date().toISOString(),
+                    signups: await storage.list({ email })
+                }, { 'Content-Disposition': 'attachment; filename="revanx-data.json"' });
+
+            } catch (error) {
+                logger.error('Data export error', error);
+
+                return json(500, {
+                    success: false,
+                    message: 'Error exporting data'
+                });
+            }
+        },
+
+        /**
+         * Data erasure - deletes every record held for the address
+         */
+        async eraseData({ token }) {
+            try {
+                const result = verifyToken(token, 'privacy');
+                if (!result.isValid) {
+                    return invalidPrivacyLink(result);
+                }
+
+                await eraseSignups(result.payload.sub, 'subject_request');
+
+                return page(200, {
+                    title: 'Your data has been deleted',
+                    message: 'We\'ve permanently deleted everything we held for this address.'
+                });
+
+            } catch (error) {
+                logger.error('Data erasure error', error);
+
+                return page(500, {
+                    title: 'Something went wrong',
+                    message: 'We could not delete your data. Please try again later.'
+                });
+            }
+        },
+
+        /**
+         * Dispatch a request by method and route (e.g. "confirm", "privacy/export").
+         * Used by the serverless adapters, which get every route through one function.
+         */
+        async handle({ method, route, query = {}, body, ip, acceptLanguage, idempotencyKey, wantsJson }) {
+            // Status links carry their token in the path: status/<token>
+            const [name, token] = route && route.startsWith('status/')
+                ? ['status', route.substring('status/'.length)]
+                : [route || 'subscribe', query.token];
+
+            switch (`${method} ${name}`) {
+                case 'POST subscribe':
+                    return service.subscribe({ body, ip, acceptLanguage, idempotencyKey });
+                case 'GET confirm':
+                    return service.confirm({ token, ip });
+                case 'GET unsubscribe':
+                    return service.unsubscribePage({ token });
+                case 'POST unsubscribe':
+                    return service.unsubscribe({ token });
+                case 'GET token':
+                    return service.formToken({ ip });
+                case 'GET status':
+                    return service.status({ token, wantsJson });
+                case 'GET privacy/request':
+                    return service.dataRequestPage();
+                case 'POST privacy/request':
+                    return service.requestData({ body, ip, wantsJson });
+                case 'GET privacy':
+                    return service.privacyPage({ token });
+                case 'GET privacy/export':
+                    return service.exportData({ token });
+                case 'POST privacy/erase':
+                    return service.eraseData({ token });
+                default:
+                    return name === 'subscribe'
+                        ? json(405, { success: false, message: 'Method not allowed' })
+                        : json(404, { success: false, message: 'Not found' });
+            }
+        }
+    };
+
+    /**
+     * Page for an expired or tampered data request link
+     */
+    function invalidPrivacyLink(result) {
+        return page(result.reason === 'expired' ? 410 : 400, {
+            title: result.reason === 'expired' ? 'Link expired' : 'Invalid link',
+            message: 'This link is no longer valid. Please request a new one.',
+            links: [{ href: routePath('privacy/request'), label: 'Request a new link' }]
+        });
+    }
+
+    return service;
+}
+
+/**
+ * Strip HTML tags from string
+ */
+function stripHtml(str) {
+    return str.replace(/<[^>]*>/g, '');
+}
+
+/**
+ * Generate unique ID
+ */
+function generateId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+}
+
+module.exports = {
+    SIGNUP_STATUSES,
+    createSignupService,
+    stripHtml
+};
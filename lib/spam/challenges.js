@@ -0,0 +1,77 @@
+/**
+ * Challenges - Server-side verification of CAPTCHA-style challenge tokens
+ *
+ * A challenge provider is { name, fieldName, verify(token, ip) } where verify resolves
+ * true when the provider accepted the token, and rejects when the provider couldn't be
+ * asked (an error status, or no answer within challengeTimeout). fieldName is the hidden
+ * input the provider's widget adds to the form.
+ */
+
+const PROVIDERS = {
+    turnstile: {
+        verifyUrl: 'https://challenges.cloudflare.com/turnstile/v0/siteverify',
+        fieldName: 'cf-turnstile-response'
+    },
+    hcaptcha: {
+        verifyUrl: 'https://api.hcaptcha.com/siteverify',
+        fieldName: 'h-captcha-response'
+    }
+};
+
+/**
+ * Create the challenge provider for CHALLENGE_PROVIDER, or null when disabled
+ */
+function createChallengeProvider({ challengeProvider, challengeSecret, challengeTimeout = 5000 }) {
+    if (!challengeProvider) {
+        return null;
+    }
+
+    const provider = PROVIDERS[challengeProvider];
+    if (!provider) {
+        throw new Error(`Challenge provider not implemented: ${challengeProvider}`);
+    }
+
+    if (!challengeSecret) {
+        throw new Error(`CHALLENGE_SECRET is required for the ${challengeProvider} challenge provider`);
+    }
+
+    return {
+        name: challengeProvider,
+        fieldName: provider.fieldName,
+
+        async verify(token, ip) {
+            if (!token || typeof token !== 'string') {
+                return false;
+            }
+
+            const params = new URLSearchParams({ secret: challengeSecret, response: token });
+            if (ip && ip !== 'unknown') {
+                params.set('remoteip', ip);
+            }
+
+            let response;
+            try {
+                response = await fetch(provider.verifyUrl, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                    body: params,
+                    signal: AbortSignal.timeout(challengeTimeout)
+                });
+            } catch (error) {
+                const message = error.name === 'TimeoutError' ? `timed out after ${challengeTimeout}ms` : error.message;
+                throw new Error(`${challengeProvider} verification failed: ${message}`, { cause: error });
+            }
+
+            if (!response.ok) {
+                throw new Error(`${challengeProvider} verification failed with status ${response.status}`);
+            }
+
+            const result = await response.json();
+            return result.success === true;
+        }
+    };
+}
+
+module.exports = {
+    createChallengeProvider
+};
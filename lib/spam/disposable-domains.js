@@ -0,0 +1,64 @@
+/**
+ * Disposable Domains - Throwaway email providers rejected at signup
+ * Subdomains match too (e.g. anything.mailinator.com). Extend with BLOCKED_EMAIL_DOMAINS.
+ */
+
+const DISPOSABLE_DOMAINS = [
+    '10minutemail.com',
+    '20minutemail.com',
+    '33mail.com',
+    'anonbox.net',
+    'burnermail.io',
+    'discard.email',
+    'dispostable.com',
+    'dropmail.me',
+    'emailondeck.com',
+    'fakeinbox.com',
+    'getairmail.com',
+    'getnada.com',
+    'guerrillamail.biz',
+    'guerrillamail.com',
+    'guerrillamail.de',
+    'guerrillamail.info',
+    'guerrillamail.net',
+    'guerrillamail.org',
+    'guerrillamailblock.com',
+    'harakirimail.com',
+    'inboxbear.com',
+    'incognitomail.org',
+    'mail-temp.com',
+    'mailcatch.com',
+    'maildrop.cc',
+    'mailinator.com',
+    'mailinator.net',
+    'mailnesia.com',
+    'mailpoof.com',
+    'mintemail.com',
+    'mohmal.com',
+    'moakt.com',
+    'mytemp.email',
+    'mytrashmail.com',
+    'nada.email',
+    'sharklasers.com',
+    'spam4.me',
+    'spambox.us',
+    'spamgourmet.com',
+    'temp-mail.io',
+    'temp-mail.org',
+    'tempail.com',
+    'tempmail.dev',
+    'tempmail.net',
+    'tempmailo.com',
+    'tempr.email',
+    'throwawaymail.com',
+    'trashmail.com',
+    'trashmail.de',
+    'trashmail.net',
+    'yopmail.com',
+    'yopmail.fr',
+    'yopmail.net'
+];
+
+module.exports = {
+    DISPOSABLE_DOMAINS
+};
@@ -0,0 +1,217 @@
+/**
+ * Spam Guard - Bot and junk-address checks run before a signup is stored
+ *
+ * Checks, in order:
+ *   honeypot     - a hidden form field only bots fill in
+ *   form token   - a signed token issued when the page loads, bound to the client's IP
+ *                  address; too old, missing, from another address or submitted sooner
+ *                  than minFillMs after issue is rejected
+ *   challenge    - Turnstile or hCaptcha, when CHALLENGE_PROVIDER is set
+ *   disposable   - throwaway email domains
+ *   mx           - the domain can receive mail, when EMAIL_MX_CHECK is set
+ *
+ * check() resolves null for a clean signup, or { reason, status, body } to respond with.
+ * Rejections are logged and counted per reason.
+ */
+
+const crypto = require('crypto');
+const { signToken, verifyToken } = require('../tokens');
+const { logger } = require('../logger');
+const { metrics } = require('../metrics');
+const { DISPOSABLE_DOMAINS } = require('./disposable-domains');
+const { createDnsMxResolver, createStubMxResolver } = require('./mx');
+const { createChallengeProvider } = require('./challenges');
+
+const HONEYPOT_FIELD = 'website';
+
+// Rejections the same submission can get past by retrying with a fresh form token or
+// challenge, so they mustn't be remembered as the final answer for an Idempotency-Key
+const RETRYABLE_REJECTIONS = ['form_expired', 'too_fast', 'challenge_failed'];
+
+/**
+ * A short hash of the client's IP address, so form tokens don't carry the address itself
+ */
+function hashClient(ip) {
+    return crypto.createHash('sha256').update(String(ip)).digest('base64url').substring(0, 16);
+}
+
+/**
+ * Sign a form token issued at issuedAt to the client at ip
+ */
+function signFormToken({ issuedAt = Date.now(), ip, ttlMs }) {
+    return signToken({
+        subject: `${issuedAt}.${hashClient(ip)}`,
+        purpose: 'form',
+        ttlMs
+    });
+}
+
+/**
+ * Create the resolver for EMAIL_MX_CHECK (dns or stub), or null when disabled
+ */
+function createMxResolver({ mxCheck, mxStubDomains }) {
+    if (mxCheck === 'dns') {
+        return createDnsMxResolver();
+    }
+
+    if (mxCheck === 'stub') {
+        return createStubMxResolver(mxStubDomains);
+    }
+
+    return null;
+}
+
+/**
+ * Create a spam guard from config. Resolver and challenge provider can be injected.
+ */
+function createSpamGuard(config, {
+    resolveMx = createMxResolver(config),
+    challenge = createChallengeProvider(config)
+} = {}) {
+    const blockedDomains = new Set([...DISPOSABLE_DOMAINS, ...config.blockedEmailDomains]);
+    const rejections = {};
+
+    /**
+     * Whether a domain or any parent domain is blocked
+     */
+    function isBlockedDomain(domain) {
+        const labels = domain.split('.');
+        return labels.some((label, index) => blockedDomains.has(labels.slice(index).join('.')));
+    }
+
+    /**
+     * Log and count a rejection, returning it
+     */
+    function reject(reason, status, body, { email, ip }) {
+        rejections[reason] = (rejections[reason] || 0) + 1;
+        metrics.spamRejections.inc({ reason });
+        logger.warn('Signup rejected', { reason, domain: email.split('@')[1], ip });
+        return { reason, status, body };
+    }
+
+    /**
+     * Check the form token: signed by us, not expired, issued to this client and not
+     * submitted too fast. A token from another address counts as expired: reloading the
+     * page issues one that works.
+     */
+    function checkFormToken(token, ip) {
+        const result = verifyToken(token, 'form');
+        if (!result.isValid) {
+            return 'form_expired';
+        }
+
+        const [issuedAt, client] = String(result.payload.sub).split('.');
+        if (client !== hashClient(ip)) {
+            return 'form_expired';
+        }
+
+        return Date.now() - Number(issuedAt) < config.formMinFillMs ? 'too_fast' : null;
+    }
+
+    return {
+        /**
+         * Issue a form token for a page load by the client at ip
+         */
+        issueFormToken({ ip }) {
+            return {
+                token: signFormToken({ ip, ttlMs: config.formTokenTtl }),
+                minFillMs: config.formMinFillMs,
+                challenge: challenge ? { provider: challenge.name, siteKey: config.challengeSiteKey || null } : null
+            };
+        },
+
+        /**
+         * Check a validated signup ({ email }) against the raw request body
+         */
+        async check({ body, email, ip }) {
+            const context = { email, ip };
+
+            if (body[HONEYPOT_FIELD]) {
+                // Looks like success so the bot doesn't learn it was caught
+                return reject('honeypot', 200, {
+                    success: true,
+                    code: 'pending_confirmation',
+                    message: 'Almost there! Check your email to confirm your subscription.'
+                }, context);
+            }
+
+            if (config.formTokenRequired) {
+                const problem = checkFormToken(body.formToken, ip);
+
+                if (problem === 'form_expired') {
+                    return reject(problem, 400, {
+                        success: false,
+                        code: 'form_expired',
+                        message: 'This form has expired. Please reload the page and try again.'
+                    }, context);
+                }
+
+                if (problem === 'too_fast') {
+                    return reject(problem, 400, {
+                        success: false,
+                        code: 'too_fast',
+                        message: 'That was quick! Please wait a moment and submit again.'
+                    }, context);
+                }
+            }
+
+            if (challenge) {
+                let passed;
+                try {
+                    passed = await challenge.verify(body.challengeToken, ip);
+                } catch (error) {
+                    logger.error('Challenge verification error', error);
+                    return reject('challenge_unavailable', 503, {
+                        success: false,
+                        code: 'challenge_unavailable',
+                        message: 'We couldn\'t verify you right now. Please try again in a moment.'
+                    }, context);
+                }
+
+                if (!passed) {
+                    return reject('challenge_failed', 400, {
+                        success: false,
+                        code: 'challenge_failed',
+                        message: 'Please complete the verification and try again.'
+                    }, context);
+                }
+            }
+
+            const domain = email.substring(email.lastIndexOf('@') + 1);
+
+            if (isBlockedDomain(domain)) {
+                return reject('disposable_email', 400, {
+                    success: false,
+                    code: 'disposable_email',
+                    field: 'email',
+                    message: 'Please use a permanent email address.'
+                }, context);
+            }
+
+            if (resolveMx && !(await resolveMx(domain))) {
+                return reject('undeliverable_email', 400, {
+                    success: false,
+                    code: 'undeliverable_email',
+                    field: 'email',
+                    message: 'This email domain can\'t receive mail. Please check the address.'
+                }, context);
+            }
+
+            return null;
+        },
+
+        /**
+         * Rejection counts per reason since the process started
+         */
+        stats() {
+            return { ...rejections };
+        }
+    };
+}
+
+module.exports = {
+    HONEYPOT_FIELD,
+    RETRYABLE_REJECTIONS,
+    signFormToken,
+    createSpamGuard
+};
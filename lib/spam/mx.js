@@ -0,0 +1,72 @@
+/**
+ * MX Check - Whether an email domain can receive mail
+ *
+ * A resolver is async (domain) => boolean. The dns resolver looks up MX records,
+ * falling back to an A/AAAA record (the implicit MX of RFC 5321). Lookups that fail
+ * for reasons other than "no such domain / no records" resolve true, so a flaky
+ * resolver never blocks real signups. The stub resolver answers from a fixed map
+ * for tests and offline development.
+ */
+
+const dns = require('dns').promises;
+
+// Answers that mean the domain definitely has nowhere to deliver
+const NO_RECORD_CODES = ['ENOTFOUND', 'ENODATA', 'NXDOMAIN'];
+
+/**
+ * Run a lookup, resolving whether it found records and null if the lookup itself failed
+ */
+async function lookup(fn, domain, timeoutMs) {
+    let timer;
+    const timeout = new Promise(resolve => {
+        timer = setTimeout(() => resolve(null), timeoutMs);
+    });
+
+    try {
+        const records = await Promise.race([
+            fn(domain).catch(error => NO_RECORD_CODES.includes(error.code) ? [] : null),
+            timeout
+        ]);
+        return records === null ? null : records.length > 0;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Create a resolver backed by DNS
+ */
+function createDnsMxResolver({ timeoutMs = 3000 } = {}) {
+    return async domain => {
+        const hasMx = await lookup(dns.resolveMx, domain, timeoutMs);
+        if (hasMx !== false) {
+            return true;
+        }
+
+        const hasA = await lookup(dns.resolve4, domain, timeoutMs);
+        if (hasA !== false) {
+            return true;
+        }
+
+        return (await lookup(dns.resolve6, domain, timeoutMs)) !== false;
+    };
+}
+
+/**
+ * Create a resolver answering from a map of domain => boolean.
+ * Unlisted domains can receive mail unless they use the reserved .invalid TLD.
+ */
+function createStubMxResolver(domains = {}) {
+    return async domain => {
+        if (Object.prototype.hasOwnProperty.call(domains, domain)) {
+            return Boolean(domains[domain]);
+        }
+
+        return !domain.endsWith('.invalid');
+    };
+}
+
+module.exports = {
+    createDnsMxResolver,
+    createStubMxResolver
+};
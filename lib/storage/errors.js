@@ -0,0 +1,16 @@
+/**
+ * Storage Errors - Shared by all storage adapters
+ */
+
+/**
+ * Create the error thrown when inserting an address that is already stored
+ */
+function duplicateEmailError(email) {
+    const error = new Error(`Signup already exists for ${email}`);
+    error.code = 'DUPLICATE_EMAIL';
+    return error;
+}
+
+module.exports = {
+    duplicateEmailError
+};
@@ -0,0 +1,47 @@
+/**
+ * Storage - Pluggable signup storage shared by the Express server and the serverless functions
+ *
+ * Every adapter implements the same async interface:
+ *   insert(signup)          - store a new signup, rejects with code DUPLICATE_EMAIL if the address exists
+ *   findById(id)            - signup or null
+ *   findByEmail(email)      - signup or null
+ *   list(filter)            - signups matching filter, newest first unless filter.sort says otherwise
+ *   count(filter)           - number of signups matching filter
+ *   stream(filter)          - async iterable of signups matching filter, newest first, for exports
+ *   update(id, changes)     - updated signup or null
+ *   delete(id)              - true if a signup was removed
+ *   check()                 - resolves if the store can be read and written, for the readiness check
+ *
+ * Filters accept: email, status, referrer, search, from, to, offset, limit, referralCode, referredBy, and
+ * utmSource, utmMedium, utmCampaign matched against the first or last touch (touch: 'first' | 'last').
+ * list() also takes sort, one of SIGNUP_SORTS.
+ */
+
+const path = require('path');
+const { createJsonStore } = require('./json-store');
+const { duplicateEmailError } = require('./errors');
+
+const SIGNUP_SORTS = ['newest', 'oldest', 'email', 'status'];
+
+/**
+ * Create the storage adapter for a STORAGE_MODE
+ */
+function createStorage({ mode = 'json', dataDir, sqlitePath }) {
+    if (mode === 'json') {
+        return createJsonStore({ dataDir });
+    }
+
+    if (mode === 'sqlite') {
+        // Loaded lazily so JSON deployments don't need the native module
+        const { createSqliteStore } = require('./sqlite-store');
+        return createSqliteStore({ filePath: sqlitePath || path.join(dataDir, 'signups.db') });
+    }
+
+    throw new Error(`Storage mode not implemented: ${mode}`);
+}
+
+module.exports = {
+    SIGNUP_SORTS,
+    createStorage,
+    duplicateEmailError
+};
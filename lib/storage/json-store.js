@@ -0,0 +1,157 @@
+/**
+ * JSON Store - Signups kept in a single JSON file guarded by a lock file
+ */
+
+const fs = require('fs').promises;
+const { constants: fsConstants } = require('fs');
+const path = require('path');
+const { withFileLock, readJsonArray, writeJsonAtomic } = require('../file-lock');
+const { duplicateEmailError } = require('./errors');
+const { matchesAttribution } = require('../attribution');
+
+const newestFirst = (a, b) => new Date(b.createdAt) - new Date(a.createdAt);
+
+// Comparators for list() sort orders, ties newest first
+const SORT_COMPARATORS = {
+    newest: newestFirst,
+    oldest: (a, b) => new Date(a.createdAt) - new Date(b.createdAt),
+    email: (a, b) => a.email.localeCompare(b.email) || newestFirst(a, b),
+    status: (a, b) => (a.status || 'legacy').localeCompare(b.status || 'legacy') || newestFirst(a, b)
+};
+
+/**
+ * Create a JSON file storage adapter
+ */
+function createJsonStore({ dataDir }) {
+    const filePath = path.join(dataDir, 'signups.json');
+    const lockPath = path.join(dataDir, 'signups.lock');
+
+    const withLock = fn => withFileLock(lockPath, fn);
+    const readAll = () => readJsonArray(filePath);
+    const writeAll = signups => writeJsonAtomic(filePath, signups);
+
+    /**
+     * Read signups matching a filter, newest first unless filter.sort says otherwise
+     */
+    async function query(filter = {}) {
+        const signups = await readAll();
+
+        return signups
+            .filter(signup => matchesFilter(signup, filter))
+            .sort(SORT_COMPARATORS[filter.sort] || newestFirst);
+    }
+
+    return {
+        async insert(signup) {
+            return withLock(async () => {
+                const signups = await readAll();
+
+                if (signups.some(existing => existing.email === signup.email)) {
+                    throw duplicateEmailError(signup.email);
+                }
+
+                signups.push(signup);
+                await writeAll(signups);
+                return signup;
+            });
+        },
+
+        async findById(id) {
+            const signups = await readAll();
+            return signups.find(signup => signup.id === id) || null;
+        },
+
+        async findByEmail(email) {
+            // Files written before emails were unique may hold several, prefer the latest
+            const signups = await readAll();
+            return signups.filter(signup => signup.email === email).pop() || null;
+        },
+
+        async list(filter = {}) {
+            const signups = await query(filter);
+            const offset = filter.offset || 0;
+
+            return filter.limit ? signups.slice(offset, offset + filter.limit) : signups.slice(offset);
+        },
+
+        async count(filter = {}) {
+            const signups = await query(filter);
+            return signups.length;
+        },
+
+        // The file is parsed whole either way; streaming saves building the export in memory
+        async *stream(filter = {}) {
+            yield* await query(filter);
+        },
+
+        async update(id, changes) {
+            return withLock(async () => {
+                const signups = await readAll();
+                const index = signups.findIndex(signup => signup.id === id);
+
+                if (index === -1) {
+                    return null;
+                }
+
+                signups[index] = {
+                    ...signups[index],
+                    ...changes,
+                    updatedAt: new Date().toISOString()
+                };
+
+                await writeAll(signups);
+                return signups[index];
+            });
+        },
+
+        async delete(id) {
+            return withLock(async () => {
+                const signups = await readAll();
+                const remaining = signups.filter(signup => signup.id !== id);
+
+                if (remaining.length === signups.length) {
+                    return false;
+                }
+
+                await writeAll(remaining);
+                return true;
+            });
+        },
+
+        async check() {
+            // readAll() treats a corrupt file as empty, which the next write would make permanent
+            try {
+                JSON.parse(await fs.readFile(filePath, 'utf8'));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw new Error(`signups.json can't be read: ${error.message}`);
+                }
+            }
+
+            // Writes replace the file via a temp file in the same directory
+            await fs.access(dataDir, fsConstants.W_OK);
+        }
+    };
+}
+
+/**
+ * Check a signup against a list filter
+ */
+function matchesFilter(signup, { email, status, referrer, search, from, to, referralCode, referredBy, touch, utmSource, utmMedium, utmCampaign }) {
+    const createdAt = new Date(signup.createdAt);
+    const utm = { touch, source: utmSource, medium: utmMedium, campaign: utmCampaign };
+
+    return (!email || signup.email === email) &&
+        (!status || (signup.status || 'legacy') === status) &&
+        (!referrer || (signup.referrer || '').toLowerCase().includes(referrer.toLowerCase())) &&
+        (!search || signup.email.includes(search.toLowerCase())) &&
+        (!from || createdAt >= new Date(from)) &&
+        (!to || createdAt <= new Date(to)) &&
+        (!referralCode || signup.referralCode === referralCode) &&
+        (!referredBy || signup.referredBy === referredBy) &&
+        matchesAttribution(signup, utm);
+}
+
+module.exports = {
+    createJsonStore
+};
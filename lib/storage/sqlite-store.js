@@ -0,0 +1,322 @@
+/**
+ * SQLite Store - Signups in a SQLite database with a unique index on email
+ * Requires the optional better-sqlite3 dependency
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { duplicateEmailError } = require('./errors');
+const { logger } = require('../logger');
+
+// ORDER BY clauses for list() sort orders
+const SORT_ORDERS = {
+    newest: 'created_at DESC',
+    oldest: 'created_at ASC',
+    email: 'email ASC, created_at DESC',
+    status: "COALESCE(status, 'legacy') ASC, created_at DESC"
+};
+
+// Rows read per query when streaming, so an export never holds the whole table
+const STREAM_BATCH_SIZE = 500;
+
+/**
+ * Schema migrations, applied in order and tracked with PRAGMA user_version.
+ * Never edit a released migration - append a new one instead.
+ */
+const MIGRATIONS = [
+    // 1: initial schema
+    `
+    CREATE TABLE signups (
+        id TEXT PRIMARY KEY,
+        email TEXT NOT NULL,
+        name TEXT,
+        consent INTEGER NOT NULL DEFAULT 0,
+        timestamp TEXT,
+        user_agent TEXT,
+        referrer TEXT,
+        ip TEXT,
+        status TEXT,
+        confirmed_at TEXT,
+        confirm_ip TEXT,
+        unsubscribed_at TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT,
+        extra TEXT NOT NULL DEFAULT '{}'
+    );
+    CREATE UNIQUE INDEX idx_signups_email ON signups (email);
+    CREATE INDEX idx_signups_created_at ON signups (created_at);
+    CREATE INDEX idx_signups_status ON signups (status);
+    `,
+    // 2: indexes for filtering by first-touch attribution (stored in extra)
+    `
+    CREATE INDEX idx_signups_first_touch_source ON signups (LOWER(json_extract(extra, '$.attribution.firstTouch.source')));
+    CREATE INDEX idx_signups_first_touch_campaign ON signups (LOWER(json_extract(extra, '$.attribution.firstTouch.campaign')));
+    `,
+    // 3: indexes for referral lookups (stored in extra)
+    `
+    CREATE INDEX idx_signups_referral_code ON signups (json_extract(extra, '$.referralCode'));
+    CREATE INDEX idx_signups_referred_by ON signups (json_extract(extra, '$.referredBy'));
+    `
+];
+
+/**
+ * Signup fields stored in their own columns; anything else goes in the extra JSON column
+ */
+const COLUMNS = {
+    id: 'id',
+    email: 'email',
+    name: 'name',
+    consent: 'consent',
+    timestamp: 'timestamp',
+    userAgent: 'user_agent',
+    referrer: 'referrer',
+    ip: 'ip',
+    status: 'status',
+    confirmedAt: 'confirmed_at',
+    confirmIp: 'confirm_ip',
+    unsubscribedAt: 'unsubscribed_at',
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+};
+
+/**
+ * Create a SQLite storage adapter
+ */
+function createSqliteStore({ filePath }) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    const db = new Database(filePath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('busy_timeout = 5000');
+    migrate(db);
+
+    const columnNames = [...Object.values(COLUMNS), 'extra'];
+    const insertStatement = db.prepare(
+        `INSERT INTO signups (${columnNames.join(', ')}) VALUES (${columnNames.map(name => `@${name}`).join(', ')})`
+    );
+    const updateStatement = db.prepare(
+        `UPDATE signups SET ${columnNames.filter(name => name !== 'id').map(name => `${name} = @${name}`).join(', ')} WHERE id = @id`
+    );
+    const findByIdStatement = db.prepare('SELECT * FROM signups WHERE id = ?');
+    const findByEmailStatement = db.prepare('SELECT * FROM signups WHERE email = ?');
+    const deleteStatement = db.prepare('DELETE FROM signups WHERE id = ?');
+
+    return {
+        async insert(signup) {
+            try {
+                insertStatement.run(toRow(signup));
+                return signup;
+            } catch (error) {
+                if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+                    throw duplicateEmailError(signup.email);
+                }
+                throw error;
+            }
+        },
+
+        async findById(id) {
+            const row = findByIdStatement.get(id);
+            return row ? fromRow(row) : null;
+        },
+
+        async findByEmail(email) {
+            const row = findByEmailStatement.get(email);
+            return row ? fromRow(row) : null;
+        },
+
+        async list(filter = {}) {
+            const { where, params } = buildWhere(filter);
+            const limit = filter.limit ? 'LIMIT @limit OFFSET @offset' : '';
+            const order = SORT_ORDERS[filter.sort] || SORT_ORDERS.newest;
+            const rows = db.prepare(`SELECT * FROM signups ${where} ORDER BY ${order} ${limit}`).all({
+                ...params,
+                limit: filter.limit || -1,
+                offset: filter.offset || 0
+            });
+
+            return rows.map(fromRow);
+        },
+
+        async count(filter = {}) {
+            const { where, params } = buildWhere(filter);
+            return db.prepare(`SELECT COUNT(*) AS total FROM signups ${where}`).get(params).total;
+        },
+
+        async *stream(filter = {}) {
+            // Batches are paged by (created_at, id) rather than held open with iterate(),
+            // which would block every other query on the connection until the export ends
+            const { where, params } = buildWhere(filter);
+            const after = `${where ? `${where} AND` : 'WHERE'} (created_at, id) < (@cursorCreatedAt, @cursorId)`;
+            const first = db.prepare(`SELECT * FROM signups ${where} ORDER BY created_at DESC, id DESC LIMIT ${STREAM_BATCH_SIZE}`);
+            const next = db.prepare(`SELECT * FROM signups ${after} ORDER BY created_at DESC, id DESC LIMIT ${STREAM_BATCH_SIZE}`);
+
+            let rows = first.all(params);
+            while (rows.length > 0) {
+                for (const row of rows) {
+                    yield fromRow(row);
+                }
+
+                if (rows.length < STREAM_BATCH_SIZE) {
+                    return;
+                }
+
+                const last = rows[rows.length - 1];
+                rows = next.all({ ...params, cursorCreatedAt: last.created_at, cursorId: last.id });
+            }
+        },
+
+        async update(id, changes) {
+            const existing = findByIdStatement.get(id);
+            if (!existing) {
+                return null;
+            }
+
+            const updated = {
+                ...fromRow(existing),
+                ...changes,
+                updatedAt: new Date().toISOString()
+            };
+
+            updateStatement.run(toRow(updated));
+            return updated;
+        },
+
+        async delete(id) {
+            return deleteStatement.run(id).changes > 0;
+        },
+
+        async check() {
+            db.prepare('SELECT COUNT(*) FROM signups').get();
+
+            // SQLite opens a file it can't write read-only and only fails on the first write;
+            // the directory must be writable too for the WAL and shared-memory files
+            if (db.readonly) {
+                throw new Error('Database is open read-only');
+            }
+            await fs.promises.access(filePath, fs.constants.W_OK);
+            await fs.promises.access(path.dirname(filePath), fs.constants.W_OK);
+        }
+    };
+}
+
+/**
+ * Apply any migrations newer than the database's user_version
+ */
+function migrate(db) {
+    const currentVersion = db.pragma('user_version', { simple: true });
+
+    MIGRATIONS.slice(currentVersion).forEach((sql, index) => {
+        const version = currentVersion + index + 1;
+
+        db.transaction(() => {
+            db.exec(sql);
+            db.pragma(`user_version = ${version}`);
+        })();
+
+        logger.info('SQLite migration applied', { version });
+    });
+}
+
+/**
+ * Build a WHERE clause for a list filter
+ */
+function buildWhere({ email, status, referrer, search, from, to, referralCode, referredBy, touch, utmSource, utmMedium, utmCampaign }) {
+    const conditions = [];
+    const params = {};
+    const touchPath = touch === 'last' ? '$.attribution.lastTouch' : '$.attribution.firstTouch';
+
+    if (email) {
+        conditions.push('email = @email');
+        params.email = email;
+    }
+    if (status) {
+        conditions.push("COALESCE(status, 'legacy') = @status");
+        params.status = status;
+    }
+    if (referrer) {
+        conditions.push("LOWER(referrer) LIKE @referrer ESCAPE '\\'");
+        params.referrer = `%${escapeLike(referrer.toLowerCase())}%`;
+    }
+    if (search) {
+        conditions.push("email LIKE @search ESCAPE '\\'");
+        params.search = `%${escapeLike(search.toLowerCase())}%`;
+    }
+    if (from) {
+        conditions.push('created_at >= @from');
+        params.from = new Date(from).toISOString();
+    }
+    if (to) {
+        conditions.push('created_at <= @to');
+        params.to = new Date(to).toISOString();
+    }
+    if (referralCode) {
+        conditions.push("json_extract(extra, '$.referralCode') = @referralCode");
+        params.referralCode = referralCode;
+    }
+    if (referredBy) {
+        conditions.push("json_extract(extra, '$.referredBy') = @referredBy");
+        params.referredBy = referredBy;
+    }
+
+    for (const [field, value] of [['source', utmSource], ['medium', utmMedium], ['campaign', utmCampaign]]) {
+        if (value) {
+            conditions.push(`LOWER(json_extract(extra, '${touchPath}.${field}')) = @${field}`);
+            params[field] = value.toLowerCase();
+        }
+    }
+
+    return {
+        where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '',
+        params
+    };
+}
+
+/**
+ * Escape LIKE wildcards in user input
+ */
+function escapeLike(value) {
+    return value.replace(/[\\%_]/g, match => `\\${match}`);
+}
+
+/**
+ * Convert a signup record into a row
+ */
+function toRow(signup) {
+    const row = { extra: {} };
+
+    for (const column of Object.values(COLUMNS)) {
+        row[column] = null;
+    }
+
+    for (const [key, value] of Object.entries(signup)) {
+        if (COLUMNS[key]) {
+            row[COLUMNS[key]] = key === 'consent' ? (value ? 1 : 0) : value;
+        } else {
+            row.extra[key] = value;
+        }
+    }
+
+    row.extra = JSON.stringify(row.extra);
+    return row;
+}
+
+/**
+ * Convert a row back into a signup record
+ */
+function fromRow(row) {
+    const signup = {};
+
+    for (const [key, column] of Object.entries(COLUMNS)) {
+        signup[key] = key === 'consent' ? Boolean(row[column]) : row[column];
+    }
+
+    return {
+        ...signup,
+        ...JSON.parse(row.extra || '{}')
+    };
+}
+
+module.exports = {
+    createSqliteStore
+};
@@ -0,0 +1,90 @@
+/**
+ * Signed Tokens - HMAC-signed, expiring tokens for links sent by email
+ * Shared by the Express server and the serverless functions
+ */
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+let fallbackSecret = null;
+
+/**
+ * Get the signing secret, generating a per-process one if none is configured
+ */
+function getSecret() {
+    if (process.env.TOKEN_SECRET) {
+        return process.env.TOKEN_SECRET;
+    }
+
+    if (!fallbackSecret) {
+        fallbackSecret = crypto.randomBytes(32).toString('hex');
+        logger.warn('TOKEN_SECRET not set - using a random secret, emailed links will stop working after a restart');
+    }
+
+    return fallbackSecret;
+}
+
+/**
+ * Compute the base64url HMAC signature of a token body
+ */
+function sign(body) {
+    return crypto.createHmac('sha256', getSecret()).update(body).digest('base64url');
+}
+
+/**
+ * Create a signed token for a subject (e.g. a signup id) and purpose.
+ * Tokens without a ttlMs never expire.
+ */
+function signToken({ subject, purpose, ttlMs }) {
+    const payload = {
+        sub: subject,
+        pur: purpose,
+        exp: ttlMs ? Date.now() + ttlMs : null
+    };
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+    return `${body}.${sign(body)}`;
+}
+
+/**
+ * Verify a token's signature, purpose and expiry.
+ * Expired tokens still return their payload so callers can offer a resend.
+ */
+function verifyToken(token, purpose) {
+    if (!token || typeof token !== 'string') {
+        return { isValid: false, reason: 'missing' };
+    }
+
+    const [body, signature] = token.split('.');
+    if (!body || !signature) {
+        return { isValid: false, reason: 'malformed' };
+    }
+
+    const expected = Buffer.from(sign(body));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return { isValid: false, reason: 'signature' };
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch (error) {
+        return { isValid: false, reason: 'malformed' };
+    }
+
+    if (payload.pur !== purpose) {
+        return { isValid: false, reason: 'purpose' };
+    }
+
+    if (payload.exp && payload.exp < Date.now()) {
+        return { isValid: false, reason: 'expired', payload };
+    }
+
+    return { isValid: true, payload };
+}
+
+module.exports = {
+    signToken,
+    verifyToken
+};
@@ -0,0 +1,48 @@
+/**
+ * Transport Errors - Provider failures normalized into one shape
+ *
+ * Every transport rejects with an Error carrying:
+ *   provider  - transport name (e.g. "sendgrid")
+ *   code      - auth | rate_limited | invalid_request | unavailable | unknown
+ *   status    - provider HTTP/SMTP status, if any
+ *   retryable - whether sending again later may succeed
+ */
+
+const RETRYABLE_CODES = ['rate_limited', 'unavailable'];
+
+/**
+ * Map an HTTP-style status code to a normalized error code
+ */
+function codeFromStatus(status) {
+    if (status === 401 || status === 403) return 'auth';
+    if (status === 429) return 'rate_limited';
+    if (status >= 400 && status < 500) return 'invalid_request';
+    if (status >= 500) return 'unavailable';
+    return 'unknown';
+}
+
+/**
+ * Message for a request that got no response, naming the timeout when that was the cause
+ */
+function networkErrorMessage(error, timeoutMs) {
+    return error.name === 'TimeoutError' ? `Timed out after ${timeoutMs}ms` : error.message;
+}
+
+/**
+ * Create a normalized transport error
+ */
+function transportError(provider, { message, status = null, code = codeFromStatus(status), cause = null }) {
+    const error = new Error(`${provider}: ${message}`);
+    error.provider = provider;
+    error.code = code;
+    error.status = status;
+    error.retryable = RETRYABLE_CODES.includes(code);
+    error.cause = cause;
+    return error;
+}
+
+module.exports = {
+    codeFromStatus,
+    networkErrorMessage,
+    transportError
+};
@@ -0,0 +1,51 @@
+/**
+ * File Transport - Writes each message as an .eml file to an outbox directory for offline testing
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { constants: fsConstants } = require('fs');
+const path = require('path');
+const { buildMime } = require('./mime');
+const { transportError } = require('./errors');
+const { logger } = require('../logger');
+
+/**
+ * Create a file/outbox transport
+ */
+function createFileTransport({ outboxDir }) {
+    return {
+        name: 'file',
+
+        async send(message) {
+            const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+            const filePath = path.join(outboxDir, `${id}.eml`);
+
+            try {
+                await fs.mkdir(outboxDir, { recursive: true });
+                await fs.writeFile(filePath, await buildMime(message));
+            } catch (error) {
+                throw transportError('file', { message: error.message, code: 'unavailable', cause: error });
+            }
+
+            logger.info('Email written to outbox', { filePath });
+            return { id };
+        },
+
+        /**
+         * Check the outbox directory can be written
+         */
+        async verify() {
+            try {
+                await fs.mkdir(outboxDir, { recursive: true });
+                await fs.access(outboxDir, fsConstants.W_OK);
+            } catch (error) {
+                throw transportError('file', { message: error.message, code: 'unavailable', cause: error });
+            }
+        }
+    };
+}
+
+module.exports = {
+    createFileTransport
+};
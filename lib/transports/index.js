@@ -0,0 +1,82 @@
+/**
+ * Email Transports - One send interface over every supported provider
+ *
+ * A transport is { name, send({ from, to, subject, html, text, headers }), verify() } where
+ * send resolves with { id } and verify (used by the readiness check) resolves once the
+ * provider is reachable and accepts the credentials, both rejecting with a normalized
+ * transport error (see ./errors).
+ * Selected by EMAIL_PROVIDER: resend, sendgrid, mailgun, ses, smtp or file.
+ * Every send is timed and failures counted in the email metrics (see ../metrics).
+ */
+
+const { transportError } = require('./errors');
+const { metrics } = require('../metrics');
+
+// Providers that can't send anything without EMAIL_API_KEY
+const API_KEY_PROVIDERS = ['resend', 'sendgrid', 'mailgun'];
+
+/**
+ * Check whether a provider needs EMAIL_API_KEY
+ */
+function requiresApiKey(provider) {
+    return API_KEY_PROVIDERS.includes(provider);
+}
+
+/**
+ * Create the transport for the configured provider
+ */
+function createTransport(config) {
+    return instrumentTransport(createProviderTransport(config));
+}
+
+/**
+ * Create the provider's own transport.
+ * Provider modules are loaded lazily so optional SDKs are only needed when used.
+ */
+function createProviderTransport(config) {
+    switch (config.emailProvider) {
+        case 'resend':
+            return require('./resend').createResendTransport(config);
+        case 'sendgrid':
+            return require('./sendgrid').createSendGridTransport(config);
+        case 'mailgun':
+            return require('./mailgun').createMailgunTransport(config);
+        case 'ses':
+            return require('./ses').createSesTransport(config);
+        case 'smtp':
+            return require('./smtp').createSmtpTransport(config);
+        case 'file':
+            return require('./file').createFileTransport(config);
+        default:
+            throw new Error(`Email provider not implemented: ${config.emailProvider}`);
+    }
+}
+
+/**
+ * Wrap a transport's send to record its latency and failures
+ */
+function instrumentTransport(transport) {
+    return {
+        ...transport,
+
+        async send(message) {
+            const stopTimer = metrics.emailSendDuration.startTimer({ provider: transport.name });
+
+            try {
+                const result = await transport.send(message);
+                stopTimer({ outcome: 'sent' });
+                return result;
+            } catch (error) {
+                stopTimer({ outcome: 'failed' });
+                metrics.emailSendFailures.inc({ provider: transport.name, code: error.code || 'unknown' });
+                throw error;
+            }
+        }
+    };
+}
+
+module.exports = {
+    createTransport,
+    requiresApiKey,
+    transportError
+};
@@ -0,0 +1,90 @@
+/**
+ * Mailgun Transport - Messages API
+ */
+
+const { networkErrorMessage, transportError } = require('./errors');
+
+const API_HOSTS = {
+    us: 'https://api.mailgun.net',
+    eu: 'https://api.eu.mailgun.net'
+};
+
+/**
+ * Create a Mailgun transport
+ */
+function createMailgunTransport({ emailApiKey, mailgunDomain, mailgunRegion, emailTimeout = 10000 }) {
+    if (!mailgunDomain) {
+        throw new Error('MAILGUN_DOMAIN is required for the mailgun email provider');
+    }
+
+    const host = API_HOSTS[mailgunRegion] || API_HOSTS.us;
+    const url = `${host}/v3/${mailgunDomain}/messages`;
+    const domainUrl = `${host}/v3/domains/${mailgunDomain}`;
+    const auth = Buffer.from(`api:${emailApiKey}`).toString('base64');
+
+    return {
+        name: 'mailgun',
+
+        async send({ from, to, subject, html, text, headers = {} }) {
+            const form = new URLSearchParams({ from, to, subject, html });
+            if (text) {
+                form.append('text', text);
+            }
+            for (const [name, value] of Object.entries(headers)) {
+                form.append(`h:${name}`, value);
+            }
+
+            let response;
+            try {
+                response = await fetch(url, {
+                    method: 'POST',
+                    headers: { 'Authorization': `Basic ${auth}` },
+                    body: form,
+                    signal: AbortSignal.timeout(emailTimeout)
+                });
+            } catch (error) {
+                throw transportError('mailgun', { message: networkErrorMessage(error, emailTimeout), code: 'unavailable', cause: error });
+            }
+
+            const body = await response.json().catch(() => ({}));
+
+            if (!response.ok) {
+                throw transportError('mailgun', {
+                    message: body.message || response.statusText,
+                    status: response.status,
+                    cause: body
+                });
+            }
+
+            return { id: body.id };
+        },
+
+        /**
+         * Check the API is reachable, accepts the key and knows the sending domain
+         */
+        async verify() {
+            let response;
+            try {
+                response = await fetch(domainUrl, {
+                    headers: { 'Authorization': `Basic ${auth}` },
+                    signal: AbortSignal.timeout(emailTimeout)
+                });
+            } catch (error) {
+                throw transportError('mailgun', { message: networkErrorMessage(error, emailTimeout), code: 'unavailable', cause: error });
+            }
+
+            if (!response.ok) {
+                const body = await response.json().catch(() => ({}));
+                throw transportError('mailgun', {
+                    message: body.message || response.statusText,
+                    status: response.status,
+                    cause: body
+                });
+            }
+        }
+    };
+}
+
+module.exports = {
+    createMailgunTransport
+};
@@ -0,0 +1,26 @@
+/**
+ * MIME - Build raw RFC 5322 messages for transports that need them (SES raw, file outbox)
+ */
+
+const MailComposer = require('nodemailer/lib/mail-composer');
+
+/**
+ * Build a raw MIME message as a Buffer
+ */
+function buildMime({ from, to, subject, html, text, headers = {} }) {
+    const composer = new MailComposer({ from, to, subject, html, text, headers });
+
+    return new Promise((resolve, reject) => {
+        composer.compile().build((error, message) => {
+            if (error) {
+                reject(error);
+            } else {
+                resolve(message);
+            }
+        });
+    });
+}
+
+module.exports = {
+    buildMime
+};
@@ -0,0 +1,93 @@
+/**
+ * Resend Transport
+ */
+
+const { Resend } = require('resend');
+const { networkErrorMessage, transportError } = require('./errors');
+
+const ERROR_CODES = {
+    missing_api_key: 'auth',
+    invalid_api_key: 'auth',
+    restricted_api_key: 'auth',
+    rate_limit_exceeded: 'rate_limited',
+    daily_quota_exceeded: 'rate_limited',
+    validation_error: 'invalid_request',
+    invalid_from_address: 'invalid_request',
+    application_error: 'unavailable',
+    internal_server_error: 'unavailable'
+};
+
+/**
+ * Reject with a TimeoutError if the SDK call hasn't settled within timeoutMs.
+ * The SDK takes no abort signal, so its request is abandoned rather than cancelled.
+ */
+async function withTimeout(promise, timeoutMs) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(Object.assign(new Error('Request timed out'), { name: 'TimeoutError' })), timeoutMs);
+    });
+
+    try {
+        return await Promise.race([promise, timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Create a Resend transport
+ */
+function createResendTransport({ emailApiKey, emailTimeout = 10000 }) {
+    const resend = new Resend(emailApiKey);
+
+    return {
+        name: 'resend',
+
+        async send({ from, to, subject, html, text, headers }) {
+            let result;
+            try {
+                result = await withTimeout(resend.emails.send({ from, to, subject, html, text, headers }), emailTimeout);
+            } catch (error) {
+                throw transportError('resend', { message: networkErrorMessage(error, emailTimeout), code: 'unavailable', cause: error });
+            }
+
+            // The SDK resolves with { error } instead of throwing on API errors
+            if (result.error) {
+                throw transportError('resend', {
+                    message: result.error.message,
+                    status: result.error.statusCode || null,
+                    code: ERROR_CODES[result.error.name],
+                    cause: result.error
+                });
+            }
+
+            return { id: result.data.id };
+        },
+
+        /**
+         * Check the API is reachable and accepts the key. Send-only keys can't list
+         * domains, but being told so means the key itself is valid.
+         */
+        async verify() {
+            let result;
+            try {
+                result = await withTimeout(resend.domains.list(), emailTimeout);
+            } catch (error) {
+                throw transportError('resend', { message: networkErrorMessage(error, emailTimeout), code: 'unavailable', cause: error });
+            }
+
+            if (result.error && result.error.name !== 'restricted_api_key') {
+                throw transportError('resend', {
+                    message: result.error.message,
+                    status: result.error.statusCode || null,
+                    code: ERROR_CODES[result.error.name],
+                    cause: result.error
+                });
+            }
+        }
+    };
+}
+
+module.exports = {
+    createResendTransport
+};
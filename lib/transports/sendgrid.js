@@ -0,0 +1,79 @@
+/**
+ * SendGrid Transport - v3 Mail Send API
+ */
+
+const { networkErrorMessage, transportError } = require('./errors');
+
+const API_URL = 'https://api.sendgrid.com/v3/mail/send';
+const SCOPES_URL = 'https://api.sendgrid.com/v3/scopes';
+
+/**
+ * Create a SendGrid transport
+ */
+function createSendGridTransport({ emailApiKey, emailTimeout = 10000 }) {
+    return {
+        name: 'sendgrid',
+
+        async send({ from, to, subject, html, text, headers }) {
+            // SendGrid requires text/plain before text/html
+            const content = [
+                text && { type: 'text/plain', value: text },
+                { type: 'text/html', value: html }
+            ].filter(Boolean);
+
+            let response;
+            try {
+                response = await fetch(API_URL, {
+                    method: 'POST',
+                    headers: {
+                        'Authorization': `Bearer ${emailApiKey}`,
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({
+                        personalizations: [{ to: [{ email: to }] }],
+                        from: { email: from },
+                        subject,
+                        content,
+                        headers: headers && Object.keys(headers).length ? headers : undefined
+                    }),
+                    signal: AbortSignal.timeout(emailTimeout)
+                });
+            } catch (error) {
+                throw transportError('sendgrid', { message: networkErrorMessage(error, emailTimeout), code: 'unavailable', cause: error });
+            }
+
+            if (!response.ok) {
+                const body = await response.json().catch(() => ({}));
+                const message = (body.errors || []).map(error => error.message).join('; ') || response.statusText;
+                throw transportError('sendgrid', { message, status: response.status, cause: body });
+            }
+
+            return { id: response.headers.get('x-message-id') };
+        },
+
+        /**
+         * Check the API is reachable and accepts the key
+         */
+        async verify() {
+            let response;
+            try {
+                response = await fetch(SCOPES_URL, {
+                    headers: { 'Authorization': `Bearer ${emailApiKey}` },
+                    signal: AbortSignal.timeout(emailTimeout)
+                });
+            } catch (error) {
+                throw transportError('sendgrid', { message: networkErrorMessage(error, emailTimeout), code: 'unavailable', cause: error });
+            }
+
+            if (!response.ok) {
+                const body = await response.json().catch(() => ({}));
+                const message = (body.errors || []).map(error => error.message).join('; ') || response.statusText;
+                throw transportError('sendgrid', { message, status: response.status, cause: body });
+            }
+        }
+    };
+}
+
+module.exports = {
+    createSendGridTransport
+};
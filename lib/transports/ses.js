@@ -0,0 +1,84 @@
+/**
+ * Amazon SES Transport - SESv2 raw messages so custom headers are preserved
+ * Requires the optional @aws-sdk/client-sesv2 dependency; credentials come from the AWS default chain
+ */
+
+const { SESv2Client, SendEmailCommand, GetAccountCommand } = require('@aws-sdk/client-sesv2');
+const { buildMime } = require('./mime');
+const { transportError } = require('./errors');
+
+const ERROR_CODES = {
+    AccessDeniedException: 'auth',
+    TooManyRequestsException: 'rate_limited',
+    LimitExceededException: 'rate_limited',
+    SendingPausedException: 'unavailable',
+    MessageRejected: 'invalid_request',
+    MailFromDomainNotVerifiedException: 'invalid_request',
+    BadRequestException: 'invalid_request'
+};
+
+/**
+ * Normalize an SDK error. Requests abandoned at the timeout are unavailable, so they get retried.
+ */
+function sesError(error, timeoutMs) {
+    if (['TimeoutError', 'AbortError'].includes(error.name)) {
+        return transportError('ses', { message: `Timed out after ${timeoutMs}ms`, code: 'unavailable', cause: error });
+    }
+
+    const status = error.$metadata ? error.$metadata.httpStatusCode : null;
+
+    return transportError('ses', {
+        message: error.message,
+        status,
+        code: ERROR_CODES[error.name],
+        cause: error
+    });
+}
+
+/**
+ * Create an SES transport
+ */
+function createSesTransport({ sesRegion, emailTimeout = 10000 }) {
+    const client = new SESv2Client({ region: sesRegion });
+
+    // Each request is abandoned after emailTimeout, so a hung connection can't stall the queue
+    const send = command => client.send(command, { abortSignal: AbortSignal.timeout(emailTimeout) });
+
+    return {
+        name: 'ses',
+
+        async send(message) {
+            const raw = await buildMime(message);
+
+            try {
+                const result = await send(new SendEmailCommand({
+                    Content: { Raw: { Data: raw } }
+                }));
+
+                return { id: result.MessageId };
+            } catch (error) {
+                throw sesError(error, emailTimeout);
+            }
+        },
+
+        /**
+         * Check the credentials work and the account is allowed to send
+         */
+        async verify() {
+            let account;
+            try {
+                account = await send(new GetAccountCommand({}));
+            } catch (error) {
+                throw sesError(error, emailTimeout);
+            }
+
+            if (!account.SendingEnabled) {
+                throw transportError('ses', { message: 'Sending is paused for this account', code: 'unavailable' });
+            }
+        }
+    };
+}
+
+module.exports = {
+    createSesTransport
+};
@@ -0,0 +1,72 @@
+/**
+ * SMTP Transport - Any SMTP server, including local catchers like MailHog or Mailpit
+ */
+
+const nodemailer = require('nodemailer');
+const { transportError } = require('./errors');
+
+/**
+ * Map a nodemailer error to a normalized error code
+ */
+function codeFromSmtpError(error) {
+    if (error.code === 'EAUTH') return 'auth';
+    if (['ECONNECTION', 'ETIMEDOUT', 'ESOCKET', 'EDNS'].includes(error.code)) return 'unavailable';
+    if (error.responseCode === 421 || error.responseCode === 450 || error.responseCode === 451) return 'rate_limited';
+    if (error.responseCode >= 500) return 'invalid_request';
+    return 'unknown';
+}
+
+/**
+ * Normalize a nodemailer error
+ */
+function smtpError(error) {
+    return transportError('smtp', {
+        message: error.message,
+        status: error.responseCode || null,
+        code: codeFromSmtpError(error),
+        cause: error
+    });
+}
+
+/**
+ * Create an SMTP transport
+ */
+function createSmtpTransport({ smtpHost, smtpPort, smtpSecure, smtpUser, smtpPassword, emailTimeout = 10000 }) {
+    const transporter = nodemailer.createTransport({
+        host: smtpHost,
+        port: smtpPort,
+        secure: smtpSecure,
+        connectionTimeout: emailTimeout,
+        greetingTimeout: emailTimeout,
+        socketTimeout: emailTimeout,
+        auth: smtpUser ? { user: smtpUser, pass: smtpPassword } : undefined
+    });
+
+    return {
+        name: 'smtp',
+
+        async send({ from, to, subject, html, text, headers }) {
+            try {
+                const info = await transporter.sendMail({ from, to, subject, html, text, headers });
+                return { id: info.messageId };
+            } catch (error) {
+                throw smtpError(error);
+            }
+        },
+
+        /**
+         * Connect and authenticate without sending anything
+         */
+        async verify() {
+            try {
+                await transporter.verify();
+            } catch (error) {
+                throw smtpError(error);
+            }
+        }
+    };
+}
+
+module.exports = {
+    createSmtpTransport
+};
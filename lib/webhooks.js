@@ -0,0 +1,381 @@
+/**
+ * Webhooks - Signup lifecycle events delivered to n8n, Zapier, a CRM or any HTTP endpoint
+ *
+ * Each event is queued as one delivery per target URL, persisted to a JSON file before
+ * sending like the mail queue. A worker POSTs due deliveries, retrying network errors,
+ * timeouts, 408, 429 and 5xx responses with exponential backoff until maxAttempts;
+ * other responses fail the delivery straight away. Delivered and failed deliveries are
+ * kept, with their attempt log, for retentionMs so they can be inspected and replayed.
+ *
+ * Every request is signed with the shared secret:
+ *   X-Revanx-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ *
+ * Delivery statuses: pending, delivering, delivered, failed
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger').logger.child({ component: 'webhooks' });
+const { withFileLock, readJsonArray, writeJsonAtomic } = require('./file-lock');
+
+const WEBHOOK_EVENTS = ['signup.created', 'signup.resubscribed', 'signup.confirmed', 'signup.unsubscribed'];
+
+// Signup fields sent in event payloads; IP addresses and user agents stay on the server
+const WEBHOOK_SIGNUP_FIELDS = [
+    'id', 'email', 'name', 'status', 'consent', 'locale', 'referrer', 'attribution',
+    'referralCode', 'referredBy', 'createdAt', 'confirmedAt', 'unsubscribedAt'
+];
+
+// Responses worth retrying; any other non-2xx means the receiver rejected the event
+const RETRYABLE_STATUSES = [408, 429];
+
+// Attempts kept per delivery in its log
+const MAX_LOGGED_ATTEMPTS = 10;
+
+/**
+ * Sign a raw request body, returning the X-Revanx-Signature header value
+ */
+function signWebhook(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Verify an X-Revanx-Signature header against the raw body, for receivers written in Node.
+ * Signatures older than toleranceMs are rejected so a captured request can't be replayed.
+ */
+function verifyWebhookSignature(secret, body, header, { toleranceMs = 5 * 60 * 1000 } = {}) {
+    const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+    const timestamp = Number(parts.t);
+
+    if (!timestamp || !parts.v1 || Math.abs(Date.now() - timestamp * 1000) > toleranceMs) {
+        return false;
+    }
+
+    const expected = Buffer.from(signWebhook(secret, body, timestamp));
+    const actual = Buffer.from(`t=${parts.t},v1=${parts.v1}`);
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Pick the fields a webhook payload carries from a signup
+ */
+function toWebhookSignup(signup) {
+    const data = {};
+    WEBHOOK_SIGNUP_FIELDS.forEach(field => {
+        data[field] = field === 'status' ? signup.status || 'legacy' : signup[field] ?? null;
+    });
+    return data;
+}
+
+/**
+ * Create a webhook delivery queue backed by a JSON file
+ */
+function createWebhookQueue({
+    filePath,
+    targets,
+    secret,
+    events = WEBHOOK_EVENTS,
+    maxAttempts = 8,
+    retentionMs = 30 * 24 * 60 * 60 * 1000,
+    baseDelayMs = 30 * 1000,
+    maxDelayMs = 60 * 60 * 1000,
+    claimTimeoutMs = 60 * 1000,
+    timeoutMs = 10 * 1000,
+    batchSize = 10,
+    pollIntervalMs = 5000
+}) {
+    if (!secret) {
+        throw new Error('WEBHOOK_SECRET is required when WEBHOOK_URLS is set');
+    }
+
+    const lockPath = `${filePath}.lock`;
+    const withLock = fn => withFileLock(lockPath, fn);
+    const readAll = () => readJsonArray(filePath);
+    const writeAll = deliveries => writeJsonAtomic(filePath, deliveries);
+
+    let timer = null;
+    let processing = false;
+
+    /**
+     * Drop finished deliveries past the retention period
+     */
+    function prune(deliveries, now) {
+        return deliveries.filter(delivery =>
+            !['delivered', 'failed'].includes(delivery.status) ||
+            new Date(delivery.updatedAt).getTime() > now - retentionMs);
+    }
+
+    /**
+     * Apply changes to a delivery under the lock
+     */
+    async function updateDelivery(id, changes) {
+        return withLock(async () => {
+            const deliveries = await readAll();
+            const delivery = deliveries.find(candidate => candidate.id === id);
+
+            if (!delivery) {
+                return null;
+            }
+
+            Object.assign(delivery, changes, { updatedAt: new Date().toISOString() });
+            await writeAll(deliveries);
+            return delivery;
+        });
+    }
+
+    /**
+     * Add new deliveries to the file
+     */
+    async function addDeliveries(added) {
+        await withLock(async () => {
+            const deliveries = prune(await readAll(), Date.now());
+            deliveries.push(...added);
+            await writeAll(deliveries);
+        });
+        return added;
+    }
+
+    /**
+     * A new pending delivery of a payload to a target
+     */
+    function newDelivery(url, payload, extra = {}) {
+        const now = new Date().toISOString();
+        return {
+            id: crypto.randomUUID(),
+            event: payload.type,
+            url,
+            payload,
+            ...extra,
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: now,
+            claimedUntil: null,
+            log: [],
+            deliveredAt: null,
+            createdAt: now,
+            updatedAt: now
+        };
+    }
+
+    /**
+     * Claim due deliveries by marking them as delivering
+     */
+    async function claimDue() {
+        return withLock(async () => {
+            const deliveries = await readAll();
+            const now = Date.now();
+
+            // Deliveries stuck in "delivering" past their claim (e.g. after a crash) are due again
+            const due = deliveries
+                .filter(delivery =>
+                    (delivery.status === 'pending' && new Date(delivery.nextAttemptAt).getTime() <= now) ||
+                    (delivery.status === 'delivering' && new Date(delivery.claimedUntil).getTime() <= now))
+                .slice(0, batchSize);
+
+            for (const delivery of due) {
+                delivery.status = 'delivering';
+                delivery.attempts += 1;
+                delivery.claimedUntil = new Date(now + claimTimeoutMs).toISOString();
+            }
+
+            if (due.length > 0) {
+                await writeAll(deliveries);
+            }
+
+            return due;
+        });
+    }
+
+    /**
+     * POST one claimed delivery and record the outcome
+     */
+    async function deliver(delivery) {
+        const body = JSON.stringify(delivery.payload);
+        const startedAt = Date.now();
+        const attempt = { at: new Date(startedAt).toISOString(), status: null, error: null, durationMs: 0 };
+        let retryable = true;
+
+        try {
+            const response = await fetch(delivery.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'REVANX-Webhooks/1.0',
+                    'X-Revanx-Event': delivery.event,
+                    'X-Revanx-Delivery': delivery.id,
+                    'X-Revanx-Signature': signWebhook(secret, body)
+                },
+                body,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+
+            attempt.status = response.status;
+            if (!response.ok) {
+                attempt.error = (await response.text().catch(() => '')).substring(0, 200) || response.statusText;
+                retryable = response.status >= 500 || RETRYABLE_STATUSES.includes(response.status);
+            }
+        } catch (error) {
+            attempt.error = error.name === 'TimeoutError' ? `Timed out after ${timeoutMs}ms` : error.message;
+        }
+
+        attempt.durationMs = Date.now() - startedAt;
+        const log = [...delivery.log, attempt].slice(-MAX_LOGGED_ATTEMPTS);
+
+        if (!attempt.error) {
+            await updateDelivery(delivery.id, { status: 'delivered', log, claimedUntil: null, deliveredAt: attempt.at });
+            logger.info('Webhook delivered', { event: delivery.event, deliveryId: delivery.id, status: attempt.status });
+            return;
+        }
+
+        if (!retryable || delivery.attempts >= maxAttempts) {
+            await updateDelivery(delivery.id, { status: 'failed', log, claimedUntil: null });
+            logger.error('Webhook failed', { event: delivery.event, deliveryId: delivery.id, attempt });
+            return;
+        }
+
+        const delay = Math.min(baseDelayMs * 2 ** (delivery.attempts - 1), maxDelayMs);
+
+        await updateDelivery(delivery.id, {
+            status: 'pending',
+            log,
+            claimedUntil: null,
+            nextAttemptAt: new Date(Date.now() + delay).toISOString()
+        });
+        logger.warn('Webhook delivery failed, will be retried', { deliveryId: delivery.id, retryInSeconds: Math.round(delay / 1000), attempt });
+    }
+
+    const queue = {
+        /**
+         * Queue an event for every target, returning the new deliveries (none if the event is off)
+         */
+        async emit(event, signup) {
+            if (!events.includes(event)) {
+                return [];
+            }
+
+            const payload = {
+                id: `evt_${crypto.randomUUID()}`,
+                type: event,
+                createdAt: new Date().toISOString(),
+                data: { signup: toWebhookSignup(signup) }
+            };
+
+            return addDeliveries(targets.map(url => newDelivery(url, payload)));
+        },
+
+        /**
+         * Deliver every due delivery, returning how many were attempted
+         */
+        async processDue() {
+            if (processing) {
+                return 0;
+            }
+
+            processing = true;
+            try {
+                const due = await claimDue();
+
+                for (const delivery of due) {
+                    await deliver(delivery);
+                }
+
+                return due.length;
+            } finally {
+                processing = false;
+            }
+        },
+
+        /**
+         * Process due deliveries without waiting for them
+         */
+        kick() {
+            queue.processDue().catch(error => logger.error('Webhook queue error', error));
+        },
+
+        /**
+         * List deliveries, newest first, optionally by status and event
+         */
+        async list({ status, event } = {}) {
+            const deliveries = await readAll();
+            return deliveries
+                .filter(delivery => (!status || delivery.status === status) && (!event || delivery.event === event))
+                .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        },
+
+        async get(id) {
+            const deliveries = await readAll();
+            return deliveries.find(delivery => delivery.id === id) || null;
+        },
+
+        /**
+         * Send a delivery's payload to its target again, as a new delivery.
+         * The event id is unchanged, so receivers can tell it's a repeat.
+         */
+        async replay(id) {
+            const original = await queue.get(id);
+            if (!original) {
+                return null;
+            }
+
+            const [delivery] = await addDeliveries([newDelivery(original.url, original.payload, { replayOf: original.id })]);
+            return delivery;
+        },
+
+        /**
+         * Remove every delivery about the given signups (for erasure requests)
+         */
+        async forget(signupIds) {
+            return withLock(async () => {
+                const deliveries = await readAll();
+                const remaining = deliveries.filter(delivery => !signupIds.includes(delivery.payload.data.signup.id));
+
+                if (remaining.length !== deliveries.length) {
+                    await writeAll(remaining);
+                }
+
+                return deliveries.length - remaining.length;
+            });
+        },
+
+        /**
+         * Count deliveries by status
+         */
+        async stats() {
+            const deliveries = await readAll();
+            const counts = { pending: 0, delivering: 0, delivered: 0, failed: 0 };
+
+            for (const delivery of deliveries) {
+                counts[delivery.status] = (counts[delivery.status] || 0) + 1;
+            }
+
+            return counts;
+        },
+
+        /**
+         * Start the background worker
+         */
+        start() {
+            if (!timer) {
+                timer = setInterval(queue.kick, pollIntervalMs);
+                timer.unref();
+                queue.kick();
+            }
+        },
+
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        }
+    };
+
+    return queue;
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    signWebhook,
+    verifyWebhookSignature,
+    createWebhookQueue
+};
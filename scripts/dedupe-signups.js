@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+/**
+ * Dedupe Signups - One-off cleanup of duplicate records in a signups.json file
+ *
+ * Usage: node scripts/dedupe-signups.js [path/to/signups.json] [--dry-run] [--canonicalize-gmail]
+ *
+ * Records are grouped by normalized email. Each group is merged into its oldest record:
+ * the latest non-empty name/referrer/user agent win, and the most restrictive status is kept
+ * (unsubscribed > confirmed > pending) so nobody who opted out is mailed again.
+ * The original file is kept as a timestamped .bak copy.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { normalizeEmail } = require('../lib/email');
+
+const STATUS_PRIORITY = ['unsubscribed', 'confirmed', 'pending', 'legacy'];
+
+/**
+ * Merge a group of signups for the same address into one record
+ */
+function mergeSignups(group, email) {
+    const byAge = [...group].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    const latest = field => byAge.map(signup => signup[field]).filter(Boolean).pop() || null;
+    const status = STATUS_PRIORITY.find(candidate => byAge.some(signup => (signup.status || 'legacy') === candidate));
+    const statusRecord = byAge.filter(signup => (signup.status || 'legacy') === status).pop();
+
+    return {
+        ...byAge[0],
+        email,
+        name: latest('name'),
+        referrer: latest('referrer'),
+        userAgent: latest('userAgent'),
+        status: statusRecord.status,
+        confirmedAt: statusRecord.confirmedAt || null,
+        confirmIp: statusRecord.confirmIp || null,
+        unsubscribedAt: statusRecord.unsubscribedAt || null,
+        lastSeenAt: latest('lastSeenAt') || byAge[byAge.length - 1].createdAt,
+        updatedAt: new Date().toISOString()
+    };
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+    const canonicalizeGmail = args.includes('--canonicalize-gmail') || process.env.CANONICALIZE_GMAIL === 'true';
+    const filePath = args.find(arg => !arg.startsWith('--')) || path.join(__dirname, '..', 'data', 'signups.json');
+
+    const signups = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    const groups = new Map();
+
+    for (const signup of signups) {
+        const email = normalizeEmail(signup.email, { canonicalizeGmail });
+        groups.set(email, [...(groups.get(email) || []), signup]);
+    }
+
+    const deduped = [];
+    let duplicates = 0;
+
+    for (const [email, group] of groups) {
+        if (group.length === 1 && group[0].email === email) {
+            deduped.push(group[0]);
+            continue;
+        }
+
+        duplicates += group.length - 1;
+        deduped.push(mergeSignups(group, email));
+        console.log(`Merged ${group.length} record(s) for ${email}`);
+    }
+
+    console.log(`${signups.length} records, ${duplicates} duplicate(s), ${deduped.length} after dedupe`);
+
+    if (dryRun) {
+        console.log('Dry run - no changes written');
+        return;
+    }
+
+    const backupPath = `${filePath}.${Date.now()}.bak`;
+    await fs.copyFile(filePath, backupPath);
+    await fs.writeFile(filePath, JSON.stringify(deduped, null, 2));
+
+    console.log('Backup written to', backupPath);
+}
+
+main().catch(error => {
+    console.error('Dedupe failed:', error);
+    process.exit(1);
+});
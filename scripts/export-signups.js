@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/**
+ * Export Signups - Write signups as CSV, JSON or NDJSON for CRM import
+ *
+ * Usage: node scripts/export-signups.js [--format=csv|json|ndjson] [--columns=email,name,...]
+ *        [--status=confirmed] [--from=2024-01-01] [--to=2024-12-31] [--pseudonymize] [--output=file]
+ *
+ * Reads from the storage configured in the environment (STORAGE_MODE, SQLITE_PATH) and
+ * streams to stdout unless --output is given. Same columns and escaping as
+ * GET /admin/signups/export; see lib/export.js.
+ */
+
+const fs = require('fs');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { loadConfig } = require('../lib/config');
+const { createStorage } = require('../lib/storage');
+const { SIGNUP_STATUSES } = require('../lib/signup-service');
+const { EXPORT_COLUMNS, parseExportOptions, exportSignups } = require('../lib/export');
+
+/**
+ * Parse --name=value and --flag arguments into an object
+ */
+function parseArgs(args) {
+    const options = {};
+
+    for (const arg of args) {
+        const match = /^--([\w-]+)(?:=(.*))?$/.exec(arg);
+        if (!match) {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+        options[match[1]] = match[2] === undefined ? true : match[2];
+    }
+
+    return options;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (args.help) {
+        console.log('Usage: node scripts/export-signups.js [--format=csv|json|ndjson] [--columns=...] [--status=...] [--from=date] [--to=date] [--pseudonymize] [--output=file]');
+        console.log(`Columns: ${Object.keys(EXPORT_COLUMNS).join(', ')}`);
+        return;
+    }
+
+    const options = parseExportOptions(args);
+    if (!options.isValid) {
+        throw new Error(options.message);
+    }
+
+    const from = args.from ? new Date(args.from) : null;
+    const to = args.to ? new Date(args.to) : null;
+    if ((from && isNaN(from)) || (to && isNaN(to))) {
+        throw new Error('--from and --to must be valid dates');
+    }
+
+    if (args.status && !SIGNUP_STATUSES.includes(args.status) && args.status !== 'legacy') {
+        throw new Error(`--status must be one of: ${SIGNUP_STATUSES.join(', ')}, legacy`);
+    }
+
+    const config = loadConfig();
+    const storage = createStorage({
+        mode: config.storageMode,
+        dataDir: config.dataDir,
+        sqlitePath: config.sqlitePath
+    });
+
+    const output = typeof args.output === 'string' ? fs.createWriteStream(args.output) : process.stdout;
+    const signups = storage.stream({ status: args.status || null, from, to });
+
+    await pipeline(Readable.from(exportSignups(signups, options.data)), output);
+
+    if (output !== process.stdout) {
+        console.error('Export written to', args.output);
+    }
+}
+
+main().catch(error => {
+    console.error('Export failed:', error.message);
+    process.exit(1);
+});
@@ -5,416 +5,1543 @@
 
 const express = require('express');
 const cors = require('cors');
-const rateLimit = require('express-rate-limit');
-const { Resend } = require('resend');
-const fs = require('fs').promises;
-const path = require('path');
+const crypto = require('crypto');
+const { Readable, pipeline } = require('stream');
+const { appendAuditEntry } = require('./lib/audit');
+const { EMAIL_REGEX, normalizeEmail } = require('./lib/email');
+const { loadConfig } = require('./lib/config');
+const { SIGNUP_STATUSES, createSignupService, stripHtml } = require('./lib/signup-service');
+const { SUPPORTED_LOCALES, SAMPLE_DATA, TRANSACTIONAL_TEMPLATES, renderEmail, listTemplates } = require('./lib/email-templates');
+const { validateEventBatch, createEventStore } = require('./lib/events');
+const { renderMessagePage, renderFunnelPage, renderDashboardPage, dashboardQuery } = require('./lib/pages');
+const { ATTRIBUTION_TOUCHES, ATTRIBUTION_GROUPS, aggregateAttribution } = require('./lib/attribution');
+const { securityHeaders, corsOptions, csrfProtection, publicFiles } = require('./lib/security');
+const { EXPORT_FORMATS, parseExportOptions, exportSignups } = require('./lib/export');
+const { RECIPIENT_STATUSES, validateBroadcast } = require('./lib/broadcasts');
+const { SIGNUP_SORTS } = require('./lib/storage');
+const { logger, resolveRequestId, runWithRequestId } = require('./lib/logger');
+const { registry, metrics } = require('./lib/metrics');
+const { createHealthChecks } = require('./lib/health');
+const { rateLimitHeaders } = require('./lib/rate-limit');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+const startedAt = new Date().toISOString();
+const DASHBOARD_DAYS = 30; // Days in the dashboard's signups-per-day chart
+const DASHBOARD_PAGE_SIZE = 50;
+const DASHBOARD_SUMMARY_TTL_MS = 60 * 1000; // How long dashboard views reuse a summary before it is rebuilt
 
 // Configuration
-const config = {
-    emailProvider: process.env.EMAIL_PROVIDER || 'resend',
-    emailApiKey: process.env.EMAIL_API_KEY,
-    emailFrom: process.env.EMAIL_FROM || 'noreply@revanx.com',
-    emailTo: process.env.EMAIL_TO || 'hello@revanx.com',
-    storageMode: process.env.STORAGE_MODE || 'json',
-    isDryRun: !process.env.EMAIL_API_KEY,
-    dataDir: path.join(__dirname, 'data')
-};
+const config = loadConfig({
+    baseUrl: process.env.BASE_URL || `http://localhost:${PORT}`,
+    adminToken: process.env.ADMIN_TOKEN,
+    adminUser: process.env.ADMIN_USER || 'admin',
+    adminPassword: process.env.ADMIN_PASSWORD,
+    emailPreview: process.env.NODE_ENV !== 'production'
+});
+
+// Signup flows shared with the serverless functions
+const service = createSignupService(config);
+const { storage, mailQueue, webhooks, broadcasts } = service;
+
+// The latest dashboard summary: { builtAt, promise } (see getDashboardSummary)
+let dashboardSummary = null;
+
+// Liveness and readiness probes (see lib/health)
+const health = createHealthChecks({
+    dataDir: config.dataDir,
+    storage,
+    storageMode: config.storageMode,
+    transport: service.transport,
+    mailQueue,
+    webhooks,
+    emailCheck: config.emailHealthCheck,
+    staleLockMs: config.healthStaleLock,
+    maxQueueDepth: config.healthMaxQueueDepth,
+    minFreeDiskBytes: config.healthMinFreeDisk
+});
+
+// First-party analytics, stored as daily aggregates
+const events = createEventStore({
+    filePath: config.eventsPath,
+    retentionDays: config.eventsRetentionDays
+});
+
+// Client IPs come from X-Forwarded-For only when the proxies in front are trusted (TRUST_PROXY)
+app.set('trust proxy', config.trustProxy);
 
 // Middleware
-app.use(cors());
-app.use(express.json({ limit: '10mb' }));
-app.use(express.static('.', { 
-    index: 'index.html',
-    extensions: ['html', 'htm']
-}));
-
-// Rate limiting
-const limiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 5, // limit each IP to 5 requests per windowMs
-    message: {
-        success: false,
-        message: 'Too many requests. Please try again later.'
-    },
-    standardHeaders: true,
-    legacyHeaders: false,
+app.disable('x-powered-by');
+
+// Every request gets an ID (a valid incoming X-Request-Id is kept), echoed in the response
+// and attached to everything logged while handling it; one access log entry per request
+app.use((req, res, next) => {
+    const requestId = resolveRequestId(req.get('x-request-id'));
+    const stopTimer = metrics.httpRequests.startTimer({ method: req.method });
+    res.set('X-Request-Id', requestId);
+    
+    res.on('finish', () => {
+        // Route patterns, not paths, keep the metric's label values bounded
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'other';
+        const seconds = stopTimer({ route, status: res.statusCode });
+        const path = getLogPath(req);
+        const level = path.startsWith('/health') || path === '/metrics' ? 'debug' : 'info';
+        
+        logger[level]('Request completed', {
+            requestId,
+            method: req.method,
+            path,
+            status: res.statusCode,
+            durationMs: Math.round(seconds * 1000),
+            ip: getClientIP(req)
+        });
+    });
+    
+    runWithRequestId(requestId, next);
+});
+
+app.use(securityHeaders(config));
+app.use(cors(corsOptions(config, {
+    exposedHeaders: ['X-Request-Id', 'Retry-After', 'Idempotent-Replayed', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']
+})));
+app.use(csrfProtection(config));
+
+// Signups and admin edits are a few fields; analytics batches get more room
+app.use('/events', express.json({ limit: '64kb' }));
+app.use(express.json({ limit: '10kb' }));
+
+// Only the landing page and its assets - the rest of the repo root is server code and data
+app.use(publicFiles(__dirname));
+
+// Subscribe and data requests are rate limited inside the service (lib/rate-limit);
+// analytics beacons are frequent, so they get their own, looser limit
+app.use('/events', async (req, res, next) => {
+    const limits = [];
+    const limited = await service.checkRateLimit('events', getClientIP(req), { limits });
+    if (limited) {
+        return sendResult(res, limited);
+    }
+    
+    if (limits.length > 0) {
+        res.set(rateLimitHeaders(limits[0]));
+    }
+    next();
+});
+
+/**
+ * Liveness probe: the process is up. /health is kept for existing monitors.
+ */
+app.get(['/health', '/health/live'], (req, res) => {
+    res.set('Cache-Control', 'no-store').json({
+        ...health.live(),
+        timestamp: new Date().toISOString(),
+        isDryRun: config.isDryRun
+    });
+});
+
+/**
+ * Readiness probe: storage, data directory, lock files, email provider, queues and disk
+ * space, each with its status. 503 unless every component is ok.
+ */
+app.get('/health/ready', async (req, res) => {
+    const result = await health.ready();
+    
+    res.status(result.status === 'ok' ? 200 : 503).set('Cache-Control', 'no-store').json({
+        ...result,
+        timestamp: new Date().toISOString(),
+        isDryRun: config.isDryRun
+    });
+});
+
+/**
+ * Prometheus metrics for this process, for a scraper sending METRICS_TOKEN as a bearer token
+ */
+app.get('/metrics', (req, res) => {
+    if (!config.metricsToken) {
+        return res.status(403).json({
+            success: false,
+            message: 'Metrics are disabled. Set METRICS_TOKEN to enable them.'
+        });
+    }
+    
+    const [scheme, credentials] = (req.get('Authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !safeEqual(credentials, config.metricsToken)) {
+        res.set('WWW-Authenticate', 'Bearer realm="REVANX Metrics"');
+        return res.status(401).json({
+            success: false,
+            message: 'Authentication required'
+        });
+    }
+    
+    res.set({
+        'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+        'Cache-Control': 'no-store'
+    }).send(registry.render());
+});
+
+/**
+ * Subscription endpoint
+ */
+app.post('/subscribe', async (req, res) => {
+    sendResult(res, await service.subscribe({
+        body: req.body,
+        ip: getClientIP(req),
+        acceptLanguage: req.get('accept-language'),
+        idempotencyKey: req.get('idempotency-key')
+    }));
+});
+
+/**
+ * Form token for the signup page (honeypot/fill-time check, see lib/spam)
+ */
+app.get('/subscribe/token', (req, res) => {
+    sendResult(res, service.formToken({ ip: getClientIP(req) }));
+});
+
+/**
+ * Analytics collector for batched events from js/analytics.js.
+ * Accepts text/plain too, as some beacon implementations can't set a JSON content type.
+ */
+app.post('/events', express.text({ type: 'text/plain', limit: '64kb' }), async (req, res) => {
+    let body = req.body;
+    
+    if (typeof body === 'string') {
+        try {
+            body = JSON.parse(body);
+        } catch (error) {
+            body = null;
+        }
+    }
+    
+    const batch = validateEventBatch(body);
+    if (!batch.isValid) {
+        return res.status(400).json({
+            success: false,
+            message: batch.message
+        });
+    }
+    
+    try {
+        await events.record(batch.data, {
+            ip: getClientIP(req),
+            userAgent: req.get('user-agent')
+        });
+        res.status(204).end();
+    } catch (error) {
+        logger.error('Error recording events', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error recording events'
+        });
+    }
+});
+
+/**
+ * Confirmation endpoint (double opt-in link from the confirmation email)
+ */
+app.get('/confirm', async (req, res) => {
+    sendResult(res, await service.confirm({
+        token: req.query.token,
+        ip: getClientIP(req)
+    }));
+});
+
+/**
+ * Waitlist status page (position, referrals and invite link), JSON when asked for
+ */
+app.get('/status/:token', async (req, res) => {
+    sendResult(res, await service.status({
+        token: req.params.token,
+        wantsJson: req.accepts(['html', 'json']) === 'json'
+    }));
+});
+
+/**
+ * Unsubscribe page - asks for confirmation so link scanners don't unsubscribe anyone
+ */
+app.get('/unsubscribe', async (req, res) => {
+    sendResult(res, await service.unsubscribePage({ token: req.query.token }));
+});
+
+/**
+ * Unsubscribe endpoint - also handles RFC 8058 one-click POSTs from mail clients
+ */
+app.post('/unsubscribe', async (req, res) => {
+    sendResult(res, await service.unsubscribe({ token: req.query.token }));
+});
+
+/**
+ * Data request form - subscribers ask for a signed link to access or erase their data
+ */
+app.get('/privacy/request', (req, res) => {
+    sendResult(res, service.dataRequestPage());
+});
+
+/**
+ * Data request endpoint - accepts the form above or JSON
+ */
+app.post('/privacy/request', express.urlencoded({ extended: false, limit: '1kb' }), async (req, res) => {
+    sendResult(res, await service.requestData({
+        body: req.body,
+        ip: getClientIP(req),
+        wantsJson: Boolean(req.is('application/json'))
+    }));
+});
+
+/**
+ * Data request landing page - links to export and erasure
+ */
+app.get('/privacy', (req, res) => {
+    sendResult(res, service.privacyPage({ token: req.query.token }));
+});
+
+/**
+ * Data export endpoint - downloads every record held for the address
+ */
+app.get('/privacy/export', async (req, res) => {
+    sendResult(res, await service.exportData({ token: req.query.token }));
+});
+
+/**
+ * Data erasure endpoint - deletes every record held for the address
+ */
+app.post('/privacy/erase', async (req, res) => {
+    sendResult(res, await service.eraseData({ token: req.query.token }));
+});
+
+/**
+ * Email template previews with sample data (development only)
+ * GET /dev/emails/:template?locale=es&format=text
+ */
+app.get('/dev/emails/:template?', async (req, res) => {
+    if (!config.emailPreview) {
+        return res.status(404).json({ success: false, message: 'Not found' });
+    }
+    
+    try {
+        const templates = await listTemplates();
+        
+        if (!req.params.template) {
+            return res.json({ success: true, templates, locales: SUPPORTED_LOCALES });
+        }
+        
+        if (!templates.includes(req.params.template)) {
+            return res.status(404).json({ success: false, message: 'Template not found' });
+        }
+        
+        const email = await renderEmail(req.params.template, SAMPLE_DATA[req.params.template], {
+            locale: req.query.locale
+        });
+        
+        if (req.query.format === 'text') {
+            return res.type('text/plain').send(`Subject: ${email.subject}\n\n${email.text}`);
+        }
+        
+        res.type('html').send(email.html);
+        
+    } catch (error) {
+        logger.error('Email preview error', error);
+        res.status(500).json({ success: false, message: 'Failed to render template' });
+    }
+});
+
+/**
+ * Admin API - all routes require ADMIN_TOKEN (bearer) or ADMIN_USER/ADMIN_PASSWORD (basic)
+ */
+const adminRouter = express.Router();
+adminRouter.use(requireAdmin);
+
+/**
+ * List signups (paginated, filterable by status/referrer/date, searchable by email)
+ */
+adminRouter.get('/signups', async (req, res) => {
+    try {
+        const query = parseSignupQuery(req.query);
+        if (!query.isValid) {
+            return res.status(400).json({
+                success: false,
+                message: query.message
+            });
+        }
+        
+        const { page, limit, ...filter } = query.data;
+        
+        const count = await storage.count(filter);
+        const signups = await storage.list({
+            ...filter,
+            offset: (page - 1) * limit,
+            limit
+        });
+        
+        res.json({
+            success: true,
+            count,
+            page,
+            limit,
+            totalPages: Math.ceil(count / limit),
+            signups: signups.map(signup => formatAdminSignup(signup, req.query.showIp === 'true'))
+        });
+    } catch (error) {
+        logger.error('Error fetching signups', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching signups'
+        });
+    }
+});
+
+/**
+ * Count signups by first- or last-touch attribution (accepts the list filters)
+ */
+adminRouter.get('/signups/attribution', async (req, res) => {
+    const groupBy = req.query.groupBy || 'source';
+    if (!ATTRIBUTION_GROUPS.includes(groupBy)) {
+        return res.status(400).json({
+            success: false,
+            message: `groupBy must be one of: ${ATTRIBUTION_GROUPS.join(', ')}`
+        });
+    }
+    
+    try {
+        const query = parseSignupQuery(req.query);
+        if (!query.isValid) {
+            return res.status(400).json({
+                success: false,
+                message: query.message
+            });
+        }
+        
+        const { page, limit, ...filter } = query.data;
+        const signups = await storage.list(filter);
+        
+        res.json({
+            success: true,
+            groupBy,
+            touch: filter.touch,
+            count: signups.length,
+            groups: aggregateAttribution(signups, { groupBy, touch: filter.touch })
+        });
+    } catch (error) {
+        logger.error('Error aggregating attribution', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error aggregating attribution'
+        });
+    }
+});
+
+/**
+ * Export signups as CSV, JSON or NDJSON (accepts the list filters, plus format,
+ * columns and pseudonymize), streamed from storage as a download
+ */
+adminRouter.get('/signups/export', (req, res) => {
+    const query = parseSignupQuery(req.query);
+    if (!query.isValid) {
+        return res.status(400).json({
+            success: false,
+            message: query.message
+        });
+    }
+    
+    const options = parseExportOptions(req.query);
+    if (!options.isValid) {
+        return res.status(400).json({
+            success: false,
+            message: options.message
+        });
+    }
+    
+    const { page, limit, ...filter } = query.data;
+    const { format, columns, pseudonymize } = options.data;
+    const filename = `signups-${new Date().toISOString().substring(0, 10)}.${EXPORT_FORMATS[format].extension}`;
+    
+    res.set({
+        'Content-Type': EXPORT_FORMATS[format].contentType,
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Cache-Control': 'no-store'
+    });
+    
+    logger.info('Signups exported by admin', { format, columns, pseudonymize, status: filter.status, from: filter.from, to: filter.to });
+    
+    // Headers are sent with the first chunk, so a failure part-way can only cut the download short
+    pipeline(Readable.from(exportSignups(storage.stream(filter), options.data)), res, error => {
+        if (error) {
+            logger.error('Error exporting signups', error);
+        }
+    });
+});
+
+/**
+ * Get one signup by id or email address
+ */
+adminRouter.get('/signups/:key', async (req, res) => {
+    try {
+        const signup = await findSignupByKey(req.params.key);
+        if (!signup) {
+            return res.status(404).json({
+                success: false,
+                message: 'Signup not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            signup: formatAdminSignup(signup, req.query.showIp === 'true')
+        });
+    } catch (error) {
+        logger.error('Error fetching signup', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching signup'
+        });
+    }
+});
+
+/**
+ * Update a signup's name, referrer, consent or status
+ */
+adminRouter.patch('/signups/:key', async (req, res) => {
+    try {
+        const validationResult = validateAdminUpdate(req.body);
+        if (!validationResult.isValid) {
+            return res.status(400).json({
+                success: false,
+                message: validationResult.message
+            });
+        }
+        
+        const signup = await findSignupByKey(req.params.key);
+        if (!signup) {
+            return res.status(404).json({
+                success: false,
+                message: 'Signup not found'
+            });
+        }
+        
+        const updated = await updateSignupByAdmin(signup, validationResult.data);
+        
+        res.json({
+            success: true,
+            signup: formatAdminSignup(updated)
+        });
+    } catch (error) {
+        logger.error('Error updating signup', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating signup'
+        });
+    }
+});
+
+/**
+ * Delete a signup by id or email address
+ */
+adminRouter.delete('/signups/:key', async (req, res) => {
+    try {
+        const signup = await findSignupByKey(req.params.key);
+        if (!signup) {
+            return res.status(404).json({
+                success: false,
+                message: 'Signup not found'
+            });
+        }
+        
+        await deleteSignupByAdmin(signup);
+        
+        res.json({
+            success: true,
+            message: 'Signup deleted'
+        });
+    } catch (error) {
+        logger.error('Error deleting signup', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting signup'
+        });
+    }
+});
+
+/**
+ * List queued and dead-lettered emails (message bodies omitted)
+ */
+adminRouter.get('/emails', async (req, res) => {
+    if (!requireMailQueue(res)) return;
+    
+    try {
+        const emails = await mailQueue.list({ status: req.query.status });
+        
+        res.json({
+            success: true,
+            stats: await mailQueue.stats(),
+            count: emails.length,
+            emails: emails.map(({ html, text, ...email }) => email)
+        });
+    } catch (error) {
+        logger.error('Error fetching emails', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching emails'
+        });
+    }
+});
+
+/**
+ * Get one queued email including its body
+ */
+adminRouter.get('/emails/:id', async (req, res) => {
+    if (!requireMailQueue(res)) return;
+    
+    try {
+        const email = await mailQueue.get(req.params.id);
+        if (!email) {
+            return res.status(404).json({
+                success: false,
+                message: 'Email not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            email
+        });
+    } catch (error) {
+        logger.error('Error fetching email', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching email'
+        });
+    }
+});
+
+/**
+ * Retry a dead-lettered (or waiting) email now
+ */
+adminRouter.post('/emails/:id/retry', async (req, res) => {
+    if (!requireMailQueue(res)) return;
+    
+    try {
+        const email = await mailQueue.retry(req.params.id);
+        if (!email) {
+            return res.status(404).json({
+                success: false,
+                message: 'Email not found'
+            });
+        }
+        
+        mailQueue.kick();
+        
+        res.json({
+            success: true,
+            message: 'Email queued for retry'
+        });
+    } catch (error) {
+        logger.error('Error retrying email', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error retrying email'
+        });
+    }
+});
+
+/**
+ * Discard a queued or dead-lettered email
+ */
+adminRouter.delete('/emails/:id', async (req, res) => {
+    if (!requireMailQueue(res)) return;
+    
+    try {
+        if (!await mailQueue.remove(req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Email not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Email discarded'
+        });
+    } catch (error) {
+        logger.error('Error discarding email', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error discarding email'
+        });
+    }
+});
+
+/**
+ * List webhook deliveries with their attempt logs (payloads omitted), filterable by status and event
+ */
+adminRouter.get('/webhooks', async (req, res) => {
+    if (!requireWebhooks(res)) return;
+    
+    try {
+        const deliveries = await webhooks.list({ status: req.query.status, event: req.query.event });
+        
+        res.json({
+            success: true,
+            targets: config.webhookUrls,
+            stats: await webhooks.stats(),
+            count: deliveries.length,
+            deliveries: deliveries.map(({ payload, ...delivery }) => ({ ...delivery, eventId: payload.id }))
+        });
+    } catch (error) {
+        logger.error('Error fetching webhook deliveries', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching webhook deliveries'
+        });
+    }
+});
+
+/**
+ * Get one webhook delivery including its payload
+ */
+adminRouter.get('/webhooks/:id', async (req, res) => {
+    if (!requireWebhooks(res)) return;
+    
+    try {
+        const delivery = await webhooks.get(req.params.id);
+        if (!delivery) {
+            return res.status(404).json({
+                success: false,
+                message: 'Delivery not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            delivery
+        });
+    } catch (error) {
+        logger.error('Error fetching webhook delivery', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching webhook delivery'
+        });
+    }
+});
+
+/**
+ * Replay a delivery: its payload is sent to the same target again as a new delivery
+ */
+adminRouter.post('/webhooks/:id/replay', async (req, res) => {
+    if (!requireWebhooks(res)) return;
+    
+    try {
+        const delivery = await webhooks.replay(req.params.id);
+        if (!delivery) {
+            return res.status(404).json({
+                success: false,
+                message: 'Delivery not found'
+            });
+        }
+        
+        webhooks.kick();
+        logger.info('Webhook delivery replayed by admin', { deliveryId: req.params.id, replayId: delivery.id });
+        
+        res.status(202).json({
+            success: true,
+            message: 'Delivery queued for replay',
+            delivery: { id: delivery.id, replayOf: delivery.replayOf, status: delivery.status }
+        });
+    } catch (error) {
+        logger.error('Error replaying webhook delivery', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error replaying webhook delivery'
+        });
+    }
+});
+
+/**
+ * List broadcasts with recipient counts per status
+ */
+adminRouter.get('/broadcasts', async (req, res) => {
+    try {
+        const all = await broadcasts.list();
+        
+        res.json({
+            success: true,
+            count: all.length,
+            broadcasts: all
+        });
+    } catch (error) {
+        logger.error('Error fetching broadcasts', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching broadcasts'
+        });
+    }
+});
+
+/**
+ * Create a draft broadcast: { name, template, data, segment }
+ */
+adminRouter.post('/broadcasts', async (req, res) => {
+    try {
+        const templates = (await listTemplates()).filter(name => !TRANSACTIONAL_TEMPLATES.includes(name));
+        const validation = validateBroadcast(req.body, templates);
+        if (!validation.isValid) {
+            return res.status(400).json({
+                success: false,
+                message: validation.message
+            });
+        }
+        
+        const broadcast = await broadcasts.create(validation.data);
+        logger.info('Broadcast created by admin', { broadcastId: broadcast.id });
+        
+        res.status(201).json({
+            success: true,
+            broadcast,
+            audience: await broadcasts.countSegment(broadcast.segment)
+        });
+    } catch (error) {
+        logger.error('Error creating broadcast', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error creating broadcast'
+        });
+    }
+});
+
+/**
+ * Get a broadcast with its per-recipient send status, optionally filtered by status
+ */
+adminRouter.get('/broadcasts/:id', async (req, res) => {
+    if (req.query.status && !RECIPIENT_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({
+            success: false,
+            message: `status must be one of: ${RECIPIENT_STATUSES.join(', ')}`
+        });
+    }
+    
+    try {
+        const broadcast = await broadcasts.get(req.params.id, { status: req.query.status });
+        if (!broadcast) {
+            return res.status(404).json({
+                success: false,
+                message: 'Broadcast not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            broadcast,
+            // Before launch, how many confirmed signups the segment would reach now
+            audience: broadcast.status === 'draft' ? await broadcasts.countSegment(broadcast.segment) : undefined
+        });
+    } catch (error) {
+        logger.error('Error fetching broadcast', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching broadcast'
+        });
+    }
 });
 
-// Apply rate limiting to subscription endpoint
-app.use('/subscribe', limiter);
-
 /**
- * Health check endpoint
+ * Send a test copy to { to: [addresses] }, EMAIL_TO by default
  */
-app.get('/health', (req, res) => {
-    res.json({
-        status: 'ok',
-        timestamp: new Date().toISOString(),
-        isDryRun: config.isDryRun
-    });
+adminRouter.post('/broadcasts/:id/test', async (req, res) => {
+    const to = [].concat(req.body.to || config.emailTo).map(address => String(address).trim().toLowerCase());
+    if (to.length > 10 || !to.every(address => EMAIL_REGEX.test(address))) {
+        return res.status(400).json({
+            success: false,
+            message: 'to must be up to 10 valid email addresses'
+        });
+    }
+    
+    try {
+        const sent = await broadcasts.sendTest(req.params.id, to);
+        if (!sent) {
+            return res.status(404).json({
+                success: false,
+                message: 'Broadcast not found'
+            });
+        }
+        
+        logger.info('Broadcast test sent by admin', { broadcastId: req.params.id, recipients: to.length });
+        
+        res.json({
+            success: true,
+            message: 'Test email sent',
+            sent
+        });
+    } catch (error) {
+        logger.error('Error sending broadcast test', error);
+        res.status(502).json({
+            success: false,
+            message: `Test email failed: ${error.message}`
+        });
+    }
 });
 
 /**
- * Subscription endpoint
+ * Start sending (snapshotting the segment), pause, resume or cancel a broadcast
  */
-app.post('/subscribe', async (req, res) => {
-    try {
-        // Validate and sanitize input
-        const validationResult = validateInput(req.body);
-        if (!validationResult.isValid) {
-            return res.status(400).json({
+['send', 'pause', 'resume', 'cancel'].forEach(action => {
+    adminRouter.post(`/broadcasts/:id/${action}`, async (req, res) => {
+        try {
+            const result = await broadcasts[action](req.params.id);
+            if (!result) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Broadcast not found'
+                });
+            }
+            
+            if (result.error) {
+                return res.status(409).json({
+                    success: false,
+                    message: result.error
+                });
+            }
+            
+            logger.info('Broadcast action by admin', { action, broadcastId: req.params.id });
+            
+            res.status(action === 'send' ? 202 : 200).json({
+                success: true,
+                broadcast: result.broadcast
+            });
+        } catch (error) {
+            logger.error('Error on broadcast action', { action, error });
+            res.status(500).json({
                 success: false,
-                message: validationResult.message
+                message: `Error on broadcast ${action}`
             });
         }
+    });
+});
+
+/**
+ * Waitlist dashboard for browsers (sign in with ADMIN_USER / ADMIN_PASSWORD)
+ */
+adminRouter.get('/', (req, res) => {
+    res.redirect('/admin/dashboard');
+});
+
+adminRouter.get('/dashboard', async (req, res) => {
+    const query = parseSignupQuery({ ...req.query, limit: DASHBOARD_PAGE_SIZE });
+    if (!query.isValid) {
+        return res.status(400).send(renderMessagePage({
+            title: 'Invalid filter',
+            message: query.message,
+            links: [{ href: '/admin/dashboard', label: 'Back to the dashboard' }]
+        }));
+    }
+    
+    try {
+        const { page, limit, ...filter } = query.data;
+        const count = await storage.count(filter);
+        const signups = await storage.list({
+            ...filter,
+            offset: (page - 1) * limit,
+            limit
+        });
         
-        const { name, email, consent, timestamp, userAgent, referrer } = validationResult.data;
+        res.set('Cache-Control', 'no-store').send(renderDashboardPage({
+            state: getDashboardState(req.query),
+            summary: await getDashboardSummary(),
+            signups: signups.map(signup => formatAdminSignup(signup)),
+            count,
+            totalPages: Math.ceil(count / limit),
+            notice: req.query.notice,
+            statuses: [...SIGNUP_STATUSES, 'legacy'],
+            sorts: SIGNUP_SORTS
+        }));
+    } catch (error) {
+        logger.error('Error rendering dashboard', error);
+        res.status(500).send(renderMessagePage({
+            title: 'Something went wrong',
+            message: 'The dashboard could not be loaded. Please try again.'
+        }));
+    }
+});
+
+/**
+ * Unsubscribe a signup from the dashboard, then return to the same view
+ */
+adminRouter.post('/dashboard/signups/:id/unsubscribe', async (req, res) => {
+    try {
+        const signup = await storage.findById(req.params.id);
+        if (signup && signup.status !== 'unsubscribed') {
+            await updateSignupByAdmin(signup, { status: 'unsubscribed' });
+            logger.info('Signup unsubscribed by admin', { signupId: signup.id });
+        }
         
-        // Get client IP
-        const clientIP = req.ip || req.connection.remoteAddress || 'unknown';
+        res.redirect(303, `/admin/dashboard${dashboardQuery(getDashboardState(req.query), { notice: 'unsubscribed' })}`);
+    } catch (error) {
+        logger.error('Error unsubscribing signup', error);
+        res.status(500).send(renderMessagePage({
+            title: 'Something went wrong',
+            message: 'The signup could not be unsubscribed. Please try again.'
+        }));
+    }
+});
+
+/**
+ * Ask before deleting a signup from the dashboard
+ */
+adminRouter.get('/dashboard/signups/:id/delete', async (req, res) => {
+    try {
+        const signup = await storage.findById(req.params.id);
+        const back = `/admin/dashboard${dashboardQuery(getDashboardState(req.query))}`;
         
-        // Create signup record
-        const signup = {
-            id: generateId(),
-            name: name || null,
-            email,
-            consent,
-            timestamp,
-            userAgent,
-            referrer,
-            ip: clientIP,
-            createdAt: new Date().toISOString()
-        };
+        if (!signup) {
+            return res.status(404).send(renderMessagePage({
+                title: 'Signup not found',
+                message: 'This signup no longer exists.',
+                links: [{ href: back, label: 'Back to the dashboard' }]
+            }));
+        }
         
-        // Store signup
-        await storeSignup(signup);
+        res.send(renderMessagePage({
+            title: 'Delete signup?',
+            message: `${signup.email} and everything stored about it will be permanently deleted.`,
+            links: [{ href: back, label: 'Cancel' }],
+            form: { action: req.originalUrl, label: 'Delete signup' }
+        }));
+    } catch (error) {
+        logger.error('Error loading signup', error);
+        res.status(500).send(renderMessagePage({
+            title: 'Something went wrong',
+            message: 'The signup could not be loaded. Please try again.'
+        }));
+    }
+});
+
+adminRouter.post('/dashboard/signups/:id/delete', async (req, res) => {
+    try {
+        const signup = await storage.findById(req.params.id);
+        if (signup) {
+            await deleteSignupByAdmin(signup);
+        }
         
-        // Send notification email
-        await sendNotificationEmail(signup);
+        res.redirect(303, `/admin/dashboard${dashboardQuery(getDashboardState(req.query), { notice: 'deleted' })}`);
+    } catch (error) {
+        logger.error('Error deleting signup', error);
+        res.status(500).send(renderMessagePage({
+            title: 'Something went wrong',
+            message: 'The signup could not be deleted. Please try again.'
+        }));
+    }
+});
+
+/**
+ * Spam rejection counts per reason since the server started
+ */
+adminRouter.get('/spam', (req, res) => {
+    res.json({
+        success: true,
+        since: startedAt,
+        rejections: service.spamGuard.stats()
+    });
+});
+
+/**
+ * Signup funnel from collected events: HTML for browsers, JSON otherwise
+ */
+adminRouter.get('/funnel', async (req, res) => {
+    const range = parseDateRange(req.query);
+    if (!range.isValid) {
+        return res.status(400).json({
+            success: false,
+            message: range.message
+        });
+    }
+    
+    try {
+        const report = await events.funnel(range.data);
         
-        // Send confirmation email to user (optional)
-        if (!config.isDryRun) {
-            await sendConfirmationEmail(signup);
+        if (req.accepts(['json', 'html']) === 'html') {
+            return res.send(renderFunnelPage(report));
         }
         
         res.json({
             success: true,
-            message: 'Successfully subscribed! Check your email for confirmation.'
+            ...report
         });
-        
     } catch (error) {
-        console.error('Subscription error:', error);
-        
+        logger.error('Error building funnel', error);
         res.status(500).json({
             success: false,
-            message: 'Internal server error. Please try again later.'
+            message: 'Error building funnel'
         });
     }
 });
 
+app.use('/admin', adminRouter);
+
 /**
- * Get signups endpoint (for admin use)
+ * Oversized or malformed request bodies, and anything else a route threw - JSON errors
+ * instead of Express's HTML stack page
  */
-app.get('/admin/signups', async (req, res) => {
-    try {
-        const signups = await getSignups();
-        res.json({
-            success: true,
-            count: signups.length,
-            signups: signups.map(signup => ({
-                ...signup,
-                ip: signup.ip ? signup.ip.substring(0, 8) + '***' : 'unknown' // Mask IP for privacy
-            }))
+app.use((error, req, res, next) => {
+    if (error.type === 'entity.too.large') {
+        return res.status(413).json({
+            success: false,
+            message: 'Request body too large'
         });
-    } catch (error) {
-        console.error('Error fetching signups:', error);
-        res.status(500).json({
+    }
+    
+    if (error.type === 'entity.parse.failed') {
+        return res.status(400).json({
             success: false,
-            message: 'Error fetching signups'
+            message: 'Invalid request body'
         });
     }
+    
+    logger.error('Unhandled request error', error);
+    if (res.headersSent) {
+        return next(error);
+    }
+    
+    res.status(500).json({
+        success: false,
+        message: 'Internal server error. Please try again later.'
+    });
 });
 
 /**
- * Validate and sanitize input
+ * Respond 503 when no webhook targets are configured, returning whether there are
  */
-function validateInput(body) {
-    if (!body || typeof body !== 'object') {
-        return { isValid: false, message: 'Invalid request body' };
+function requireWebhooks(res) {
+    if (webhooks) {
+        return true;
     }
     
-    const { name, email, consent, timestamp, userAgent, referrer } = body;
+    res.status(503).json({
+        success: false,
+        message: 'Webhooks are disabled. Set WEBHOOK_URLS and WEBHOOK_SECRET to enable them.'
+    });
+    return false;
+}
+
+/**
+ * Respond 503 when there is no mail queue (dry-run mode), returning whether it exists
+ */
+function requireMailQueue(res) {
+    if (mailQueue) {
+        return true;
+    }
     
-    // Validate email
-    if (!email || typeof email !== 'string') {
-        return { isValid: false, message: 'Email is required' };
+    res.status(503).json({
+        success: false,
+        message: 'Mail queue is disabled in dry-run mode'
+    });
+    return false;
+}
+
+/**
+ * Require admin credentials (bearer token or HTTP Basic)
+ */
+function requireAdmin(req, res, next) {
+    if (!config.adminToken && !config.adminPassword) {
+        return res.status(403).json({
+            success: false,
+            message: 'Admin API is disabled. Set ADMIN_TOKEN or ADMIN_PASSWORD to enable it.'
+        });
     }
     
-    const emailRegex = /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
-    const cleanEmail = email.trim().toLowerCase();
+    const [scheme, credentials] = (req.get('Authorization') || '').split(' ');
     
-    if (!emailRegex.test(cleanEmail)) {
-        return { isValid: false, message: 'Invalid email format' };
+    if (scheme === 'Bearer' && config.adminToken && safeEqual(credentials, config.adminToken)) {
+        return next();
     }
     
-    // Validate consent
-    if (!consent) {
-        return { isValid: false, message: 'Consent is required' };
+    if (scheme === 'Basic' && config.adminPassword && credentials) {
+        const decoded = Buffer.from(credentials, 'base64').toString('utf8');
+        const separator = decoded.indexOf(':');
+        const user = decoded.substring(0, separator);
+        const password = decoded.substring(separator + 1);
+        
+        if (separator !== -1 && safeEqual(user, config.adminUser) && safeEqual(password, config.adminPassword)) {
+            return next();
+        }
     }
     
-    // Sanitize name
-    const cleanName = name ? stripHtml(name.trim()).substring(0, 100) : null;
-    
-    return {
-        isValid: true,
-        data: {
-            name: cleanName,
-            email: cleanEmail,
-            consent: Boolean(consent),
-            timestamp: timestamp || new Date().toISOString(),
-            userAgent: userAgent ? stripHtml(userAgent.substring(0, 500)) : null,
-            referrer: referrer ? stripHtml(referrer.substring(0, 500)) : null
-        }
-    };
+    res.set('WWW-Authenticate', 'Basic realm="REVANX Admin", charset="UTF-8"');
+    res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+    });
 }
 
 /**
- * Strip HTML tags from string
+ * Constant-time string comparison
  */
-function stripHtml(str) {
-    return str.replace(/<[^>]*>/g, '');
+function safeEqual(a, b) {
+    const hashA = crypto.createHash('sha256').update(String(a || '')).digest();
+    const hashB = crypto.createHash('sha256').update(String(b || '')).digest();
+    return crypto.timingSafeEqual(hashA, hashB);
 }
 
 /**
- * Generate unique ID
+ * Validate admin list query parameters
  */
-function generateId() {
-    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+function parseSignupQuery(query) {
+    const page = parseInt(query.page, 10) || 1;
+    const limit = Math.min(parseInt(query.limit, 10) || 50, 200);
+    const from = query.from ? new Date(query.from) : null;
+    const to = query.to ? new Date(query.to) : null;
+    
+    if (page < 1 || limit < 1) {
+        return { isValid: false, message: 'page and limit must be positive numbers' };
+    }
+    
+    if ((from && isNaN(from)) || (to && isNaN(to))) {
+        return { isValid: false, message: 'from and to must be valid dates' };
+    }
+    
+    if (query.status && !SIGNUP_STATUSES.includes(query.status) && query.status !== 'legacy') {
+        return { isValid: false, message: `status must be one of: ${SIGNUP_STATUSES.join(', ')}, legacy` };
+    }
+    
+    if (query.touch && !ATTRIBUTION_TOUCHES.includes(query.touch)) {
+        return { isValid: false, message: `touch must be one of: ${ATTRIBUTION_TOUCHES.join(', ')}` };
+    }
+    
+    if (query.sort && !SIGNUP_SORTS.includes(query.sort)) {
+        return { isValid: false, message: `sort must be one of: ${SIGNUP_SORTS.join(', ')}` };
+    }
+    
+    return {
+        isValid: true,
+        data: {
+            page,
+            limit,
+            status: query.status || null,
+            referrer: query.referrer ? String(query.referrer) : null,
+            referredBy: query.referredBy ? String(query.referredBy) : null,
+            from,
+            to,
+            search: query.q ? String(query.q).trim() : null,
+            sort: query.sort || 'newest',
+            touch: query.touch || 'first',
+            utmSource: query.utm_source ? String(query.utm_source) : null,
+            utmMedium: query.utm_medium ? String(query.utm_medium) : null,
+            utmCampaign: query.utm_campaign ? String(query.utm_campaign) : null
+        }
+    };
 }
 
 /**
- * Store signup data with file locking
+ * Validate a YYYY-MM-DD from/to range, defaulting to the last 30 days
  */
-async function storeSignup(signup) {
-    if (config.storageMode === 'json') {
-        await storeInJsonFile(signup);
-    } else {
-        console.log('Storage mode not implemented:', config.storageMode);
-        console.log('Signup data:', signup);
+function parseDateRange(query) {
+    const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+    const to = query.to ? String(query.to) : new Date().toISOString().substring(0, 10);
+    
+    if (!isDate(to)) {
+        return { isValid: false, message: 'from and to must be dates in YYYY-MM-DD format' };
+    }
+    
+    const from = query.from
+        ? String(query.from)
+        : new Date(Date.parse(to) - 29 * 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+    
+    if (!isDate(from)) {
+        return { isValid: false, message: 'from and to must be dates in YYYY-MM-DD format' };
     }
+    
+    if (from > to) {
+        return { isValid: false, message: 'from must not be after to' };
+    }
+    
+    return { isValid: true, data: { from, to } };
 }
 
 /**
- * Store signup in JSON file with basic locking
+ * Validate and sanitize an admin update
  */
-async function storeInJsonFile(signup) {
-    const filePath = path.join(config.dataDir, 'signups.json');
-    const lockPath = path.join(config.dataDir, 'signups.lock');
+function validateAdminUpdate(body) {
+    if (!body || typeof body !== 'object') {
+        return { isValid: false, message: 'Invalid request body' };
+    }
     
-    // Simple file locking mechanism
-    let lockAcquired = false;
-    let attempts = 0;
-    const maxAttempts = 10;
+    const allowedFields = ['name', 'referrer', 'consent', 'status'];
+    const unknownFields = Object.keys(body).filter(field => !allowedFields.includes(field));
+    if (unknownFields.length > 0) {
+        return { isValid: false, message: `Fields cannot be updated: ${unknownFields.join(', ')}` };
+    }
     
-    while (!lockAcquired && attempts < maxAttempts) {
-        try {
-            // Try to create lock file
-            await fs.writeFile(lockPath, process.pid.toString(), { flag: 'wx' });
-            lockAcquired = true;
-        } catch (error) {
-            // Lock file exists, wait and retry
-            attempts++;
-            await new Promise(resolve => setTimeout(resolve, 100));
+    const changes = {};
+    
+    if ('name' in body) {
+        if (body.name !== null && typeof body.name !== 'string') {
+            return { isValid: false, message: 'name must be a string or null' };
         }
+        changes.name = body.name ? stripHtml(body.name.trim()).substring(0, 100) : null;
     }
     
-    if (!lockAcquired) {
-        throw new Error('Could not acquire file lock');
+    if ('referrer' in body) {
+        if (body.referrer !== null && typeof body.referrer !== 'string') {
+            return { isValid: false, message: 'referrer must be a string or null' };
+        }
+        changes.referrer = body.referrer ? stripHtml(body.referrer.substring(0, 500)) : null;
     }
     
-    try {
-        // Ensure data directory exists
-        await fs.mkdir(config.dataDir, { recursive: true });
-        
-        // Read existing data
-        let signups = [];
-        try {
-            const data = await fs.readFile(filePath, 'utf8');
-            signups = JSON.parse(data);
-        } catch (error) {
-            // File doesn't exist or is invalid, start with empty array
+    if ('consent' in body) {
+        if (typeof body.consent !== 'boolean') {
+            return { isValid: false, message: 'consent must be a boolean' };
         }
-        
-        // Add new signup
-        signups.push(signup);
-        
-        // Write back to file
-        await fs.writeFile(filePath, JSON.stringify(signups, null, 2));
-        
-        console.log('Signup stored successfully:', signup.email);
-    } finally {
-        // Release lock
-        try {
-            await fs.unlink(lockPath);
-        } catch (error) {
-            console.error('Error releasing lock:', error);
+        changes.consent = body.consent;
+    }
+    
+    if ('status' in body) {
+        if (!SIGNUP_STATUSES.includes(body.status)) {
+            return { isValid: false, message: `status must be one of: ${SIGNUP_STATUSES.join(', ')}` };
         }
+        changes.status = body.status;
+    }
+    
+    if (Object.keys(changes).length === 0) {
+        return { isValid: false, message: 'No fields to update' };
     }
+    
+    return { isValid: true, data: changes };
+}
+
+/**
+ * Format a signup for admin responses, masking the IP unless requested
+ */
+function formatAdminSignup(signup, showIp = false) {
+    const maskIp = ip => ip ? ip.substring(0, 8) + '***' : 'unknown'; // Mask IP for privacy
+    
+    return {
+        ...signup,
+        status: signup.status || 'legacy', // Signups from before double opt-in
+        ip: showIp ? signup.ip : maskIp(signup.ip),
+        confirmIp: showIp ? signup.confirmIp : signup.confirmIp && maskIp(signup.confirmIp)
+    };
 }
 
 /**
- * Get all signups
+ * The request path for the access log: the full path even inside a router, decoded so
+ * addresses in admin paths get masked like any other, and without secrets. Query strings
+ * carry confirmation and unsubscribe tokens, and status page tokens never expire.
  */
-async function getSignups() {
-    const filePath = path.join(config.dataDir, 'signups.json');
+function getLogPath(req) {
+    const [pathname] = req.originalUrl.split('?');
+    let path;
     
     try {
-        const data = await fs.readFile(filePath, 'utf8');
-        return JSON.parse(data);
+        path = decodeURIComponent(pathname);
     } catch (error) {
-        return [];
+        path = pathname;
     }
+    
+    return path.replace(/^\/status\/[^/]+/, '/status/[redacted]');
 }
 
 /**
- * Send notification email to admin
- */
-async function sendNotificationEmail(signup) {
-    const subject = `New REVANX Signup: ${signup.email}`;
-    const html = `
-        <h2>New Coming Soon Page Signup</h2>
-        <p><strong>Email:</strong> ${signup.email}</p>
-        ${signup.name ? `<p><strong>Name:</strong> ${signup.name}</p>` : ''}
-        <p><strong>Timestamp:</strong> ${signup.timestamp}</p>
-        <p><strong>IP Address:</strong> ${signup.ip}</p>
-        <p><strong>User Agent:</strong> ${signup.userAgent || 'Not provided'}</p>
-        <p><strong>Referrer:</strong> ${signup.referrer || 'Direct'}</p>
-        <p><strong>Consent:</strong> ${signup.consent ? 'Yes' : 'No'}</p>
-        
-        <hr>
-        <p><small>This email was sent automatically from the REVANX coming soon page.</small></p>
-    `;
-    
-    await sendEmail({
-        to: config.emailTo,
-        subject,
-        html
-    });
+ * Get client IP address (from X-Forwarded-For as far as TRUST_PROXY allows)
+ */
+function getClientIP(req) {
+    return req.ip || req.connection.remoteAddress || 'unknown';
 }
 
 /**
- * Send confirmation email to user
+ * Apply an admin update to a signup, recording when a status change happened and
+ * sending it to the webhook targets, as the public flows do
  */
-async function sendConfirmationEmail(signup) {
-    const subject = 'Welcome to REVANX - You\'re on the list!';
-    const html = `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h1 style="color: #667eea;">Welcome to REVANX!</h1>
-            
-            <p>Hi${signup.name ? ` ${signup.name}` : ''},</p>
-            
-            <p>Thank you for signing up for updates about REVANX! We're excited to have you on board.</p>
-            
-            <p>We're working hard to bring you something amazing, and you'll be among the first to know when we launch.</p>
-            
-            <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
-                <h3 style="margin-top: 0;">What's Next?</h3>
-                <ul>
-                    <li>We'll keep you updated on our progress</li>
-                    <li>You'll get early access when we launch</li>
-                    <li>Exclusive updates and behind-the-scenes content</li>
-                </ul>
-            </div>
-            
-            <p>Stay tuned!</p>
-            
-            <p>Best regards,<br>The REVANX Team</p>
-            
-            <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
-            <p style="font-size: 12px; color: #666;">
-                You received this email because you signed up for updates at our coming soon page.
-                If you didn't sign up, you can safely ignore this email.
-            </p>
-        </div>
-    `;
-    
-    await sendEmail({
-        to: signup.email,
-        subject,
-        html
+async function updateSignupByAdmin(signup, changes) {
+    if (changes.status === 'confirmed' && !signup.confirmedAt) {
+        changes.confirmedAt = new Date().toISOString();
+    }
+    if (changes.status === 'unsubscribed' && !signup.unsubscribedAt) {
+        changes.unsubscribedAt = new Date().toISOString();
+    }
+    
+    const updated = await storage.update(signup.id, changes);
+    dashboardSummary = null;
+    
+    if (['confirmed', 'unsubscribed'].includes(changes.status) && changes.status !== signup.status) {
+        await service.emitWebhook(`signup.${changes.status}`, updated);
+    }
+    
+    return updated;
+}
+
+/**
+ * Delete a signup on an admin's request, with everything else holding its address
+ */
+async function deleteSignupByAdmin(signup) {
+    await storage.delete(signup.id);
+    dashboardSummary = null;
+    if (mailQueue) {
+        await mailQueue.forget({ addresses: [signup.email], signupIds: [signup.id] });
+    }
+    await broadcasts.forget([signup.id]);
+    if (webhooks) {
+        await webhooks.forget([signup.id]);
+    }
+    await appendAuditEntry(config.auditLogPath, {
+        action: 'erase',
+        email: signup.email,
+        reason: 'admin_request',
+        count: 1
     });
+    logger.info('Signup deleted by admin', { signupId: signup.id });
+}
+
+/**
+ * Signup totals per status, signups per day over the last DASHBOARD_DAYS days and the
+ * top referrers (by host), for the dashboard
+ */
+async function summarizeSignups() {
+    const totals = { all: await storage.count() };
+    for (const status of SIGNUP_STATUSES) {
+        totals[status] = await storage.count({ status });
+    }
+    
+    const perDay = new Map();
+    const today = new Date();
+    for (let offset = DASHBOARD_DAYS - 1; offset >= 0; offset--) {
+        const day = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() - offset));
+        perDay.set(day.toISOString().substring(0, 10), 0);
+    }
+    
+    const referrers = new Map();
+    for await (const signup of storage.stream()) {
+        const day = signup.createdAt.substring(0, 10);
+        if (perDay.has(day)) {
+            perDay.set(day, perDay.get(day) + 1);
+        }
+        
+        const referrer = getReferrerHost(signup.referrer);
+        referrers.set(referrer, (referrers.get(referrer) || 0) + 1);
+    }
+    
+    return {
+        totals,
+        perDay: [...perDay].map(([date, count]) => ({ date, count })),
+        topReferrers: [...referrers]
+            .map(([referrer, count]) => ({ referrer, count }))
+            .sort((a, b) => b.count - a.count)
+            .slice(0, 10)
+    };
 }
 
 /**
- * Send email using configured provider
+ * Get the dashboard summary, reusing one built in the last DASHBOARD_SUMMARY_TTL_MS so
+ * views don't each stream the whole store. Admin changes rebuild it on the next view.
  */
-async function sendEmail({ to, subject, html }) {
-    if (config.isDryRun) {
-        console.log('DRY RUN - Email would be sent:');
-        console.log('To:', to);
-        console.log('Subject:', subject);
-        console.log('HTML:', html.substring(0, 200) + '...');
-        return;
+async function getDashboardSummary() {
+    if (dashboardSummary && Date.now() - dashboardSummary.builtAt < DASHBOARD_SUMMARY_TTL_MS) {
+        return dashboardSummary.promise;
     }
     
+    const current = { builtAt: Date.now(), promise: summarizeSignups() };
+    dashboardSummary = current;
+    
     try {
-        if (config.emailProvider === 'resend') {
-            await sendWithResend({ to, subject, html });
-        } else {
-            throw new Error(`Email provider not implemented: ${config.emailProvider}`);
+        return await current.promise;
+    } catch (error) {
+        if (dashboardSummary === current) {
+            dashboardSummary = null;
         }
+        throw error;
+    }
+}
+
+/**
+ * The dashboard list state (q, status, sort, page) from its query, to keep in its links
+ */
+function getDashboardState(query) {
+    const page = parseInt(query.page, 10) || 1;
+    
+    return {
+        q: query.q ? String(query.q) : null,
+        status: query.status ? String(query.status) : null,
+        sort: query.sort && query.sort !== 'newest' ? String(query.sort) : null,
+        page: page > 1 ? page : null
+    };
+}
+
+/**
+ * Group a referrer URL by its host
+ */
+function getReferrerHost(referrer) {
+    if (!referrer) {
+        return 'Direct';
+    }
+    
+    try {
+        return new URL(referrer).host || referrer;
     } catch (error) {
-        console.error('Email sending error:', error);
-        // Don't throw - we don't want to fail the signup if email fails
+        return referrer;
     }
 }
 
 /**
- * Send email with Resend
+ * Find a signup by id, or by email address if the key contains an @
+ */
+async function findSignupByKey(key) {
+    return key.includes('@')
+        ? storage.findByEmail(normalizeEmail(key, { canonicalizeGmail: config.canonicalizeGmail }))
+        : storage.findById(key);
+}
+
+/**
+ * Send a signup service result as a JSON or HTML response
  */
-async function sendWithResend({ to, subject, html }) {
-    const resend = new Resend(config.emailApiKey);
+function sendResult(res, result) {
+    res.status(result.status).set(result.headers || {});
     
-    const result = await resend.emails.send({
-        from: config.emailFrom,
-        to,
-        subject,
-        html
-    });
+    if (result.html !== undefined) {
+        return res.send(result.html);
+    }
     
-    console.log('Email sent via Resend:', result);
-    return result;
+    res.json(result.json);
 }
 
 /**
  * Graceful shutdown
  */
 process.on('SIGTERM', () => {
-    console.log('SIGTERM received, shutting down gracefully');
+    logger.info('SIGTERM received, shutting down gracefully');
+    if (mailQueue) mailQueue.stop();
+    if (webhooks) webhooks.stop();
+    broadcasts.stop();
     process.exit(0);
 });
 
 process.on('SIGINT', () => {
-    console.log('SIGINT received, shutting down gracefully');
+    logger.info('SIGINT received, shutting down gracefully');
+    if (mailQueue) mailQueue.stop();
+    if (webhooks) webhooks.stop();
+    broadcasts.stop();
     process.exit(0);
 });
 
 /**
- * Start server
+ * Start server when run directly; tests require the app and listen on their own port
  */
-app.listen(PORT, () => {
-    console.log(`REVANX Coming Soon Server running on port ${PORT}`);
-    console.log(`Health check: http://localhost:${PORT}/health`);
-    console.log(`Dry run mode: ${config.isDryRun}`);
-    
-    if (config.isDryRun) {
-        console.log('⚠️  EMAIL_API_KEY not set - running in dry-run mode');
-        console.log('   Emails will be logged to console instead of sent');
-    }
-});
+if (require.main === module) {
+    app.listen(PORT, () => {
+        logger.info('REVANX Coming Soon Server running', {
+            port: Number(PORT),
+            healthCheck: `http://localhost:${PORT}/health/ready`,
+            dryRun: config.isDryRun
+        });
+        
+        if (config.isDryRun) {
+            logger.warn('EMAIL_API_KEY not set - running in dry-run mode, emails will be logged instead of sent');
+        } else {
+            mailQueue.start();
+        }
+        
+        if (webhooks) {
+            webhooks.start();
+            logger.info('Webhooks enabled', { targets: config.webhookUrls.length });
+        }
+        
+        broadcasts.start();
+    });
+}
 
 module.exports = app;
@@ -0,0 +1,84 @@
+/**
+ * Access log - full request paths, without secrets
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { useTestEnv, removeDataDir, startServer } = require('./helpers');
+
+const dataDir = useTestEnv({ LOG_LEVEL: 'info', ADMIN_TOKEN: 'test-admin-token' });
+const app = require('../server');
+
+const logged = [];
+const write = process.stdout.write;
+let server;
+
+before(async () => {
+    // Keep access log entries, pass everything else (the test reporter) through
+    process.stdout.write = function (chunk, ...args) {
+        try {
+            const entry = JSON.parse(String(chunk));
+            if (entry.msg === 'Request completed') {
+                logged.push(entry);
+                return true;
+            }
+        } catch (error) {
+            // Not a log line
+        }
+        return write.call(this, chunk, ...args);
+    };
+
+    server = await startServer(app);
+});
+
+after(async () => {
+    process.stdout.write = write;
+    await server.close();
+    removeDataDir(dataDir);
+});
+
+/**
+ * Request a path and return its access log entry
+ */
+async function requestLogged(path, options) {
+    const response = await fetch(`${server.baseUrl}${path}`, options);
+    await response.arrayBuffer();
+
+    const requestId = response.headers.get('x-request-id');
+    for (let attempt = 0; attempt < 20; attempt++) {
+        const entry = logged.find(candidate => candidate.requestId === requestId);
+        if (entry) {
+            return entry;
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    assert.fail(`No access log entry for ${path}`);
+}
+
+test('admin routes are logged with their full path', async () => {
+    const headers = { Authorization: 'Bearer test-admin-token' };
+
+    assert.strictEqual((await requestLogged('/admin/signups', { headers })).path, '/admin/signups');
+    assert.strictEqual((await requestLogged('/admin/signups/export', { headers })).path, '/admin/signups/export');
+});
+
+test('status page tokens are redacted', async () => {
+    const entry = await requestLogged('/status/abc.def-secret');
+
+    assert.strictEqual(entry.path, '/status/[redacted]');
+});
+
+test('query strings are left out', async () => {
+    const entry = await requestLogged('/confirm?token=secret-token');
+
+    assert.strictEqual(entry.path, '/confirm');
+});
+
+test('email addresses in paths are masked', async () => {
+    const entry = await requestLogged('/admin/signups/jane%40example.com', {
+        headers: { Authorization: 'Bearer test-admin-token' }
+    });
+
+    assert.strictEqual(entry.path, '/admin/signups/j***@example.com');
+});
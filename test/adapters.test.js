@@ -0,0 +1,194 @@
+/**
+ * Adapters - one suite run against the Express server, the Netlify function and the
+ * Vercel function, so every platform answers the same request the same way
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { useTestEnv, removeDataDir, startServer } = require('./helpers');
+
+const dataDir = useTestEnv({ RATE_LIMIT_SUBSCRIBE: '1000/1m', RATE_LIMIT_SUBSCRIBE_EMAIL: '1000/1m' });
+const app = require('../server');
+const netlify = require('../subscribe');
+const vercel = require('../api/subscribe');
+
+// Express serves the signup form token under /subscribe; the functions take the route name
+const EXPRESS_PATHS = { subscribe: '/subscribe', token: '/subscribe/token' };
+
+/**
+ * Each adapter sends { method, route, body, headers } and resolves { status, headers, body }
+ * with lowercased header names. A string body is sent as-is (for malformed JSON).
+ */
+const ADAPTERS = {
+    express: {
+        async setup() {
+            this.server = await startServer(app);
+        },
+
+        async teardown() {
+            await this.server.close();
+        },
+
+        async send({ method, route, body, headers = {} }) {
+            const response = await fetch(`${this.server.baseUrl}${EXPRESS_PATHS[route] || `/${route}`}`, {
+                method,
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+            });
+
+            return {
+                status: response.status,
+                headers: Object.fromEntries(response.headers),
+                body: await response.text()
+            };
+        }
+    },
+
+    netlify: {
+        async send({ method, route, body, headers = {} }) {
+            const [routePath, query = ''] = route.split('?');
+            const result = await netlify.handler({
+                httpMethod: method,
+                path: `/.netlify/functions/subscribe/${routePath}`,
+                headers: { 'content-type': 'application/json', ...lowercase(headers) },
+                queryStringParameters: Object.fromEntries(new URLSearchParams(query)),
+                body: body === undefined ? null : typeof body === 'string' ? body : JSON.stringify(body),
+                isBase64Encoded: false
+            }, {});
+
+            return { status: result.statusCode, headers: lowercase(result.headers), body: result.body };
+        }
+    },
+
+    vercel: {
+        async send({ method, route, body, headers = {} }) {
+            const [routePath, query = ''] = route.split('?');
+            const req = {
+                method,
+                headers: { 'content-type': 'application/json', ...lowercase(headers) },
+                query: { ...Object.fromEntries(new URLSearchParams(query)), route: routePath }
+            };
+
+            // Vercel parses JSON bodies itself, and its body getter throws on malformed JSON
+            Object.defineProperty(req, 'body', {
+                get() {
+                    if (typeof body === 'string') {
+                        return JSON.parse(body);
+                    }
+                    return body;
+                }
+            });
+
+            return new Promise((resolve, reject) => {
+                const res = {
+                    writeHead(status, responseHeaders) {
+                        this.status = status;
+                        this.headers = lowercase(responseHeaders);
+                    },
+                    end(responseBody = '') {
+                        resolve({ status: this.status, headers: this.headers, body: responseBody });
+                    }
+                };
+
+                vercel(req, res).catch(reject);
+            });
+        }
+    }
+};
+
+function lowercase(headers = {}) {
+    return Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value)]));
+}
+
+after(() => removeDataDir(dataDir));
+
+for (const [name, adapter] of Object.entries(ADAPTERS)) {
+    describe(`${name} adapter`, () => {
+        // Addresses are per adapter since they all share one data directory
+        const email = local => `${local}.${name}@example.com`;
+        const subscribe = (body, headers) => adapter.send({ method: 'POST', route: 'subscribe', body, headers });
+        const json = response => JSON.parse(response.body);
+
+        before(() => adapter.setup && adapter.setup());
+        after(() => adapter.teardown && adapter.teardown());
+
+        test('accepts a signup and asks for confirmation', async () => {
+            const response = await subscribe({ email: email('new'), name: 'Ada', consent: true });
+
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(json(response).code, 'pending_confirmation');
+            assert.ok(response.headers['x-request-id']);
+        });
+
+        test('answers a repeat signup without failing', async () => {
+            await subscribe({ email: email('repeat'), consent: true });
+            const response = await subscribe({ email: email('repeat'), consent: true });
+
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(json(response).success, true);
+        });
+
+        test('rejects an invalid email address', async () => {
+            const response = await subscribe({ email: 'not-an-email', consent: true });
+
+            assert.strictEqual(response.status, 400);
+            assert.strictEqual(json(response).code, 'invalid_input');
+            assert.strictEqual(json(response).field, 'email');
+        });
+
+        test('requires consent', async () => {
+            const response = await subscribe({ email: email('no-consent') });
+
+            assert.strictEqual(response.status, 400);
+            assert.strictEqual(json(response).field, 'consent');
+        });
+
+        for (const [field, value] of [['name', 5], ['userAgent', {}], ['referrer', ['x']], ['timestamp', 1700000000]]) {
+            test(`rejects a non-text ${field} with 400`, async () => {
+                const response = await subscribe({ email: email(`bad-${field}`), consent: true, [field]: value });
+
+                assert.strictEqual(response.status, 400);
+                assert.strictEqual(json(response).code, 'invalid_input');
+                assert.strictEqual(json(response).field, field);
+            });
+        }
+
+        test('rejects a body that is not an object', async () => {
+            const response = await subscribe(['email']);
+
+            assert.strictEqual(response.status, 400);
+            assert.strictEqual(json(response).code, 'invalid_input');
+        });
+
+        test('rejects malformed JSON with 400', async () => {
+            const response = await subscribe('{"email":');
+
+            assert.strictEqual(response.status, 400);
+        });
+
+        test('replays the response for a repeated Idempotency-Key', async () => {
+            const headers = { 'Idempotency-Key': `adapters-${name}-0001` };
+            const body = { email: email('idempotent'), consent: true };
+
+            await subscribe(body, headers);
+            const replay = await subscribe(body, headers);
+
+            assert.strictEqual(replay.status, 200);
+            assert.strictEqual(replay.headers['idempotent-replayed'], 'true');
+        });
+
+        test('issues form tokens', async () => {
+            const response = await adapter.send({ method: 'GET', route: 'token' });
+
+            assert.strictEqual(response.status, 200);
+            assert.ok(json(response).token);
+        });
+
+        test('shows an error page for an invalid confirmation link', async () => {
+            const response = await adapter.send({ method: 'GET', route: 'confirm?token=invalid', headers: { 'Content-Type': 'text/html' } });
+
+            assert.strictEqual(response.status, 400);
+            assert.match(response.headers['content-type'], /text\/html/);
+        });
+    });
+}
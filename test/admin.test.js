@@ -0,0 +1,167 @@
+/**
+ * Admin API - bearer and Basic authentication, signup CRUD and the dashboard summary
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { execFile } = require('child_process');
+const path = require('path');
+const { promisify } = require('util');
+const { useTestEnv, removeDataDir, startServer } = require('./helpers');
+
+const ADMIN_TOKEN = 'test-admin-token';
+const ADMIN_PASSWORD = 'test-admin-password';
+
+const dataDir = useTestEnv({ ADMIN_TOKEN, ADMIN_USER: 'admin', ADMIN_PASSWORD, STORAGE_MODE: 'json' });
+const { createStorage } = require('../lib/storage');
+const app = require('../server');
+
+const storage = createStorage({ mode: 'json', dataDir });
+let server;
+
+before(async () => {
+    server = await startServer(app);
+
+    const createdAt = Date.now();
+    for (const [index, email] of ['ann@example.com', 'bob@example.org', 'cat@example.com'].entries()) {
+        await storage.insert({
+            id: `signup-${index}`,
+            email,
+            name: null,
+            consent: true,
+            status: index === 1 ? 'pending' : 'confirmed',
+            referrer: index === 2 ? 'https://news.example/launch' : null,
+            ip: `203.0.113.${10 + index}`,
+            createdAt: new Date(createdAt - index * 60 * 1000).toISOString()
+        });
+    }
+});
+
+after(async () => {
+    await server?.close();
+    removeDataDir(dataDir);
+});
+
+const basic = (user, password) => `Basic ${Buffer.from(`${user}:${password}`).toString('base64')}`;
+
+function admin(route, { method = 'GET', authorization = `Bearer ${ADMIN_TOKEN}`, body } = {}) {
+    return fetch(`${server.baseUrl}/admin${route}`, {
+        method,
+        headers: {
+            ...(authorization && { Authorization: authorization }),
+            ...(body && { 'Content-Type': 'application/json' })
+        },
+        body: body && JSON.stringify(body)
+    });
+}
+
+test('missing or wrong credentials get 401 with a Basic challenge', async () => {
+    for (const authorization of [
+        null,
+        'Bearer wrong-token',
+        `Bearer ${ADMIN_TOKEN}x`,
+        ADMIN_TOKEN,
+        basic('admin', 'wrong-password'),
+        basic('root', ADMIN_PASSWORD),
+        `Basic ${Buffer.from(ADMIN_PASSWORD).toString('base64')}`,
+        `Basic ${ADMIN_TOKEN}`
+    ]) {
+        const response = await admin('/signups', { authorization });
+        assert.strictEqual(response.status, 401, String(authorization));
+        assert.match(response.headers.get('www-authenticate'), /^Basic realm=/);
+        assert.deepStrictEqual(await response.json(), { success: false, message: 'Authentication required' });
+    }
+});
+
+test('the bearer token and Basic credentials are both accepted', async () => {
+    assert.strictEqual((await admin('/signups')).status, 200);
+    assert.strictEqual((await admin('/signups', { authorization: basic('admin', ADMIN_PASSWORD) })).status, 200);
+});
+
+test('the admin API is disabled with 403 when neither a token nor a password is configured', async () => {
+    // The server reads its config when it loads, so this one runs in a process of its own
+    const script = `
+        const { startServer } = require('./test/helpers');
+        startServer(require('./server')).then(async server => {
+            const response = await fetch(server.baseUrl + '/admin/signups', { headers: { Authorization: 'Bearer anything' } });
+            console.log(JSON.stringify({ status: response.status, body: await response.json() }));
+            process.exit(0);
+        });
+    `;
+    const env = { ...process.env, ADMIN_TOKEN: '', ADMIN_PASSWORD: '', DATA_DIR: path.join(dataDir, 'unconfigured') };
+    const { stdout } = await promisify(execFile)(process.execPath, ['-e', script], {
+        cwd: path.join(__dirname, '..'),
+        env,
+        timeout: 30000
+    });
+
+    const { status, body } = JSON.parse(stdout.trim().split('\n').pop());
+    assert.strictEqual(status, 403);
+    assert.strictEqual(body.success, false);
+    assert.match(body.message, /Set ADMIN_TOKEN or ADMIN_PASSWORD/);
+});
+
+test('lists signups paged, filtered and searched, with IP addresses masked unless asked for', async () => {
+    let body = await (await admin('/signups?limit=2')).json();
+    assert.strictEqual(body.count, 3);
+    assert.strictEqual(body.totalPages, 2);
+    assert.deepStrictEqual(body.signups.map(signup => signup.email), ['ann@example.com', 'bob@example.org']);
+    assert.strictEqual(body.signups[0].ip, '203.0.11***');
+
+    body = await (await admin('/signups?limit=2&page=2&showIp=true')).json();
+    assert.deepStrictEqual(body.signups.map(signup => [signup.email, signup.ip]), [['cat@example.com', '203.0.113.12']]);
+
+    const emails = async query => (await (await admin(`/signups?${query}`)).json()).signups.map(signup => signup.email);
+    assert.deepStrictEqual(await emails('status=pending'), ['bob@example.org']);
+    assert.deepStrictEqual(await emails('q=example.com'), ['ann@example.com', 'cat@example.com']);
+    assert.deepStrictEqual(await emails('referrer=news.example'), ['cat@example.com']);
+    assert.deepStrictEqual(await emails(`to=${encodeURIComponent(new Date(Date.now() - 90 * 1000).toISOString())}`), ['cat@example.com']);
+
+    assert.strictEqual((await admin('/signups?status=deleted')).status, 400);
+});
+
+test('gets, updates and deletes one signup by id or email address', async () => {
+    let response = await admin('/signups/ANN@example.com');
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual((await response.json()).signup.id, 'signup-0');
+
+    response = await admin('/signups/signup-0', { method: 'PATCH', body: { name: '<b>Ann</b>', status: 'unsubscribed' } });
+    assert.strictEqual(response.status, 200);
+    const { signup } = await response.json();
+    assert.strictEqual(signup.name, 'Ann');
+    assert.strictEqual(signup.status, 'unsubscribed');
+    assert.strictEqual(signup.ip, '203.0.11***');
+    assert.strictEqual((await storage.findById('signup-0')).status, 'unsubscribed');
+
+    response = await admin('/signups/signup-0', { method: 'PATCH', body: { email: 'someone.else@example.com' } });
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual((await admin('/signups/signup-0', { method: 'PATCH', body: { status: 'deleted' } })).status, 400);
+
+    response = await admin('/signups/ann@example.com', { method: 'DELETE' });
+    assert.deepStrictEqual(await response.json(), { success: true, message: 'Signup deleted' });
+    assert.strictEqual(await storage.findById('signup-0'), null);
+
+    for (const method of ['GET', 'PATCH', 'DELETE']) {
+        response = await admin('/signups/ann@example.com', { method, body: method === 'PATCH' ? { name: 'Ann' } : undefined });
+        assert.strictEqual(response.status, 404, method);
+    }
+});
+
+test('dashboard views reuse the summary until an admin changes a signup', async () => {
+    const stats = async () => {
+        const response = await admin('/dashboard', { authorization: basic('admin', ADMIN_PASSWORD) });
+        assert.strictEqual(response.status, 200);
+        const html = await response.text();
+        return Object.fromEntries([...html.matchAll(/<div class="muted">(\w+)<\/div><div class="stat">(\d+)<\/div>/g)]
+            .map(([, label, value]) => [label, Number(value)]));
+    };
+
+    assert.deepStrictEqual(await stats(), { Signups: 2, Confirmed: 1, Pending: 1, Unsubscribed: 0 });
+
+    // Signed up since the summary was built: not counted yet
+    await storage.insert({ id: 'signup-3', email: 'dan@example.com', consent: true, status: 'confirmed', createdAt: new Date().toISOString() });
+    assert.deepStrictEqual(await stats(), { Signups: 2, Confirmed: 1, Pending: 1, Unsubscribed: 0 });
+
+    await admin('/signups/bob@example.org', { method: 'DELETE' });
+    assert.deepStrictEqual(await stats(), { Signups: 2, Confirmed: 2, Pending: 0, Unsubscribed: 0 });
+});
@@ -0,0 +1,155 @@
+/**
+ * Broadcasts - dry runs, crash recovery and batched progress writes
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const { useTestEnv, removeDataDir } = require('./helpers');
+
+const dataDir = useTestEnv();
+const { createBroadcasts } = require('../lib/broadcasts');
+
+after(() => removeDataDir(dataDir));
+
+const signups = Array.from({ length: 5 }, (_, index) => ({
+    id: `signup-${index}`,
+    email: `subscriber${index}@example.com`,
+    status: 'confirmed'
+}));
+
+// Just enough of lib/storage for broadcasts
+const storage = {
+    async findById(id) {
+        return signups.find(signup => signup.id === id) || null;
+    },
+    async *stream() {
+        yield* signups;
+    }
+};
+
+function setup(dirName, options) {
+    const sent = [];
+    const broadcasts = createBroadcasts({
+        dirPath: path.join(dataDir, dirName),
+        storage,
+        renderMessage: async () => ({ subject: 'News', html: '<p>News</p>', text: 'News' }),
+        sendMessage: async message => {
+            sent.push(message.to);
+            return { id: `message-${sent.length}` };
+        },
+        batchSize: 2,
+        batchIntervalMs: 0,
+        ...options
+    });
+
+    // send() would start the worker in the background; the tests process batches themselves
+    broadcasts.kick = () => {};
+
+    return { broadcasts, sent, dirPath: path.join(dataDir, dirName) };
+}
+
+async function drain(broadcasts) {
+    while (await broadcasts.processDue() > 0) {
+        // Each call sends one batch
+    }
+}
+
+/**
+ * Launch a broadcast to every signup, returning its id
+ */
+async function launch(broadcasts) {
+    const { id } = await broadcasts.create({ name: 'Launch', template: 'broadcast', data: {}, segment: {} });
+    await broadcasts.send(id);
+    return id;
+}
+
+test('a dry run finishes as its own sent rehearsal and only an explicit send goes out for real', async () => {
+    const rehearsal = setup('dry-run', { dryRun: true });
+    const id = await launch(rehearsal.broadcasts);
+    await drain(rehearsal.broadcasts);
+
+    let broadcast = await rehearsal.broadcasts.get(id);
+    assert.strictEqual(rehearsal.sent.length, 5);
+    assert.strictEqual(broadcast.status, 'sent');
+    assert.strictEqual(broadcast.dryRun, true);
+
+    // Restarted with a real provider, on the same files: nothing goes out by itself
+    const real = setup('dry-run');
+    await drain(real.broadcasts);
+    assert.strictEqual(real.sent.length, 0);
+
+    broadcast = (await real.broadcasts.send(id)).broadcast;
+    assert.strictEqual(broadcast.dryRun, false);
+    await drain(real.broadcasts);
+
+    broadcast = await real.broadcasts.get(id);
+    assert.deepStrictEqual(real.sent.sort(), signups.map(signup => signup.email).sort());
+    assert.strictEqual(broadcast.status, 'sent');
+    assert.strictEqual(broadcast.counts.sent, 5);
+
+    // A real broadcast can't be sent twice
+    assert.match((await real.broadcasts.send(id)).error, /can't be sent/);
+});
+
+test('a dry run interrupted by a restart with a real provider ends without sending', async () => {
+    const rehearsal = setup('dry-run-interrupted', { dryRun: true });
+    const id = await launch(rehearsal.broadcasts);
+    assert.strictEqual(await rehearsal.broadcasts.processDue(), 2);
+
+    const real = setup('dry-run-interrupted');
+    await drain(real.broadcasts);
+
+    const broadcast = await real.broadcasts.get(id);
+    assert.strictEqual(real.sent.length, 0);
+    assert.strictEqual(broadcast.status, 'sent');
+    assert.strictEqual(broadcast.dryRun, true);
+});
+
+test('after a crash mid-batch only the send in flight goes out again', async () => {
+    // The second send of the first batch never returns, as if the process died during it.
+    // Its claims run out straight away, so the restart doesn't have to wait for them.
+    const crashed = setup('crash', {
+        claimTimeoutMs: 0,
+        sendMessage: message => {
+            crashed.sent.push(message.to);
+            return crashed.sent.length === 2 ? new Promise(() => {}) : Promise.resolve({ id: 'message-1' });
+        }
+    });
+    const id = await launch(crashed.broadcasts);
+    crashed.broadcasts.processDue();
+    while (crashed.sent.length < 2) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+
+    const restarted = setup('crash');
+    await drain(restarted.broadcasts);
+
+    const [first, inFlight] = crashed.sent;
+    assert.ok(!restarted.sent.includes(first));
+    assert.ok(restarted.sent.includes(inFlight));
+    assert.strictEqual(restarted.sent.length, 4);
+
+    const broadcast = await restarted.broadcasts.get(id);
+    assert.strictEqual(broadcast.status, 'sent');
+    assert.strictEqual(broadcast.counts.sent, 5);
+});
+
+test('the broadcast file is rewritten once per batch rather than once per recipient', async (t) => {
+    const { broadcasts, sent, dirPath } = setup('batched');
+    const id = await launch(broadcasts);
+
+    // Every write of the broadcast file ends with renaming its temp file into place
+    const rename = t.mock.method(fs, 'rename');
+    const writes = () => rename.mock.calls.filter(call => call.arguments[1] === path.join(dirPath, `${id}.json`)).length;
+
+    // 5 recipients in batches of 2: a claim for each of 3 batches, then one to mark it sent
+    assert.strictEqual(await broadcasts.processDue(), 2);
+    assert.strictEqual(writes(), 1);
+
+    await drain(broadcasts);
+    assert.strictEqual(sent.length, 5);
+    assert.strictEqual((await broadcasts.get(id)).status, 'sent');
+    assert.strictEqual(writes(), 4);
+});
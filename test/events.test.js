@@ -0,0 +1,23 @@
+/**
+ * Events - funnel metrics counted from client events
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { funnelMetric } = require('../lib/events');
+
+test('a retried signup counts as one success', () => {
+    // What js/main.js tracks when a queued signup goes through on retry
+    const events = [
+        { event: 'signup_retry_sent', props: { status: 200, attempts: 2 } },
+        { event: 'signup_success', props: { status: 200, code: 'pending_confirmation' } }
+    ];
+
+    const successes = events.filter(event => funnelMetric(event) === 'successes');
+    assert.strictEqual(successes.length, 1);
+});
+
+test('validation failures are counted apart from other errors', () => {
+    assert.strictEqual(funnelMetric({ event: 'signup_error', props: { code: 'invalid_input' } }), 'validationFailures');
+    assert.strictEqual(funnelMetric({ event: 'signup_error', props: { code: 'form_expired' } }), 'errors');
+});
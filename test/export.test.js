@@ -0,0 +1,171 @@
+/**
+ * Export - CSV escaping and formula neutralizing, columns, pseudonymization and streaming
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { useTestEnv, removeDataDir } = require('./helpers');
+
+const dataDir = useTestEnv();
+const { DEFAULT_COLUMNS, parseExportOptions, escapeCsvCell, exportSignups } = require('../lib/export');
+
+after(() => removeDataDir(dataDir));
+
+const signups = [
+    {
+        id: 'signup-1',
+        email: 'ann@example.com',
+        name: '=HYPERLINK("https://evil.example","Click")',
+        status: 'confirmed',
+        consent: true,
+        referrer: 'https://example.com/?a=1,b=2',
+        attribution: { firstTouch: { source: 'twitter' }, lastTouch: { source: 'newsletter' } },
+        ip: '203.0.113.10',
+        userAgent: 'Mozilla/5.0',
+        createdAt: '2025-01-02T00:00:00.000Z'
+    },
+    {
+        id: 'signup-2',
+        email: 'bob@example.com',
+        name: 'Bob "The Builder"\nJr.',
+        status: 'pending',
+        consent: true,
+        ip: '203.0.113.10',
+        userAgent: 'curl/8.0',
+        createdAt: '2025-01-01T00:00:00.000Z'
+    }
+];
+
+async function* fromArray(records) {
+    yield* records;
+}
+
+async function exported(records, options) {
+    const parsed = parseExportOptions(options);
+    assert.ok(parsed.isValid, parsed.message);
+
+    let file = '';
+    for await (const chunk of exportSignups(fromArray(records), parsed.data)) {
+        file += chunk;
+    }
+    return file;
+}
+
+test('CSV cells are quoted when needed and spreadsheet formulas are neutralized', () => {
+    assert.strictEqual(escapeCsvCell(null), '');
+    assert.strictEqual(escapeCsvCell(undefined), '');
+    assert.strictEqual(escapeCsvCell('plain'), 'plain');
+    assert.strictEqual(escapeCsvCell(true), 'true');
+    assert.strictEqual(escapeCsvCell('a,b'), '"a,b"');
+    assert.strictEqual(escapeCsvCell('say "hi"'), '"say ""hi"""');
+    assert.strictEqual(escapeCsvCell('two\nlines'), '"two\nlines"');
+    assert.strictEqual(escapeCsvCell(' padded '), '" padded "');
+
+    for (const formula of ['=1+1', '+1', '-1', '@SUM(A1)', '\tcmd', '\rcmd']) {
+        assert.ok(escapeCsvCell(formula).replace(/^"/, '').startsWith(`'${formula[0]}`), `${JSON.stringify(formula)} is neutralized`);
+    }
+    assert.strictEqual(escapeCsvCell('=SUM(A1,A2)'), '"\'=SUM(A1,A2)"');
+    assert.strictEqual(escapeCsvCell('a=b'), 'a=b');
+});
+
+test('export options default to every column but IP and user agent, and reject unknown ones', () => {
+    const defaults = parseExportOptions({});
+    assert.deepStrictEqual(defaults.data, { format: 'csv', columns: DEFAULT_COLUMNS, pseudonymize: false });
+    assert.ok(!DEFAULT_COLUMNS.includes('ip') && !DEFAULT_COLUMNS.includes('userAgent'));
+
+    assert.deepStrictEqual(parseExportOptions({ columns: ' email, name,email', pseudonymize: 'true' }).data,
+        { format: 'csv', columns: ['email', 'name'], pseudonymize: true });
+    assert.deepStrictEqual(parseExportOptions({ columns: ['email', 'ip'] }).data.columns, ['email', 'ip']);
+
+    assert.strictEqual(parseExportOptions({ format: 'xlsx' }).isValid, false);
+    assert.strictEqual(parseExportOptions({ columns: 'email,password' }).isValid, false);
+    assert.strictEqual(parseExportOptions({ columns: ',' }).isValid, false);
+});
+
+test('CSV exports hold the selected columns, escaped and neutralized', async () => {
+    const csv = await exported(signups, { columns: 'email,name,referrer,utmSource,lastUtmSource' });
+
+    assert.strictEqual(csv, [
+        'email,name,referrer,utmSource,lastUtmSource',
+        'ann@example.com,"\'=HYPERLINK(""https://evil.example"",""Click"")","https://example.com/?a=1,b=2",twitter,newsletter',
+        'bob@example.com,"Bob ""The Builder""\nJr.",,,',
+        ''
+    ].join('\r\n'));
+});
+
+test('pseudonymized IPs and user agents match within an export but not across exports', async () => {
+    const options = { format: 'ndjson', columns: 'email,ip,userAgent', pseudonymize: 'true' };
+    const rows = (await exported(signups, options)).trim().split('\n').map(line => JSON.parse(line));
+    const [again] = (await exported(signups, options)).trim().split('\n').map(line => JSON.parse(line));
+
+    assert.match(rows[0].ip, /^[0-9a-f]{16}$/);
+    assert.strictEqual(rows[0].ip, rows[1].ip);
+    assert.notStrictEqual(rows[0].userAgent, rows[1].userAgent);
+    assert.notStrictEqual(again.ip, rows[0].ip);
+    assert.strictEqual(rows[0].email, 'ann@example.com');
+
+    const plain = JSON.parse((await exported(signups, { format: 'ndjson', columns: 'ip' })).split('\n')[0]);
+    assert.strictEqual(plain.ip, '203.0.113.10');
+});
+
+test('JSON and NDJSON exports parse back to the rows, empty exports included', async () => {
+    const json = JSON.parse(await exported(signups, { format: 'json', columns: 'id,status,consent,confirmedAt' }));
+    assert.deepStrictEqual(json, [
+        { id: 'signup-1', status: 'confirmed', consent: true, confirmedAt: null },
+        { id: 'signup-2', status: 'pending', consent: true, confirmedAt: null }
+    ]);
+
+    const ndjson = await exported(signups, { format: 'ndjson', columns: 'id' });
+    assert.strictEqual(ndjson, '{"id":"signup-1"}\n{"id":"signup-2"}\n');
+
+    assert.deepStrictEqual(JSON.parse(await exported([], { format: 'json' })), []);
+    assert.strictEqual(await exported([], { format: 'ndjson' }), '');
+    assert.strictEqual(await exported([], { columns: 'email' }), 'email\r\n');
+});
+
+test('rows are yielded as signups arrive, without reading the whole store first', async () => {
+    for (const format of ['csv', 'json', 'ndjson']) {
+        let requested = 0;
+        async function* source() {
+            for (const signup of signups) {
+                requested++;
+                yield signup;
+            }
+        }
+
+        const chunks = exportSignups(source(), parseExportOptions({ format, columns: 'email' }).data);
+        let text = '';
+        while (!text.includes('ann@example.com')) {
+            text += (await chunks.next()).value;
+        }
+
+        assert.strictEqual(requested, 1, `${format} waited for one signup only`);
+    }
+});
+
+test('the export script writes the filtered signups to a file', async () => {
+    const scriptDir = path.join(dataDir, 'script');
+    fs.mkdirSync(scriptDir);
+    fs.writeFileSync(path.join(scriptDir, 'signups.json'), JSON.stringify(signups));
+
+    const output = path.join(scriptDir, 'export.csv');
+    await promisify(execFile)(process.execPath, [
+        path.join(__dirname, '..', 'scripts', 'export-signups.js'),
+        '--status=confirmed',
+        '--columns=email,name',
+        `--output=${output}`
+    ], { env: { ...process.env, DATA_DIR: scriptDir, STORAGE_MODE: 'json' }, timeout: 30000 });
+
+    assert.strictEqual(fs.readFileSync(output, 'utf8'),
+        'email,name\r\nann@example.com,"\'=HYPERLINK(""https://evil.example"",""Click"")"\r\n');
+
+    await assert.rejects(
+        promisify(execFile)(process.execPath, [path.join(__dirname, '..', 'scripts', 'export-signups.js'), '--columns=password'],
+            { env: { ...process.env, DATA_DIR: scriptDir }, timeout: 30000 }),
+        error => error.code === 1 && error.stderr.includes('columns must be from')
+    );
+});
@@ -0,0 +1,144 @@
+/**
+ * Health - liveness stays up while readiness reports failing storage, locks and queues
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { useTestEnv, removeDataDir, startServer } = require('./helpers');
+
+const dataDir = useTestEnv({ HEALTH_MIN_FREE_DISK_MB: '1' });
+const { createHealthChecks } = require('../lib/health');
+
+after(() => removeDataDir(dataDir));
+
+/**
+ * Checks over a directory of their own, with storage and queues that work unless told otherwise
+ */
+function createChecks(name, overrides = {}) {
+    const checksDir = path.join(dataDir, name);
+    fs.mkdirSync(checksDir, { recursive: true });
+
+    return {
+        checksDir,
+        health: createHealthChecks({
+            dataDir: checksDir,
+            storage: { check: async () => {} },
+            storageMode: 'json',
+            transport: null,
+            mailQueue: { stats: async () => ({ queued: 0, sending: 0, dead: 0 }) },
+            webhooks: { stats: async () => ({ pending: 0, delivering: 0, failed: 0 }) },
+            staleLockMs: 30 * 1000,
+            maxQueueDepth: 10,
+            minFreeDiskBytes: 0,
+            timeoutMs: 200,
+            ...overrides
+        })
+    };
+}
+
+/**
+ * A lock file left behind ageSeconds ago by a process that never released it
+ */
+function leaveLock(dirPath, ageSeconds) {
+    const lockPath = path.join(dirPath, 'signups.json.lock');
+    fs.writeFileSync(lockPath, '4242');
+    const leftAt = new Date(Date.now() - ageSeconds * 1000);
+    fs.utimesSync(lockPath, leftAt, leftAt);
+    return lockPath;
+}
+
+test('readiness is ok when every component works, with the email check skipped in dry-run mode', async () => {
+    const { health } = createChecks('working');
+    const result = await health.ready();
+
+    assert.strictEqual(result.status, 'ok');
+    assert.strictEqual(result.components.email.status, 'skipped');
+    for (const name of ['storage', 'dataDirectory', 'locks', 'queues', 'disk']) {
+        assert.strictEqual(result.components[name].status, 'ok', name);
+    }
+});
+
+test('readiness is down when storage fails or hangs', async () => {
+    const failing = createChecks('storage-failing', {
+        storage: { check: async () => { throw new Error('SQLITE_CANTOPEN: unable to open database file'); } }
+    });
+    let result = await failing.health.ready();
+    assert.strictEqual(result.status, 'down');
+    assert.deepStrictEqual(result.components.storage, { status: 'down', message: 'SQLITE_CANTOPEN: unable to open database file' });
+
+    const hanging = createChecks('storage-hanging', { storage: { check: () => new Promise(() => {}) } });
+    result = await hanging.health.ready();
+    assert.strictEqual(result.status, 'down');
+    assert.match(result.components.storage.message, /Timed out after 200ms/);
+});
+
+test('readiness is down while a stale lock file blocks writes, but not for a lock being held', async () => {
+    const { health, checksDir } = createChecks('locks');
+    const lockPath = leaveLock(checksDir, 5);
+
+    let result = await health.ready();
+    assert.strictEqual(result.components.locks.status, 'ok');
+    assert.strictEqual(result.components.locks.held, 1);
+
+    leaveLock(checksDir, 60);
+    result = await health.ready();
+    assert.strictEqual(result.status, 'down');
+    assert.deepStrictEqual(result.components.locks.stale.map(({ file, pid }) => ({ file, pid })),
+        [{ file: 'signups.json.lock', pid: 4242 }]);
+
+    fs.unlinkSync(lockPath);
+    assert.strictEqual((await health.ready()).status, 'ok');
+});
+
+test('readiness is degraded when the mail or webhook backlog is over the maximum depth', async () => {
+    const mail = createChecks('mail-backlog', {
+        mailQueue: { stats: async () => ({ queued: 9, sending: 2, dead: 0 }) }
+    });
+    let result = await mail.health.ready();
+    assert.strictEqual(result.status, 'degraded');
+    assert.strictEqual(result.components.queues.message, 'Backlog over 10: mail');
+
+    const webhooks = createChecks('webhook-backlog', {
+        webhooks: { stats: async () => ({ pending: 11, delivering: 0, failed: 3 }) }
+    });
+    result = await webhooks.health.ready();
+    assert.strictEqual(result.status, 'degraded');
+    assert.strictEqual(result.components.queues.message, 'Backlog over 10: webhooks');
+
+    // A queue that can't report its depth is down
+    const broken = createChecks('queue-broken', {
+        mailQueue: { stats: async () => { throw new Error('Unexpected end of JSON input'); } }
+    });
+    assert.strictEqual((await broken.health.ready()).components.queues.status, 'down');
+});
+
+test('the readiness probe answers 503 while liveness stays 200', async () => {
+    const server = await startServer(require('../server'));
+    try {
+        const probe = async route => {
+            const response = await fetch(`${server.baseUrl}${route}`);
+            return { status: response.status, body: await response.json() };
+        };
+
+        assert.strictEqual((await probe('/health/ready')).status, 200);
+
+        const lockPath = leaveLock(dataDir, 60 * 60);
+        const ready = await probe('/health/ready');
+        assert.strictEqual(ready.status, 503);
+        assert.strictEqual(ready.body.status, 'down');
+        assert.strictEqual(ready.body.components.locks.status, 'down');
+
+        for (const route of ['/health/live', '/health']) {
+            const live = await probe(route);
+            assert.strictEqual(live.status, 200, route);
+            assert.strictEqual(live.body.status, 'ok');
+        }
+
+        fs.unlinkSync(lockPath);
+        assert.strictEqual((await probe('/health/ready')).status, 200);
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,54 @@
+/**
+ * Test Helpers - Temporary data directories and an ephemeral-port Express server
+ *
+ * Test files set up the environment (see useTestEnv) before requiring the app or an
+ * adapter, since config is read when they load. node --test runs each file in its own
+ * process, so every file gets a fresh data directory and module state.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Point DATA_DIR at a new temporary directory, quiet the logs and apply env overrides.
+ * Returns the directory; remove it with removeDataDir() when the tests finish.
+ */
+function useTestEnv(env = {}) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'revanx-test-'));
+
+    Object.assign(process.env, {
+        DATA_DIR: dataDir,
+        LOG_LEVEL: 'error',
+        TOKEN_SECRET: 'test-secret',
+        EMAIL_PROVIDER: 'resend',
+        EMAIL_API_KEY: '', // dry-run: emails are logged, never sent
+        FORM_TOKEN_REQUIRED: 'false'
+    }, env);
+
+    return dataDir;
+}
+
+function removeDataDir(dataDir) {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+}
+
+/**
+ * Listen on an ephemeral port, resolving { baseUrl, close }
+ */
+function startServer(app) {
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            resolve({
+                baseUrl: `http://127.0.0.1:${server.address().port}`,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+module.exports = {
+    useTestEnv,
+    removeDataDir,
+    startServer
+};
@@ -0,0 +1,78 @@
+/**
+ * Idempotency - retries with the same Idempotency-Key after a rejection a retry can fix
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { useTestEnv, removeDataDir } = require('./helpers');
+
+const dataDir = useTestEnv({ FORM_TOKEN_REQUIRED: 'true' });
+const { loadConfig } = require('../lib/config');
+const { createSignupService } = require('../lib/signup-service');
+const { signFormToken } = require('../lib/spam');
+
+const config = loadConfig();
+const CLIENT_IP = '203.0.113.10';
+const service = createSignupService(config);
+
+after(() => removeDataDir(dataDir));
+
+/**
+ * A form token issued long enough ago to pass the minimum fill time
+ */
+function filledFormToken() {
+    return signFormToken({
+        issuedAt: Date.now() - config.formMinFillMs - 1000,
+        ip: CLIENT_IP,
+        ttlMs: config.formTokenTtl
+    });
+}
+
+function subscribe(body, idempotencyKey) {
+    return service.subscribe({
+        body: { consent: true, ...body },
+        ip: CLIENT_IP,
+        acceptLanguage: 'en',
+        idempotencyKey
+    });
+}
+
+test('a retry with a fresh form token after form_expired stores the signup', async () => {
+    const idempotencyKey = 'retry-form-expired-0001';
+    const email = 'expired@example.com';
+
+    const rejected = await subscribe({ email, formToken: 'not-a-token' }, idempotencyKey);
+    assert.strictEqual(rejected.status, 400);
+    assert.strictEqual(rejected.json.code, 'form_expired');
+
+    const retried = await subscribe({ email, formToken: filledFormToken() }, idempotencyKey);
+    assert.strictEqual(retried.status, 200);
+    assert.strictEqual(retried.json.code, 'pending_confirmation');
+    assert.strictEqual((retried.headers || {})['Idempotent-Replayed'], undefined);
+    assert.ok(await service.storage.findByEmail(email));
+});
+
+test('a retry after too_fast stores the signup', async () => {
+    const idempotencyKey = 'retry-too-fast-0001';
+    const email = 'quick@example.com';
+    const early = signFormToken({ ip: CLIENT_IP, ttlMs: config.formTokenTtl });
+
+    const rejected = await subscribe({ email, formToken: early }, idempotencyKey);
+    assert.strictEqual(rejected.json.code, 'too_fast');
+
+    const retried = await subscribe({ email, formToken: filledFormToken() }, idempotencyKey);
+    assert.strictEqual(retried.status, 200);
+    assert.ok(await service.storage.findByEmail(email));
+});
+
+test('a completed signup is still replayed for the same key', async () => {
+    const idempotencyKey = 'replay-completed-0001';
+    const body = { email: 'replayed@example.com', formToken: filledFormToken() };
+
+    const first = await subscribe(body, idempotencyKey);
+    const replay = await subscribe(body, idempotencyKey);
+
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(replay.status, 200);
+    assert.strictEqual(replay.headers['Idempotent-Replayed'], 'true');
+});
@@ -0,0 +1,76 @@
+/**
+ * Mail queue - erasure and provider timeouts
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const path = require('path');
+const { useTestEnv, removeDataDir } = require('./helpers');
+
+const dataDir = useTestEnv();
+const { createMailQueue } = require('../lib/mail-queue');
+const { createSmtpTransport } = require('../lib/transports/smtp');
+
+after(() => removeDataDir(dataDir));
+
+test('forget removes queued and dead-lettered mail to or about a signup', async () => {
+    const failing = { name: 'failing', send: async () => { throw Object.assign(new Error('rejected'), { code: 'invalid_request' }); } };
+    const queue = createMailQueue({ filePath: path.join(dataDir, 'forget-queue.json'), transport: failing });
+
+    const message = (to, text, signupId) => ({ from: 'noreply@example.com', to, subject: 'Hello', html: `<p>${text}</p>`, text, signupId });
+    await queue.enqueue(message('Erase.Me@example.com', 'Please confirm', 'signup-1'));
+    await queue.enqueue(message('keep@example.com', 'Please confirm', 'signup-2'));
+
+    // The provider rejects both, so they are dead-lettered
+    await queue.processDue();
+    assert.strictEqual((await queue.list({ status: 'dead' })).length, 2);
+
+    await queue.enqueue(message('Erase Me <erase.me@example.com>', 'Your data', 'signup-1'));
+    await queue.enqueue(message('hello@example.com', 'New signup: erase.me@example.com', 'signup-1'));
+
+    const removed = await queue.forget({ addresses: ['erase.me@example.com'], signupIds: ['signup-1'] });
+
+    assert.strictEqual(removed, 3);
+    assert.deepStrictEqual((await queue.list()).map(queued => queued.to), ['keep@example.com']);
+});
+
+test('forget keeps mail to and about lookalike addresses', async () => {
+    const queue = createMailQueue({ filePath: path.join(dataDir, 'lookalike-queue.json'), transport: { name: 'unused' } });
+
+    const message = (to, text, signupId) => ({ from: 'noreply@example.com', to, subject: 'Hello', html: `<p>${text}</p>`, text, signupId });
+    await queue.enqueue(message('ann@example.com', 'Please confirm', 'signup-ann'));
+    await queue.enqueue(message('joann@example.com', 'Please confirm', 'signup-joann'));
+    await queue.enqueue(message('ann@example.com.au', 'Please confirm', 'signup-ann-au'));
+    await queue.enqueue(message('hello@example.com', 'New signup: joann@example.com', 'signup-joann'));
+
+    const removed = await queue.forget({ addresses: ['ann@example.com'], signupIds: ['signup-ann'] });
+
+    assert.strictEqual(removed, 1);
+    assert.deepStrictEqual((await queue.list()).map(queued => queued.to).sort(),
+        ['ann@example.com.au', 'hello@example.com', 'joann@example.com']);
+});
+
+test('a provider that never answers fails the send after the timeout', async () => {
+    // Accepts connections but never sends the SMTP greeting
+    const sockets = [];
+    const server = net.createServer(socket => sockets.push(socket));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const transport = createSmtpTransport({
+        smtpHost: '127.0.0.1',
+        smtpPort: server.address().port,
+        smtpSecure: false,
+        emailTimeout: 200
+    });
+
+    try {
+        await assert.rejects(
+            transport.send({ from: 'noreply@example.com', to: 'someone@example.com', subject: 'Hi', html: '<p>Hi</p>' }),
+            error => error.code === 'unavailable' && error.retryable
+        );
+    } finally {
+        sockets.forEach(socket => socket.destroy());
+        server.close();
+    }
+});
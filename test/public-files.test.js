@@ -0,0 +1,58 @@
+/**
+ * Public files - only the landing page and its assets are served from the repo root
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { useTestEnv, removeDataDir, startServer } = require('./helpers');
+
+const dataDir = useTestEnv();
+const app = require('../server');
+
+const ROOT = path.join(__dirname, '..');
+const REPO_DATA_FILE = path.join(ROOT, 'data', 'signups.json');
+
+let server;
+let createdDataFile = false;
+let createdDataDir = false;
+
+before(async () => {
+    // The default data directory sits in the repo root; make sure there is a file to leak
+    if (!fs.existsSync(REPO_DATA_FILE)) {
+        createdDataDir = !fs.existsSync(path.dirname(REPO_DATA_FILE));
+        fs.mkdirSync(path.dirname(REPO_DATA_FILE), { recursive: true });
+        fs.writeFileSync(REPO_DATA_FILE, '[]');
+        createdDataFile = true;
+    }
+
+    server = await startServer(app);
+});
+
+after(async () => {
+    await server.close();
+
+    if (createdDataFile) {
+        fs.rmSync(REPO_DATA_FILE);
+    }
+    if (createdDataDir) {
+        fs.rmdirSync(path.dirname(REPO_DATA_FILE));
+    }
+
+    removeDataDir(dataDir);
+});
+
+for (const filePath of ['/server.js', '/package.json', '/data/signups.json', '/lib/config.js', '/.env', '/templates/email/en/confirmation.html']) {
+    test(`GET ${filePath} is not served`, async () => {
+        const response = await fetch(`${server.baseUrl}${filePath}`);
+        assert.strictEqual(response.status, 404);
+    });
+}
+
+for (const filePath of ['/', '/index.html', '/global.css', '/js/main.js']) {
+    test(`GET ${filePath} is served`, async () => {
+        const response = await fetch(`${server.baseUrl}${filePath}`);
+        assert.strictEqual(response.status, 200);
+    });
+}
@@ -0,0 +1,95 @@
+/**
+ * Rate Limit - RateLimit-* headers on every checked response, not just on 429s
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { useTestEnv, removeDataDir, startServer } = require('./helpers');
+
+const dataDir = useTestEnv({
+    RATE_LIMIT_SUBSCRIBE: '5/15m',
+    RATE_LIMIT_SUBSCRIBE_EMAIL: '2/1h',
+    RATE_LIMIT_PRIVACY_REQUEST: '4/15m',
+    RATE_LIMIT_PRIVACY_REQUEST_EMAIL: 'off',
+    RATE_LIMIT_EVENTS: '3/1m'
+});
+const { loadConfig } = require('../lib/config');
+const { createSignupService } = require('../lib/signup-service');
+
+const service = createSignupService(loadConfig());
+
+after(() => removeDataDir(dataDir));
+
+function subscribe(email, { ip = '203.0.113.10', idempotencyKey } = {}) {
+    return service.subscribe({ body: { email, consent: true }, ip, acceptLanguage: 'en', idempotencyKey });
+}
+
+test('signups carry the headers of whichever limit is closest to running out', async () => {
+    let result = await subscribe('limited@example.com');
+    assert.strictEqual(result.status, 200);
+
+    // 4 of 5 left for the IP, 1 of 2 for the address
+    assert.strictEqual(result.headers['RateLimit-Limit'], '2');
+    assert.strictEqual(result.headers['RateLimit-Remaining'], '1');
+    assert.ok(Number(result.headers['RateLimit-Reset']) > 15 * 60);
+    assert.ok(!('Retry-After' in result.headers));
+
+    // Invalid input is checked against the IP limit only: 3 of 5 left
+    result = await subscribe('not-an-address');
+    assert.strictEqual(result.status, 400);
+    assert.strictEqual(result.headers['RateLimit-Limit'], '5');
+    assert.strictEqual(result.headers['RateLimit-Remaining'], '3');
+
+    await subscribe('limited@example.com');
+    result = await subscribe('limited@example.com');
+    assert.strictEqual(result.status, 429);
+    assert.strictEqual(result.headers['RateLimit-Limit'], '2');
+    assert.strictEqual(result.headers['RateLimit-Remaining'], '0');
+    assert.strictEqual(result.headers['Retry-After'], result.headers['RateLimit-Reset']);
+});
+
+test('idempotent replays, which aren\'t counted, carry no RateLimit-* headers', async () => {
+    const first = await subscribe('replayed@example.com', { ip: '203.0.113.20', idempotencyKey: 'replay-headers-1' });
+    assert.strictEqual(first.headers['RateLimit-Remaining'], '1');
+
+    const replayed = await subscribe('replayed@example.com', { ip: '203.0.113.20', idempotencyKey: 'replay-headers-1' });
+    assert.strictEqual(replayed.headers['Idempotent-Replayed'], 'true');
+    assert.ok(!Object.keys(replayed.headers).some(name => name.startsWith('RateLimit-')));
+});
+
+test('data requests carry the headers as JSON and as a page', async () => {
+    let result = await service.requestData({ body: { email: 'someone@example.com' }, ip: '203.0.113.30', wantsJson: true });
+    assert.strictEqual(result.status, 200);
+    assert.strictEqual(result.headers['RateLimit-Limit'], '4');
+    assert.strictEqual(result.headers['RateLimit-Remaining'], '3');
+
+    result = await service.requestData({ body: { email: 'invalid' }, ip: '203.0.113.30', wantsJson: false });
+    assert.strictEqual(result.status, 400);
+    assert.strictEqual(result.headers['RateLimit-Remaining'], '2');
+});
+
+test('analytics beacons carry the headers before the limit and Retry-After once it is hit', async () => {
+    const server = await startServer(require('../server'));
+    try {
+        const send = () => fetch(`${server.baseUrl}/events`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ events: [{ event: 'page_loaded' }] })
+        });
+
+        for (const remaining of ['2', '1', '0']) {
+            const response = await send();
+            assert.ok(response.status < 400, `status ${response.status}`);
+            assert.strictEqual(response.headers.get('ratelimit-limit'), '3');
+            assert.strictEqual(response.headers.get('ratelimit-remaining'), remaining);
+            assert.strictEqual(response.headers.get('retry-after'), null);
+        }
+
+        const limited = await send();
+        assert.strictEqual(limited.status, 429);
+        assert.strictEqual(limited.headers.get('ratelimit-remaining'), '0');
+        assert.ok(Number(limited.headers.get('retry-after')) > 0);
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,45 @@
+/**
+ * Security - Content-Security-Policy sources for challenge and analytics providers
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { buildContentSecurityPolicy } = require('../lib/security');
+
+/**
+ * Parse a policy into { directive: [sources] }
+ */
+function parsePolicy(policy) {
+    return Object.fromEntries(policy.split('; ').map(directive => {
+        const [name, ...sources] = directive.split(' ');
+        return [name, sources];
+    }));
+}
+
+test('only first-party scripts and requests by default', () => {
+    const policy = parsePolicy(buildContentSecurityPolicy({}));
+
+    assert.deepStrictEqual(policy['script-src'], ["'self'"]);
+    assert.deepStrictEqual(policy['connect-src'], ["'self'"]);
+});
+
+test('allows Plausible and Google Analytics scripts and beacons when configured', () => {
+    const policy = parsePolicy(buildContentSecurityPolicy({ analyticsProviders: ['plausible', 'ga'] }));
+
+    assert.ok(policy['script-src'].includes('https://plausible.io'));
+    assert.ok(policy['connect-src'].includes('https://plausible.io'));
+    assert.ok(policy['script-src'].includes('https://www.googletagmanager.com'));
+    assert.ok(policy['connect-src'].includes('https://*.google-analytics.com'));
+});
+
+test('ignores unknown analytics providers', () => {
+    const policy = parsePolicy(buildContentSecurityPolicy({ analyticsProviders: ['beacon', 'console'] }));
+
+    assert.deepStrictEqual(policy['script-src'], ["'self'"]);
+});
+
+test('keeps the challenge provider alongside analytics', () => {
+    const policy = parsePolicy(buildContentSecurityPolicy({ challengeProvider: 'turnstile', analyticsProviders: ['plausible'] }));
+
+    assert.deepStrictEqual(policy['script-src'], ["'self'", 'https://challenges.cloudflare.com', 'https://plausible.io']);
+});
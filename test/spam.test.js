@@ -0,0 +1,114 @@
+/**
+ * Spam Guard - honeypot, form token, challenge, disposable domain and MX checks
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { useTestEnv, removeDataDir } = require('./helpers');
+
+const dataDir = useTestEnv();
+const { loadConfig } = require('../lib/config');
+const { HONEYPOT_FIELD, createSpamGuard, signFormToken } = require('../lib/spam');
+const { createChallengeProvider } = require('../lib/spam/challenges');
+const { signToken } = require('../lib/tokens');
+
+const config = loadConfig({ formTokenRequired: false });
+const CLIENT_IP = '203.0.113.10';
+
+after(() => removeDataDir(dataDir));
+
+/**
+ * A guard with a Turnstile challenge whose siteverify calls go to respond(url, options)
+ */
+function guardWithChallenge(t, respond, challengeTimeout = 5000) {
+    t.mock.method(globalThis, 'fetch', respond);
+    const challenge = createChallengeProvider({ challengeProvider: 'turnstile', challengeSecret: 'secret', challengeTimeout });
+    return createSpamGuard(config, { resolveMx: null, challenge });
+}
+
+function check(guard, body = {}, { email = 'someone@example.com', ip = CLIENT_IP } = {}) {
+    return guard.check({ body, email, ip });
+}
+
+test('a filled-in honeypot gets a success-looking response but is rejected', async () => {
+    const guard = createSpamGuard(config, { resolveMx: null, challenge: null });
+
+    const rejection = await check(guard, { [HONEYPOT_FIELD]: 'https://spam.example' });
+
+    assert.strictEqual(rejection.reason, 'honeypot');
+    assert.strictEqual(rejection.status, 200);
+    assert.strictEqual(rejection.body.success, true);
+    assert.strictEqual(await check(guard, { [HONEYPOT_FIELD]: '' }), null);
+    assert.strictEqual(guard.stats().honeypot, 1);
+});
+
+test('form tokens must be valid, filled in slowly enough and sent from the issuing address', async () => {
+    const guard = createSpamGuard({ ...config, formTokenRequired: true }, { resolveMx: null, challenge: null });
+    const filled = signFormToken({ issuedAt: Date.now() - config.formMinFillMs - 1000, ip: CLIENT_IP, ttlMs: config.formTokenTtl });
+    const reason = async (body, ip) => (await check(guard, body, { ip }))?.reason || null;
+
+    assert.strictEqual(await reason({ formToken: filled }), null);
+    assert.strictEqual(await reason({}), 'form_expired');
+    assert.strictEqual(await reason({ formToken: `${filled}x` }), 'form_expired');
+
+    // Issued just now
+    const { token } = guard.issueFormToken({ ip: CLIENT_IP });
+    assert.strictEqual(await reason({ formToken: token }), 'too_fast');
+
+    // Past its expiry
+    const expired = signFormToken({ issuedAt: Date.now() - 60 * 1000, ip: CLIENT_IP, ttlMs: -1000 });
+    assert.strictEqual(await reason({ formToken: expired }), 'form_expired');
+
+    // Replayed from another address, or an unbound token from before binding
+    assert.strictEqual(await reason({ formToken: filled }, '198.51.100.7'), 'form_expired');
+    const unbound = signToken({ subject: String(Date.now() - config.formMinFillMs - 1000), purpose: 'form', ttlMs: config.formTokenTtl });
+    assert.strictEqual(await reason({ formToken: unbound }), 'form_expired');
+});
+
+test('disposable and blocked domains are rejected, subdomains included', async () => {
+    const guard = createSpamGuard({ ...config, blockedEmailDomains: ['blocked.example'] }, { resolveMx: null, challenge: null });
+    const reason = async email => (await check(guard, {}, { email }))?.reason || null;
+
+    assert.strictEqual(await reason('someone@mailinator.com'), 'disposable_email');
+    assert.strictEqual(await reason('someone@eu.mailinator.com'), 'disposable_email');
+    assert.strictEqual(await reason('someone@blocked.example'), 'disposable_email');
+    assert.strictEqual(await reason('someone@notblocked.example'), null);
+    assert.strictEqual(await reason('someone@example.com'), null);
+});
+
+test('the MX stub rejects domains that can\'t receive mail', async () => {
+    const guard = createSpamGuard({ ...config, mxCheck: 'stub', mxStubDomains: { 'nomail.example': false } }, { challenge: null });
+    const rejection = await check(guard, {}, { email: 'someone@nomail.example' });
+
+    assert.strictEqual(rejection.reason, 'undeliverable_email');
+    assert.strictEqual(rejection.body.field, 'email');
+    assert.strictEqual((await check(guard, {}, { email: 'someone@nowhere.invalid' })).reason, 'undeliverable_email');
+    assert.strictEqual(await check(guard, {}, { email: 'someone@example.com' }), null);
+});
+
+test('a challenge the provider accepts passes, and one it refuses is rejected', async (t) => {
+    const guard = guardWithChallenge(t, async (url, { body }) =>
+        Response.json({ success: body.get('response') === 'good-token' }));
+
+    assert.strictEqual(await check(guard, { challengeToken: 'good-token' }), null);
+
+    const rejection = await check(guard, { challengeToken: 'bad-token' });
+    assert.strictEqual(rejection.status, 400);
+    assert.strictEqual(rejection.body.code, 'challenge_failed');
+});
+
+test('a provider that never answers is rejected as unavailable after the timeout', { timeout: 2000 }, async (t) => {
+    // Hangs until the request is aborted
+    const guard = guardWithChallenge(t, (url, { signal }) => new Promise((resolve, reject) => {
+        signal?.addEventListener('abort', () => reject(signal.reason));
+    }), 100);
+
+    // AbortSignal.timeout doesn't keep the process alive; in the server the listener does
+    const keepAlive = setInterval(() => {}, 1000);
+    t.after(() => clearInterval(keepAlive));
+
+    const rejection = await check(guard, { challengeToken: 'any-token' });
+
+    assert.strictEqual(rejection.status, 503);
+    assert.strictEqual(rejection.body.code, 'challenge_unavailable');
+});
@@ -0,0 +1,163 @@
+/**
+ * Storage - the same behavior from the JSON and SQLite adapters
+ */
+
+const { describe, test, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const path = require('path');
+const { useTestEnv, removeDataDir } = require('./helpers');
+
+const dataDir = useTestEnv();
+const { createStorage } = require('../lib/storage');
+
+// better-sqlite3 is an optional dependency
+const skipSqlite = (() => {
+    try {
+        require.resolve('better-sqlite3');
+        return false;
+    } catch (error) {
+        return 'better-sqlite3 is not installed';
+    }
+})();
+
+after(() => removeDataDir(dataDir));
+
+/**
+ * A signup record as the service stores it, createdAt minutesAgo minutes ago
+ */
+function signup(email, { minutesAgo = 0, ...fields } = {}) {
+    return {
+        id: crypto.randomUUID(),
+        email,
+        name: null,
+        consent: true,
+        status: 'confirmed',
+        referrer: null,
+        createdAt: new Date(Date.now() - minutesAgo * 60 * 1000).toISOString(),
+        ...fields
+    };
+}
+
+for (const mode of ['json', 'sqlite']) {
+    describe(`${mode} store`, { skip: mode === 'sqlite' && skipSqlite }, () => {
+        const storage = createStorage({ mode, dataDir: path.join(dataDir, mode) });
+        const emails = signups => signups.map(({ email }) => email);
+
+        test('stores, finds, updates and deletes a signup with its extra fields', async () => {
+            const stored = signup('round.trip@example.com', {
+                referralCode: 'ROUNDTRIP',
+                attribution: { firstTouch: { source: 'newsletter' }, lastTouch: null }
+            });
+            await storage.insert(stored);
+
+            // SQLite returns its unset columns as null as well
+            const byId = await storage.findById(stored.id);
+            assert.deepStrictEqual(Object.fromEntries(Object.keys(stored).map(key => [key, byId[key]])), stored);
+            assert.strictEqual((await storage.findByEmail('round.trip@example.com')).id, stored.id);
+
+            const updated = await storage.update(stored.id, { status: 'unsubscribed', unsubscribedAt: new Date().toISOString() });
+            assert.strictEqual(updated.status, 'unsubscribed');
+            assert.strictEqual((await storage.findById(stored.id)).status, 'unsubscribed');
+            assert.strictEqual(await storage.update('missing-id', { status: 'confirmed' }), null);
+
+            assert.strictEqual(await storage.delete(stored.id), true);
+            assert.strictEqual(await storage.delete(stored.id), false);
+            assert.strictEqual(await storage.findById(stored.id), null);
+        });
+
+        test('a second signup for an address is rejected with DUPLICATE_EMAIL', async () => {
+            await storage.insert(signup('twice@example.com'));
+
+            await assert.rejects(storage.insert(signup('twice@example.com')), error =>
+                error.code === 'DUPLICATE_EMAIL' && error.message.includes('twice@example.com'));
+        });
+
+        test('search and referrer filters match % and _ literally', async () => {
+            await storage.insert(signup('under_score@filters.example', { referrer: 'https://example.com/50%_off' }));
+            await storage.insert(signup('underxscore@filters.example', { referrer: 'https://example.com/500off' }));
+
+            assert.deepStrictEqual(emails(await storage.list({ search: 'under_' })), ['under_score@filters.example']);
+            assert.deepStrictEqual(await storage.list({ search: '%@filters' }), []);
+            assert.deepStrictEqual(emails(await storage.list({ search: 'UNDER', sort: 'email' })),
+                ['under_score@filters.example', 'underxscore@filters.example']);
+            assert.deepStrictEqual(emails(await storage.list({ referrer: '50%_' })), ['under_score@filters.example']);
+            assert.strictEqual(await storage.count({ search: '@filters.example' }), 2);
+        });
+
+        test('filters by status, dates, referrals and attribution touch', async () => {
+            const referrer = signup('referrer@attribution.example', {
+                minutesAgo: 60,
+                referralCode: 'REF123',
+                attribution: { firstTouch: { source: 'Twitter', campaign: 'launch' }, lastTouch: { source: 'newsletter' } }
+            });
+            await storage.insert(referrer);
+            await storage.insert(signup('referred@attribution.example', { status: 'pending', referredBy: 'REF123' }));
+
+            const search = '@attribution.example';
+            assert.deepStrictEqual(emails(await storage.list({ search, status: 'pending' })), ['referred@attribution.example']);
+            assert.deepStrictEqual(emails(await storage.list({ search, referralCode: 'REF123' })), ['referrer@attribution.example']);
+            assert.deepStrictEqual(emails(await storage.list({ search, referredBy: 'REF123' })), ['referred@attribution.example']);
+            assert.deepStrictEqual(emails(await storage.list({ search, to: new Date(Date.now() - 30 * 60 * 1000) })), ['referrer@attribution.example']);
+            assert.deepStrictEqual(emails(await storage.list({ search, from: new Date(Date.now() - 30 * 60 * 1000) })), ['referred@attribution.example']);
+            assert.deepStrictEqual(emails(await storage.list({ utmSource: 'twitter' })), ['referrer@attribution.example']);
+            assert.deepStrictEqual(emails(await storage.list({ utmSource: 'twitter', touch: 'last' })), []);
+            assert.deepStrictEqual(emails(await storage.list({ utmSource: 'newsletter', touch: 'last' })), ['referrer@attribution.example']);
+            assert.strictEqual(await storage.count({ search, utmCampaign: 'LAUNCH' }), 1);
+        });
+
+        test('lists sorted and paged, and streams every match newest first across pages', async () => {
+            // More than one SQLite stream page, with createdAt ties across the page boundaries
+            const paged = Array.from({ length: 1100 }, (_, index) =>
+                signup(`paged${String(index).padStart(4, '0')}@paging.example`, { minutesAgo: Math.floor(index / 7) }));
+            for (const record of paged) {
+                await storage.insert(record);
+            }
+
+            const search = '@paging.example';
+            assert.deepStrictEqual(emails(await storage.list({ search, sort: 'email', offset: 10, limit: 3 })),
+                ['paged0010@paging.example', 'paged0011@paging.example', 'paged0012@paging.example']);
+            assert.strictEqual((await storage.list({ search, sort: 'oldest', limit: 1 }))[0].email, 'paged1099@paging.example');
+
+            const streamed = [];
+            for await (const record of storage.stream({ search })) {
+                streamed.push(record);
+            }
+
+            assert.strictEqual(streamed.length, paged.length);
+            assert.strictEqual(new Set(streamed.map(record => record.id)).size, paged.length);
+            assert.ok(streamed.every((record, index) => index === 0 || record.createdAt <= streamed[index - 1].createdAt));
+        });
+
+        test('check passes for a writable store', async () => {
+            await storage.check();
+        });
+    });
+}
+
+test('the SQLite store applies only the migrations a database is missing, keeping its rows', { skip: skipSqlite }, async () => {
+    const Database = require('better-sqlite3');
+    const sqlitePath = path.join(dataDir, 'migrations', 'signups.db');
+    const storage = createStorage({ mode: 'sqlite', dataDir, sqlitePath });
+    const kept = signup('kept@migrations.example', { referralCode: 'KEEP' });
+    await storage.insert(kept);
+
+    // Roll the database back to the first migration
+    const db = new Database(sqlitePath);
+    const version = db.pragma('user_version', { simple: true });
+    const migratedIndexes = ['idx_signups_first_touch_source', 'idx_signups_first_touch_campaign', 'idx_signups_referral_code', 'idx_signups_referred_by'];
+    migratedIndexes.forEach(index => db.exec(`DROP INDEX ${index}`));
+    db.pragma('user_version = 1');
+
+    const reopened = createStorage({ mode: 'sqlite', dataDir, sqlitePath });
+    const indexes = db.prepare("SELECT name FROM sqlite_master WHERE type = 'index'").all().map(({ name }) => name);
+
+    assert.strictEqual(db.pragma('user_version', { simple: true }), version);
+    assert.ok(migratedIndexes.every(index => indexes.includes(index)));
+    assert.strictEqual((await reopened.findByEmail('kept@migrations.example')).referralCode, 'KEEP');
+
+    // Up to date: opening again applies nothing
+    createStorage({ mode: 'sqlite', dataDir, sqlitePath });
+    assert.strictEqual(db.pragma('user_version', { simple: true }), version);
+    db.close();
+});
@@ -0,0 +1,78 @@
+/**
+ * Waitlist status - positions from a shared, periodically rebuilt ranking
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { useTestEnv, removeDataDir } = require('./helpers');
+
+const dataDir = useTestEnv();
+const { loadConfig } = require('../lib/config');
+const { createSignupService } = require('../lib/signup-service');
+const { signToken } = require('../lib/tokens');
+
+const service = createSignupService(loadConfig());
+const { storage } = service;
+
+after(() => removeDataDir(dataDir));
+
+let minutesAgo = 100;
+
+/**
+ * Store a confirmed signup, each one later than the last
+ */
+async function addConfirmed(extra = {}) {
+    const createdAt = new Date(Date.now() - minutesAgo-- * 60 * 1000).toISOString();
+    const signup = {
+        id: crypto.randomUUID(),
+        email: `${crypto.randomUUID()}@example.com`,
+        status: 'confirmed',
+        consent: true,
+        referralCode: null,
+        createdAt,
+        confirmedAt: createdAt,
+        ...extra
+    };
+    await storage.insert(signup);
+    return signup;
+}
+
+function status(signup) {
+    return service.status({ token: signToken({ subject: signup.id, purpose: 'status' }), wantsJson: true });
+}
+
+test('status views share one ranking instead of reading every signup each time', async () => {
+    const first = await addConfirmed();
+    const second = await addConfirmed();
+
+    let streams = 0;
+    const stream = storage.stream;
+    storage.stream = filter => {
+        streams++;
+        return stream.call(storage, filter);
+    };
+
+    try {
+        assert.strictEqual((await status(first)).json.position, 1);
+        assert.strictEqual((await status(second)).json.position, 2);
+        assert.strictEqual((await status(first)).json.position, 1);
+        assert.strictEqual(streams, 1);
+
+        // A signup confirmed since the ranking was built gets a fresh one
+        const third = await addConfirmed();
+        const result = await status(third);
+
+        assert.strictEqual(result.status, 200);
+        assert.strictEqual(result.json.position, 3);
+        assert.strictEqual(streams, 2);
+    } finally {
+        storage.stream = stream;
+    }
+});
+
+test('pending signups have no position yet', async () => {
+    const pending = await addConfirmed({ status: 'pending', confirmedAt: null });
+
+    assert.strictEqual((await status(pending)).status, 409);
+});
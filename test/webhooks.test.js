@@ -0,0 +1,246 @@
+/**
+ * Webhooks - signatures, retries with backoff, replay and lifecycle events
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const path = require('path');
+const { useTestEnv, removeDataDir, startServer } = require('./helpers');
+
+const dataDir = useTestEnv();
+const { loadConfig } = require('../lib/config');
+const { createSignupService } = require('../lib/signup-service');
+const { signWebhook, verifyWebhookSignature, createWebhookQueue } = require('../lib/webhooks');
+
+const SECRET = 'webhook-secret';
+
+after(() => removeDataDir(dataDir));
+
+/**
+ * A receiver answering each request with the next of statuses (the last one repeats),
+ * recording what it received
+ */
+async function startReceiver(statuses) {
+    const received = [];
+    const server = await startServer(http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.statusCode = statuses[Math.min(received.length, statuses.length) - 1];
+            res.end(res.statusCode < 300 ? 'ok' : 'nope');
+        });
+    }));
+
+    return { ...server, received };
+}
+
+function createQueue(name, url, options = {}) {
+    return createWebhookQueue({
+        filePath: path.join(dataDir, `${name}.json`),
+        targets: [url],
+        secret: SECRET,
+        baseDelayMs: 0,
+        ...options
+    });
+}
+
+const signup = { id: 'signup-1', email: 'hooked@example.com', status: 'pending', ip: '203.0.113.10', userAgent: 'Test' };
+
+test('signatures are the HMAC of "<t>.<body>" and only verify for that body, secret and time', () => {
+    const body = JSON.stringify({ type: 'signup.created' });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const header = signWebhook(SECRET, body, timestamp);
+
+    const expected = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex');
+    assert.strictEqual(header, `t=${timestamp},v1=${expected}`);
+
+    assert.strictEqual(verifyWebhookSignature(SECRET, body, header), true);
+    assert.strictEqual(verifyWebhookSignature(SECRET, `${body} `, header), false);
+    assert.strictEqual(verifyWebhookSignature('other-secret', body, header), false);
+    assert.strictEqual(verifyWebhookSignature(SECRET, body, signWebhook(SECRET, body, timestamp - 10 * 60)), false);
+    assert.strictEqual(verifyWebhookSignature(SECRET, body, 'garbage'), false);
+});
+
+test('5xx, 408 and 429 responses are retried until one is delivered, signed every time', async () => {
+    const receiver = await startReceiver([503, 408, 429, 200]);
+    try {
+        const queue = createQueue('retried', receiver.baseUrl);
+        const [delivery] = await queue.emit('signup.created', signup);
+
+        for (let attempt = 0; attempt < 4; attempt++) {
+            assert.strictEqual(await queue.processDue(), 1);
+        }
+
+        const delivered = await queue.get(delivery.id);
+        assert.strictEqual(delivered.status, 'delivered');
+        assert.strictEqual(delivered.attempts, 4);
+        assert.deepStrictEqual(delivered.log.map(attempt => attempt.status), [503, 408, 429, 200]);
+
+        for (const { headers, body } of receiver.received) {
+            assert.strictEqual(headers['x-revanx-event'], 'signup.created');
+            assert.strictEqual(headers['x-revanx-delivery'], delivery.id);
+            assert.strictEqual(verifyWebhookSignature(SECRET, body, headers['x-revanx-signature']), true);
+        }
+
+        // IP addresses and user agents stay on the server
+        const { data } = JSON.parse(receiver.received[0].body);
+        assert.strictEqual(data.signup.email, 'hooked@example.com');
+        assert.ok(!('ip' in data.signup) && !('userAgent' in data.signup));
+    } finally {
+        await receiver.close();
+    }
+});
+
+test('retries back off exponentially and stop at maxAttempts', async () => {
+    const receiver = await startReceiver([500]);
+    try {
+        const queue = createQueue('backoff', receiver.baseUrl, { baseDelayMs: 200 });
+        const [delivery] = await queue.emit('signup.created', signup);
+
+        // How long after its last attempt a delivery is due again
+        const retryDelay = async () => {
+            const { nextAttemptAt, log } = await queue.get(delivery.id);
+            const last = log[log.length - 1];
+            return new Date(nextAttemptAt).getTime() - new Date(last.at).getTime() - last.durationMs;
+        };
+
+        await queue.processDue();
+        const firstDelay = await retryDelay();
+        assert.ok(firstDelay >= 200 && firstDelay < 400, `first retry after ${firstDelay}ms`);
+
+        // Not due yet
+        assert.strictEqual(await queue.processDue(), 0);
+
+        await new Promise(resolve => setTimeout(resolve, firstDelay + 50));
+        assert.strictEqual(await queue.processDue(), 1);
+        const secondDelay = await retryDelay();
+        assert.ok(secondDelay >= 400 && secondDelay < 800, `second retry after ${secondDelay}ms`);
+    } finally {
+        await receiver.close();
+    }
+
+    const failing = await startReceiver([500]);
+    try {
+        const queue = createQueue('exhausted', failing.baseUrl, { maxAttempts: 2 });
+        const [delivery] = await queue.emit('signup.created', signup);
+        await queue.processDue();
+        await queue.processDue();
+
+        const failed = await queue.get(delivery.id);
+        assert.strictEqual(failed.status, 'failed');
+        assert.strictEqual(failed.attempts, 2);
+        assert.strictEqual(await queue.processDue(), 0);
+    } finally {
+        await failing.close();
+    }
+});
+
+test('other responses fail the delivery straight away, and replay sends it again as a new delivery', async () => {
+    const receiver = await startReceiver([400, 200]);
+    try {
+        const queue = createQueue('replayed', receiver.baseUrl);
+        const [delivery] = await queue.emit('signup.created', signup);
+        await queue.processDue();
+
+        const failed = await queue.get(delivery.id);
+        assert.strictEqual(failed.status, 'failed');
+        assert.strictEqual(failed.attempts, 1);
+
+        const replayed = await queue.replay(delivery.id);
+        assert.strictEqual(replayed.replayOf, delivery.id);
+        assert.notStrictEqual(replayed.id, delivery.id);
+        await queue.processDue();
+
+        assert.strictEqual((await queue.get(replayed.id)).status, 'delivered');
+        assert.strictEqual(receiver.received[1].headers['x-revanx-delivery'], replayed.id);
+        assert.strictEqual(JSON.parse(receiver.received[1].body).id, delivery.payload.id);
+        assert.strictEqual(await queue.replay('missing-id'), null);
+    } finally {
+        await receiver.close();
+    }
+});
+
+test('an unsubscribed address signing up again emits signup.resubscribed', async () => {
+    const receiver = await startReceiver([200]);
+    try {
+        const config = loadConfig({ webhookUrls: [receiver.baseUrl], webhookSecret: SECRET, awaitDelivery: true });
+        const service = createSignupService(config);
+
+        await service.storage.insert({
+            id: 'signup-resubscribed',
+            email: 'back.again@example.com',
+            consent: true,
+            status: 'unsubscribed',
+            unsubscribedAt: new Date().toISOString(),
+            createdAt: new Date().toISOString()
+        });
+
+        const result = await service.subscribe({
+            body: { email: 'back.again@example.com', consent: true },
+            ip: '203.0.113.20',
+            acceptLanguage: 'en'
+        });
+        assert.strictEqual(result.status, 200);
+
+        const [delivery] = await service.webhooks.list({ event: 'signup.resubscribed' });
+        assert.strictEqual(delivery.status, 'delivered');
+        assert.strictEqual(delivery.payload.data.signup.id, 'signup-resubscribed');
+        assert.strictEqual(delivery.payload.data.signup.status, 'pending');
+    } finally {
+        await receiver.close();
+    }
+});
+
+test('admins replay a delivery over the API', async () => {
+    const receiver = await startReceiver([200]);
+    let server;
+    try {
+        // The app reads its config when it loads
+        Object.assign(process.env, { WEBHOOK_URLS: receiver.baseUrl, WEBHOOK_SECRET: SECRET, ADMIN_TOKEN: 'test-admin-token' });
+        server = await startServer(require('../server'));
+
+        const admin = (route, method = 'GET') => fetch(`${server.baseUrl}/admin/webhooks${route}`, {
+            method,
+            headers: { Authorization: 'Bearer test-admin-token' }
+        });
+
+        // Wait for the background worker to deliver everything queued
+        const delivered = async count => {
+            for (let tries = 0; tries < 100; tries++) {
+                const { deliveries } = await (await admin('?status=delivered&event=signup.created')).json();
+                if (deliveries.length >= count) {
+                    return deliveries;
+                }
+                await new Promise(resolve => setTimeout(resolve, 20));
+            }
+            throw new Error(`Fewer than ${count} deliveries were delivered`);
+        };
+
+        await fetch(`${server.baseUrl}/subscribe`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ email: 'replayed@example.com', consent: true })
+        });
+        const [original] = await delivered(1);
+
+        const response = await admin(`/${original.id}/replay`, 'POST');
+        assert.strictEqual(response.status, 202);
+        const { delivery: replayed } = await response.json();
+        assert.strictEqual(replayed.replayOf, original.id);
+
+        const deliveries = await delivered(2);
+        assert.strictEqual(deliveries.find(delivery => delivery.id === replayed.id).eventId, original.eventId);
+        assert.deepStrictEqual(receiver.received.map(({ headers }) => headers['x-revanx-delivery']), [original.id, replayed.id]);
+
+        assert.strictEqual((await admin('/missing-id/replay', 'POST')).status, 404);
+        assert.strictEqual((await fetch(`${server.baseUrl}/admin/webhooks/${original.id}/replay`, { method: 'POST' })).status, 401);
+    } finally {
+        await server?.close();
+        await receiver.close();
+    }
+});